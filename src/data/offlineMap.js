@@ -0,0 +1,102 @@
+// src/data/offlineMap.js
+
+/**
+ * Small hand-made dungeon used by the offline loopback room
+ * Structures are in tiles, matching the server's map data format
+ */
+const DUNGEON_WIDTH = 40;
+const DUNGEON_HEIGHT = 30;
+const TILE_SIZE = 64;
+
+// Tile values - see TextureCache.tileTextures and TileBehaviors
+const FLOOR_TILE = 0;
+const WALL_TILE = 46;
+const HOLE_TILE = -2;
+const EDGE_TILE = -1;
+
+const ROOMS = [
+  { id: "room_1", x: 18, y: 2, width: 12, height: 10, type: "normal" },
+  { id: "room_2", x: 4, y: 16, width: 10, height: 10, type: "normal" },
+  { id: "room_3", x: 22, y: 17, width: 14, height: 10, type: "normal" },
+];
+
+const CORRIDORS = [
+  { id: "corridor_1", x: 11, y: 5, width: 7, height: 3, direction: "horizontal" },
+  { id: "corridor_2", x: 6, y: 9, width: 3, height: 7, direction: "vertical" },
+  { id: "corridor_3", x: 26, y: 12, width: 3, height: 5, direction: "vertical" },
+  { id: "corridor_4", x: 14, y: 20, width: 8, height: 3, direction: "horizontal" },
+];
+
+// Holes in tiles (x, y, width, height), ringed by a tile of edge
+const HOLES = [{ x: 30, y: 21, width: 2, height: 2 }];
+
+const SPAWN_ROOMS = [
+  { id: "spawn_room_1", x: 3, y: 3, width: 8, height: 6, type: "spawn" },
+];
+
+/**
+ * Create an empty 2D layer
+ * @param {number} fill - Value to fill the layer with
+ * @returns {Array<Array<number>>} - Layer rows
+ */
+function createLayer(fill) {
+  return Array.from({ length: DUNGEON_HEIGHT }, () =>
+    new Array(DUNGEON_WIDTH).fill(fill)
+  );
+}
+
+/**
+ * Build the offline map data
+ * @returns {Object} - Map data in the same format the server sends
+ */
+export function createOfflineMapData() {
+  const tiles = createLayer(WALL_TILE);
+
+  // Carve out every structure
+  [...ROOMS, ...CORRIDORS, ...SPAWN_ROOMS].forEach((structure) => {
+    for (let y = structure.y; y < structure.y + structure.height; y++) {
+      for (let x = structure.x; x < structure.x + structure.width; x++) {
+        tiles[y][x] = FLOOR_TILE;
+      }
+    }
+  });
+
+  // Sink the holes into the floor
+  HOLES.forEach((hole) => {
+    for (let y = hole.y - 1; y <= hole.y + hole.height; y++) {
+      for (let x = hole.x - 1; x <= hole.x + hole.width; x++) {
+        const inside =
+          x >= hole.x && x < hole.x + hole.width &&
+          y >= hole.y && y < hole.y + hole.height;
+        tiles[y][x] = inside ? HOLE_TILE : EDGE_TILE;
+      }
+    }
+  });
+
+  // Spawn points are in pixels, at the center of each spawn room
+  const spawnPoints = SPAWN_ROOMS.map((room) => ({
+    id: room.id,
+    x: (room.x + room.width / 2) * TILE_SIZE,
+    y: (room.y + room.height / 2) * TILE_SIZE,
+  }));
+
+  return {
+    worldTileWidth: DUNGEON_WIDTH,
+    worldTileHeight: DUNGEON_HEIGHT,
+    dungeonTileWidth: DUNGEON_WIDTH,
+    dungeonTileHeight: DUNGEON_HEIGHT,
+    tileSize: TILE_SIZE,
+    floorLevel: 1,
+    spawnPoints,
+    layers: {
+      tiles,
+      props: createLayer(0),
+      monsters: createLayer(0),
+    },
+    structural: {
+      rooms: ROOMS.map((room) => ({ ...room })),
+      corridors: CORRIDORS.map((corridor) => ({ ...corridor })),
+      spawnRooms: SPAWN_ROOMS.map((room) => ({ ...room })),
+    },
+  };
+}
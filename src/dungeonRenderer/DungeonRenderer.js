@@ -4,6 +4,7 @@ import { PropRenderer } from "./renderers/PropRenderer.js";
 import { MonsterRenderer } from "./renderers/MonsterRenderer.js";
 import { BackgroundRenderer } from "./renderers/BackgroundRenderer.js";
 import { MinimapRenderer } from "./renderers/MinimapRenderer.js";
+import { FogRenderer } from "./renderers/FogRenderer.js";
 import { TextureCache } from "./utils/TextureCache.js";
 import { VisibilityCulling } from "./utils/VisibilityCulling.js";
 
@@ -29,6 +30,11 @@ export class DungeonRenderer {
     this.propRenderer = new PropRenderer(scene, this.textureCache);
     this.monsterRenderer = new MonsterRenderer(scene, this.textureCache);
     this.minimapRenderer = new MinimapRenderer(scene);
+    this.fogRenderer = new FogRenderer(scene);
+
+    // Local player's vision (see setFieldOfView)
+    this.fieldOfView = null;
+    this.lastFogVersion = null;
 
     // Debug settings
     this.debug = false;
@@ -80,6 +86,11 @@ export class DungeonRenderer {
       debug: this.debug,
     });
 
+    this.fogRenderer.init({
+      tileSize: this.tileSize,
+      debug: this.debug,
+    });
+
     // Initialize culling system
     this.culling.init({
       debug: this.debug,
@@ -446,7 +457,7 @@ export class DungeonRenderer {
 
     // Update prop and monster visibility
     this.propRenderer.updateVisibility(cameraBounds);
-    this.monsterRenderer.updateVisibility(cameraBounds);
+    this.monsterRenderer.updateVisibility(cameraBounds, this.fieldOfView);
 
     // Update debug info
     this.updateDebugInfo();
@@ -491,6 +502,55 @@ export class DungeonRenderer {
       this.lastCameraPosition.y = camera.scrollY;
       this.updateVisibility();
     }
+
+    this.updateFog();
+  }
+
+  /**
+   * Use the local player's vision for fog of war and hiding monsters
+   * @param {FieldOfView} fieldOfView - Field of view, updated by the scene
+   */
+  setFieldOfView(fieldOfView) {
+    this.fieldOfView = fieldOfView;
+    this.lastFogVersion = null;
+  }
+
+  /**
+   * Only show explored areas on the minimap
+   * @param {DiscoveryMap} discovery - Discovery mask, or null to show everything
+   */
+  setDiscovery(discovery) {
+    this.minimapRenderer.setDiscovery(discovery);
+  }
+
+  /**
+   * Show map pings on the minimap
+   * @param {Array} pings - Active pings from MapPings
+   */
+  drawMinimapPings(pings) {
+    this.minimapRenderer.drawPings(pings);
+  }
+
+  /**
+   * Darken what the player can't see and hide monsters out of sight
+   */
+  updateFog() {
+    if (!this.fieldOfView || !this.mapData) return;
+
+    const camera = this.scene.cameras.main;
+    const cameraBounds = {
+      left: camera.scrollX,
+      right: camera.scrollX + camera.width,
+      top: camera.scrollY,
+      bottom: camera.scrollY + camera.height,
+    };
+
+    this.fogRenderer.render(this.fieldOfView, cameraBounds, this.tileSize);
+
+    if (this.fieldOfView.version !== this.lastFogVersion) {
+      this.lastFogVersion = this.fieldOfView.version;
+      this.monsterRenderer.updateVisibility(cameraBounds, this.fieldOfView);
+    }
   }
 
   /**
@@ -512,6 +572,8 @@ export class DungeonRenderer {
     this.structureRenderer.clear();
     this.propRenderer.clear();
     this.monsterRenderer.clear();
+    this.fogRenderer.clear();
+    this.lastFogVersion = null;
 
     // Clear minimap
     this.minimapRenderer.clear();
@@ -563,6 +625,7 @@ export class DungeonRenderer {
     this.propRenderer.destroy();
     this.monsterRenderer.destroy();
     this.minimapRenderer.destroy();
+    this.fogRenderer.destroy();
 
     // Destroy debug resources
     if (this.debugText) {
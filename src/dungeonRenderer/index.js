@@ -10,6 +10,7 @@ export { StructureRenderer } from './renderers/StructureRenderer.js';
 export { PropRenderer } from './renderers/PropRenderer.js';
 export { MonsterRenderer } from './renderers/MonsterRenderer.js';
 export { BackgroundRenderer } from './renderers/BackgroundRenderer.js';
+export { FogRenderer } from './renderers/FogRenderer.js';
 export { MinimapRenderer } from './ui/MinimapRenderer.js';
 export { TextureCache } from './utils/TextureCache.js';
 export { VisibilityCulling } from './utils/VisibilityCulling.js';
\ No newline at end of file
@@ -0,0 +1,101 @@
+// src/dungeonRenderer/renderers/FogRenderer.js
+/**
+ * FogRenderer - Darkens the tiles the local player can't see
+ * Draws one overlay over the camera view from a FieldOfView, above the
+ * world but below the UI. Redrawn only when vision or the tiles in view
+ * change
+ */
+export class FogRenderer {
+  constructor(scene) {
+    this.scene = scene;
+    this.graphics = null;
+    this.tileSize = 64;
+    this.alpha = 0.85;
+    this.debug = false;
+
+    // Vision version and tile range of the last draw
+    this.lastDrawKey = null;
+  }
+
+  /**
+   * Initialize the renderer
+   * @param {Object} options - Initialization options
+   */
+  init(options = {}) {
+    this.tileSize = options.tileSize || 64;
+    this.alpha = options.alpha !== undefined ? options.alpha : this.alpha;
+    this.debug = options.debug || false;
+
+    // Above props (20) and monsters (30) so nothing out of sight shows through
+    this.graphics = this.scene.add.graphics();
+    this.graphics.setDepth(35);
+    return this;
+  }
+
+  /**
+   * Draw fog over every tile in view that isn't visible
+   * @param {FieldOfView} fieldOfView - Current vision
+   * @param {Object} cameraBounds - Camera bounds in pixels
+   * @param {number} tileSize - Size of tiles in pixels
+   */
+  render(fieldOfView, cameraBounds, tileSize) {
+    if (!this.graphics) return;
+
+    this.tileSize = tileSize || this.tileSize;
+
+    const startX = Math.floor(cameraBounds.left / this.tileSize) - 1;
+    const endX = Math.ceil(cameraBounds.right / this.tileSize) + 1;
+    const startY = Math.floor(cameraBounds.top / this.tileSize) - 1;
+    const endY = Math.ceil(cameraBounds.bottom / this.tileSize) + 1;
+
+    const drawKey = `${fieldOfView.version}:${startX},${startY},${endX},${endY}`;
+    if (drawKey === this.lastDrawKey) return;
+    this.lastDrawKey = drawKey;
+
+    this.graphics.clear();
+    if (!fieldOfView.enabled) return;
+
+    this.graphics.fillStyle(0x000000, this.alpha);
+
+    // One rectangle per run of hidden tiles in a row
+    for (let y = startY; y <= endY; y++) {
+      let runStart = null;
+
+      for (let x = startX; x <= endX + 1; x++) {
+        const hidden = x <= endX && !fieldOfView.isTileVisible(x, y);
+
+        if (hidden && runStart === null) {
+          runStart = x;
+        } else if (!hidden && runStart !== null) {
+          this.graphics.fillRect(
+            runStart * this.tileSize,
+            y * this.tileSize,
+            (x - runStart) * this.tileSize,
+            this.tileSize
+          );
+          runStart = null;
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove the fog
+   */
+  clear() {
+    if (this.graphics) {
+      this.graphics.clear();
+    }
+    this.lastDrawKey = null;
+  }
+
+  /**
+   * Destroy the renderer and clean up resources
+   */
+  destroy() {
+    if (this.graphics) {
+      this.graphics.destroy();
+      this.graphics = null;
+    }
+  }
+}
@@ -1,4 +1,6 @@
 // src/dungeonRenderer/renderers/MinimapRenderer.js - Fixed implementation
+import { PING_TYPES } from "../../systems/MapPings.js";
+
 /**
  * MinimapRenderer - Handles rendering of the dungeon minimap
  * Creates a small overview map in the corner of the screen
@@ -10,6 +12,7 @@ export class MinimapRenderer {
     this.background = null;
     this.border = null;
     this.graphics = null;
+    this.pingGraphics = null;
     this.playerMarker = null;
     this.floorText = null;
 
@@ -22,6 +25,14 @@ export class MinimapRenderer {
     this.offsetX = 0;
     this.offsetY = 0;
 
+    // Map being shown, kept for redraws
+    this.mapData = null;
+    this.tileSize = 64;
+
+    // Explored areas - only discovered structures are drawn (see setDiscovery)
+    this.discovery = null;
+    this.drawnDiscoveryVersion = null;
+
     this.debug = false;
   }
 
@@ -73,6 +84,9 @@ export class MinimapRenderer {
     // Create graphics for map elements
     this.graphics = this.scene.add.graphics();
 
+    // Pings, redrawn every frame while they pulse
+    this.pingGraphics = this.scene.add.graphics();
+
     // Create player marker
     this.playerMarker = this.scene.add.circle(
       0,
@@ -87,6 +101,7 @@ export class MinimapRenderer {
       this.background,
       this.border,
       this.graphics,
+      this.pingGraphics,
       this.playerMarker,
     ]);
 
@@ -116,6 +131,9 @@ export class MinimapRenderer {
       });
     }
 
+    this.mapData = mapData;
+    this.tileSize = tileSize;
+
     // Clear existing minimap
     this.graphics.clear();
 
@@ -144,17 +162,62 @@ export class MinimapRenderer {
     // Draw the minimap
     this.drawMinimapContents(mapData, tileSize);
 
+    // Add floor level text
+    this.floorText = this.scene.add
+      .text(this.size / 2, this.size - 15, `Floor ${mapData.floorLevel || 1}`, {
+        fontSize: "12px",
+        fill: "#ffffff",
+      })
+      .setOrigin(0.5);
+
+    // Add to container
+    this.container.add(this.floorText);
+
     if (this.debug) {
       console.log(`Minimap rendered with scale ${this.scale}`);
     }
   }
 
+  /**
+   * Only show explored areas on the minimap
+   * @param {DiscoveryMap} discovery - Discovery mask, or null to show everything
+   */
+  setDiscovery(discovery) {
+    this.discovery = discovery;
+    this.drawnDiscoveryVersion = null;
+  }
+
+  /**
+   * Redraw the map contents after new areas were discovered
+   */
+  refreshDiscovery() {
+    if (!this.discovery || !this.mapData) return;
+    if (this.discovery.version === this.drawnDiscoveryVersion) return;
+
+    this.graphics.clear();
+    this.drawMinimapContents(this.mapData, this.tileSize);
+  }
+
+  /**
+   * Check if a structure should be drawn
+   * @param {string} type - Structure type
+   * @param {Object} structure - Structure data
+   * @returns {boolean} - True if discovered, or without a discovery mask
+   */
+  isDiscovered(type, structure) {
+    return !this.discovery || this.discovery.isStructureDiscovered(type, structure);
+  }
+
   /**
    * Draw the minimap contents
    * @param {Object} mapData - Map data from server
    * @param {number} tileSize - Size of tiles in pixels
    */
   drawMinimapContents(mapData, tileSize) {
+    if (this.discovery) {
+      this.drawnDiscoveryVersion = this.discovery.version;
+    }
+
     // Draw dungeon background first
     this.graphics.fillStyle(0x333333, 0.8);
     this.graphics.fillRect(
@@ -169,17 +232,6 @@ export class MinimapRenderer {
 
     // Draw spawn points
     this.drawSpawnPoints(mapData);
-
-    // Add floor level text
-    this.floorText = this.scene.add
-      .text(this.size / 2, this.size - 15, `Floor ${mapData.floorLevel || 1}`, {
-        fontSize: "12px",
-        fill: "#ffffff",
-      })
-      .setOrigin(0.5);
-
-    // Add to container
-    this.container.add(this.floorText);
   }
 
   /**
@@ -198,6 +250,8 @@ export class MinimapRenderer {
     this.graphics.fillStyle(0x444444, 1);
     if (mapData.structural.rooms && Array.isArray(mapData.structural.rooms)) {
       mapData.structural.rooms.forEach((room) => {
+        if (!this.isDiscovered("room", room)) return;
+
         const x = this.offsetX + room.x * tileSize * this.scale;
         const y = this.offsetY + room.y * tileSize * this.scale;
         const width = room.width * tileSize * this.scale;
@@ -214,6 +268,8 @@ export class MinimapRenderer {
       Array.isArray(mapData.structural.corridors)
     ) {
       mapData.structural.corridors.forEach((corridor) => {
+        if (!this.isDiscovered("corridor", corridor)) return;
+
         const x = this.offsetX + corridor.x * tileSize * this.scale;
         const y = this.offsetY + corridor.y * tileSize * this.scale;
         const width = corridor.width * tileSize * this.scale;
@@ -230,6 +286,8 @@ export class MinimapRenderer {
       Array.isArray(mapData.structural.spawnRooms)
     ) {
       mapData.structural.spawnRooms.forEach((room) => {
+        if (!this.isDiscovered("spawnRoom", room)) return;
+
         const x = this.offsetX + room.x * tileSize * this.scale;
         const y = this.offsetY + room.y * tileSize * this.scale;
         const width = room.width * tileSize * this.scale;
@@ -259,8 +317,8 @@ export class MinimapRenderer {
       for (let x = 0; x < tiles[y].length; x++) {
         const tile = tiles[y][x];
 
-        // Only draw walls (non-zero values)
-        if (tile > 0) {
+        // Only draw walls (non-zero values) the player has seen
+        if (tile > 0 && (!this.discovery || this.discovery.isTileDiscovered(x, y))) {
           const miniX = this.offsetX + x * this.scale * tileSize;
           const miniY = this.offsetY + y * this.scale * tileSize;
           const miniSize = Math.max(1, this.scale * tileSize);
@@ -283,6 +341,8 @@ export class MinimapRenderer {
     this.graphics.fillStyle(0x8800ff, 1);
 
     mapData.spawnPoints.forEach((spawn) => {
+      if (this.discovery && !this.discovery.isDiscoveredAt(spawn.x, spawn.y)) return;
+
       const miniX = this.offsetX + spawn.x * this.scale;
       const miniY = this.offsetY + spawn.y * this.scale;
 
@@ -315,6 +375,8 @@ export class MinimapRenderer {
       return;
     }
 
+    this.refreshDiscovery();
+
     const minimapX = this.offsetX + x * this.scale;
     const minimapY = this.offsetY + y * this.scale;
 
@@ -328,6 +390,31 @@ export class MinimapRenderer {
     }
   }
 
+  /**
+   * Draw map pings, pinned to the minimap edge if they fall outside it
+   * @param {Array} pings - Active pings from MapPings
+   */
+  drawPings(pings) {
+    if (!this.pingGraphics) return;
+
+    this.pingGraphics.clear();
+    if (!this.mapData) return;
+
+    const now = Date.now();
+
+    pings.forEach((ping) => {
+      const { color } = PING_TYPES[ping.type];
+      const pulse = ((now - ping.createdAt) % 1000) / 1000;
+      const x = Phaser.Math.Clamp(this.offsetX + ping.x * this.scale, 4, this.size - 4);
+      const y = Phaser.Math.Clamp(this.offsetY + ping.y * this.scale, 4, this.size - 4);
+
+      this.pingGraphics.fillStyle(color, 1);
+      this.pingGraphics.fillCircle(x, y, 3);
+      this.pingGraphics.lineStyle(2, color, 1 - pulse);
+      this.pingGraphics.strokeCircle(x, y, 4 + pulse * 8);
+    });
+  }
+
   /**
    * Handle resize event from scene
    * @param {number} width - New screen width
@@ -374,6 +461,13 @@ export class MinimapRenderer {
       this.graphics.clear();
     }
 
+    if (this.pingGraphics) {
+      this.pingGraphics.clear();
+    }
+
+    this.mapData = null;
+    this.drawnDiscoveryVersion = null;
+
     if (this.floorText) {
       this.floorText.destroy();
       this.floorText = null;
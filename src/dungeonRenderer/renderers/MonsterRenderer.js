@@ -178,20 +178,24 @@ export class MonsterRenderer {
   /**
    * Update visibility of monsters based on camera bounds
    * @param {Object} cameraBounds - Camera bounds in pixels
+   * @param {FieldOfView} fieldOfView - Optional vision; monsters out of sight are hidden
    */
-  updateVisibility(cameraBounds) {
+  updateVisibility(cameraBounds, fieldOfView = null) {
     // Clear visible monsters set
     this.visibleMonsters.clear();
 
     // Check each monster
     this.monsters.forEach((monster, id) => {
       // Check if monster is in view
-      const isVisible = !(
+      const isInView = !(
         monster.x + monster.width / 2 < cameraBounds.left ||
         monster.x - monster.width / 2 > cameraBounds.right ||
         monster.y + monster.height / 2 < cameraBounds.top ||
         monster.y - monster.height / 2 > cameraBounds.bottom
       );
+      const isVisible =
+        isInView &&
+        (!fieldOfView || fieldOfView.isTileVisible(monster.tileX, monster.tileY));
 
       // Update visibility
       monster.setVisible(isVisible);
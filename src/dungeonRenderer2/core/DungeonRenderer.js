@@ -441,6 +441,22 @@ export class DungeonRenderer {
     }
   }
   
+  /**
+   * Only show explored areas on the minimap
+   * @param {DiscoveryMap} discovery - Discovery mask, or null to show everything
+   */
+  setDiscovery(discovery) {
+    this.minimapRenderer.setDiscovery(discovery);
+  }
+  
+  /**
+   * Show map pings on the minimap
+   * @param {Array} pings - Active pings from MapPings
+   */
+  drawMinimapPings(pings) {
+    this.minimapRenderer.drawPings(pings);
+  }
+  
   /**
    * Handle window resize event
    * @param {number} width - New width
@@ -1,4 +1,5 @@
 // src/dungeonRenderer/ui/MinimapRenderer.js
+import { PING_TYPES } from '../../systems/MapPings.js';
 
 /**
  * MinimapRenderer - Renders a minimap overview of the dungeon
@@ -14,6 +15,7 @@ export class MinimapRenderer {
       this.container = null;
       this.background = null;
       this.graphics = null;
+      this.pingGraphics = null;
       this.playerMarker = null;
       this.floorText = null;
       this.minimapBackground = null;
@@ -37,6 +39,10 @@ export class MinimapRenderer {
       this.showStructureTypes = true;
       this.showViewport = false;
       
+      // Explored areas - only discovered structures are drawn (see setDiscovery)
+      this.discovery = null;
+      this.drawnDiscoveryVersion = null;
+      
       // Debug settings
       this.debug = false;
       this.isInitialized = false;
@@ -99,6 +105,9 @@ export class MinimapRenderer {
       // Create graphics for map elements
       this.graphics = this.scene.add.graphics();
       
+      // Pings, redrawn every frame while they pulse
+      this.pingGraphics = this.scene.add.graphics();
+      
       // Create player marker
       this.playerMarker = this.scene.add.circle(0, 0, 4, 0x00ff00, 1);
       
@@ -107,6 +116,7 @@ export class MinimapRenderer {
         this.minimapBackground,
         this.minimapBorder,
         this.graphics,
+        this.pingGraphics,
         this.playerMarker
       ]);
       
@@ -201,6 +211,12 @@ export class MinimapRenderer {
       if (!this.mapData || !this.graphics) return;
       
       const structural = this.mapData.structural;
+      const isDiscovered = (type, structure) =>
+        !this.discovery || this.discovery.isStructureDiscovered(type, structure);
+      
+      if (this.discovery) {
+        this.drawnDiscoveryVersion = this.discovery.version;
+      }
       
       // Draw floor background
       this.graphics.fillStyle(0x222222, 0.8);
@@ -216,6 +232,8 @@ export class MinimapRenderer {
         this.graphics.fillStyle(0x444444, 1);
         
         structural.rooms.forEach(room => {
+          if (!isDiscovered('room', room)) return;
+          
           const x = this.offsetX + room.x * this.tileSize * this.scale;
           const y = this.offsetY + room.y * this.tileSize * this.scale;
           const width = room.width * this.tileSize * this.scale;
@@ -230,6 +248,8 @@ export class MinimapRenderer {
         this.graphics.fillStyle(0x333333, 1);
         
         structural.corridors.forEach(corridor => {
+          if (!isDiscovered('corridor', corridor)) return;
+          
           const x = this.offsetX + corridor.x * this.tileSize * this.scale;
           const y = this.offsetY + corridor.y * this.tileSize * this.scale;
           const width = corridor.width * this.tileSize * this.scale;
@@ -244,6 +264,8 @@ export class MinimapRenderer {
         this.graphics.fillStyle(0x8800ff, 0.7);
         
         structural.spawnRooms.forEach(room => {
+          if (!isDiscovered('spawnRoom', room)) return;
+          
           const x = this.offsetX + room.x * this.tileSize * this.scale;
           const y = this.offsetY + room.y * this.tileSize * this.scale;
           const width = room.width * this.tileSize * this.scale;
@@ -258,6 +280,8 @@ export class MinimapRenderer {
         this.graphics.fillStyle(0xffff00, 1);
         
         this.mapData.spawnPoints.forEach(spawn => {
+          if (this.discovery && !this.discovery.isDiscoveredAt(spawn.x, spawn.y)) return;
+          
           const x = this.offsetX + spawn.x * this.scale;
           const y = this.offsetY + spawn.y * this.scale;
           
@@ -271,6 +295,27 @@ export class MinimapRenderer {
       }
     }
     
+    /**
+     * Only show explored areas on the minimap
+     * @param {DiscoveryMap} discovery - Discovery mask, or null to show everything
+     */
+    setDiscovery(discovery) {
+      this.discovery = discovery;
+      this.drawnDiscoveryVersion = null;
+    }
+    
+    /**
+     * Redraw the map contents after new areas were discovered
+     * @private
+     */
+    refreshDiscovery() {
+      if (!this.discovery || !this.mapData) return;
+      if (this.discovery.version === this.drawnDiscoveryVersion) return;
+      
+      this.graphics.clear();
+      this.drawMinimapContents();
+    }
+    
     /**
      * Draw camera viewport on minimap
      * @private
@@ -301,6 +346,8 @@ export class MinimapRenderer {
       this.playerPosition.x = x;
       this.playerPosition.y = y;
       
+      this.refreshDiscovery();
+      
       // Calculate minimap position
       const minimapX = this.offsetX + x * this.scale;
       const minimapY = this.offsetY + y * this.scale;
@@ -315,6 +362,31 @@ export class MinimapRenderer {
       }
     }
     
+    /**
+     * Draw map pings, pinned to the minimap edge if they fall outside it
+     * @param {Array} pings - Active pings from MapPings
+     */
+    drawPings(pings) {
+      if (!this.isInitialized || !this.pingGraphics) return;
+      
+      this.pingGraphics.clear();
+      if (!this.mapData) return;
+      
+      const now = Date.now();
+      
+      pings.forEach(ping => {
+        const { color } = PING_TYPES[ping.type];
+        const pulse = ((now - ping.createdAt) % 1000) / 1000;
+        const x = Phaser.Math.Clamp(this.offsetX + ping.x * this.scale, 4, this.size - 4);
+        const y = Phaser.Math.Clamp(this.offsetY + ping.y * this.scale, 4, this.size - 4);
+        
+        this.pingGraphics.fillStyle(color, 1);
+        this.pingGraphics.fillCircle(x, y, 3);
+        this.pingGraphics.lineStyle(2, color, 1 - pulse);
+        this.pingGraphics.strokeCircle(x, y, 4 + pulse * 8);
+      });
+    }
+    
     /**
      * Toggle a specific minimap feature
      * @param {string} feature - Feature to toggle ('spawnPoints', 'playerPosition', 'structureTypes', 'viewport')
@@ -381,11 +453,16 @@ export class MinimapRenderer {
         this.graphics.clear();
       }
       
+      if (this.pingGraphics) {
+        this.pingGraphics.clear();
+      }
+      
       if (this.floorText) {
         this.floorText.setText('Floor 1');
       }
       
       this.mapData = null;
+      this.drawnDiscoveryVersion = null;
     }
     
     /**
@@ -398,6 +475,7 @@ export class MinimapRenderer {
       }
       
       this.graphics = null;
+      this.pingGraphics = null;
       this.playerMarker = null;
       this.floorText = null;
       this.minimapBackground = null;
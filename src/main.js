@@ -7,6 +7,8 @@ import { GameScene } from "./scenes/GameScene.js";
 import { ResultsScene } from "./scenes/ResultsScene.js";
 import gameState from "./systems/GameState.js";
 import networkManager from "./systems/NetworkManager.js";
+import networkConditioner from "./systems/NetworkConditioner.js";
+import keyBindings from "./systems/KeyBindings.js";
 import { PlayerProfileManager } from "./managers/PlayerProfileManager.js";
 import './styles/auth.css'; // Import our auth styles
 
@@ -26,6 +28,9 @@ networkManager.init({
   debug: true
 });
 
+// Restore the player's key bindings
+keyBindings.load();
+
 // Initialize player profile manager
 const profileManager = new PlayerProfileManager();
 
@@ -35,6 +40,10 @@ const config = {
   width: window.innerWidth || 800,
   height: window.innerHeight || 600,
   parent: "game-container",
+  // Gamepad plugin for analog movement and the dash button
+  input: {
+    gamepad: true
+  },
   physics: {
     default: "arcade",
     arcade: {
@@ -64,6 +73,7 @@ window.addEventListener('playerCountUpdate', (event) => {
 // Make objects available for debugging in browser console
 window.gameState = gameState;
 window.networkManager = networkManager;
+window.networkConditioner = networkConditioner;
 window.profileManager = profileManager;
 
 // Log when game is ready
@@ -2,6 +2,12 @@
 import { createDebugHelper } from '../utils/debug.js';
 import gameState from '../systems/GameState.js';
 import networkManager from '../systems/NetworkManager.js';
+import networkConditioner from '../systems/NetworkConditioner.js';
+import { createNetworkTelemetryHUD } from '../ui/NetworkTelemetryHUD.js';
+import sessionRecorder, { downloadRecording, pickRecordingFile } from '../systems/SessionRecorder.js';
+import { SessionReplay } from '../systems/SessionReplay.js';
+import { createReplayControls } from '../ui/ReplayControls.js';
+import keyBindings from '../systems/KeyBindings.js';
 
 export class DebugManager {
   constructor(scene) {
@@ -10,6 +16,10 @@ export class DebugManager {
     this.debugGraphics = null;
     this.showDebug = false;
     this.tileGridEnabled = false;
+    this.telemetryHUD = null;
+    this.replay = null;
+    this.replayControls = null;
+    this.keyUnbinders = [];
   }
   
   initialize() {
@@ -24,6 +34,9 @@ export class DebugManager {
     // Add debug toggle button
     this.createDebugToggle();
     
+    // Network telemetry: compact ping/loss always, graphs with debug
+    this.telemetryHUD = createNetworkTelemetryHUD(this.scene);
+    
     // Add extra debug keys
     this.setupDebugKeys();
   }
@@ -41,24 +54,182 @@ export class DebugManager {
       debugButton.setBackgroundColor(this.showDebug ? '#55aa55' : '#555555');
       if (this.debug) this.debug.setVisible(this.showDebug);
       if (this.debugGraphics) this.debugGraphics.setVisible(this.showDebug);
+      if (this.telemetryHUD) this.telemetryHUD.setExpanded(this.showDebug);
       
       // Also toggle debug mode on dungeon renderer
       if (this.scene.dungeonRenderer) {
-        this.scene.dungeonRenderer.debug = this.showDebug;
+        this.scene.dungeonRenderer.setDebug(this.showDebug);
       }
     });
+    
+    // Network condition preset button
+    this.networkButton = this.scene.add.text(700, 585, this.getNetworkLabel(), {
+      fontSize: '14px',
+      backgroundColor: '#555555',
+      padding: { x: 10, y: 5 }
+    }).setOrigin(0.5).setInteractive({ useHandCursor: true })
+      .setScrollFactor(0).setDepth(1000);
+    
+    this.networkButton.on('pointerdown', () => this.cycleNetworkPreset());
+  }
+  
+  getNetworkLabel() {
+    return `Net: ${networkConditioner.getLabel()}`;
+  }
+  
+  cycleNetworkPreset() {
+    networkConditioner.cyclePreset();
+    
+    this.networkButton.setText(this.getNetworkLabel());
+    this.networkButton.setBackgroundColor(networkConditioner.isActive() ? '#aa5555' : '#555555');
+    
+    if (this.scene.uiManager) {
+      this.scene.uiManager.showNotification(`Network: ${networkConditioner.getLabel()}`);
+    }
+  }
+  
+  getRemoteModeLabel() {
+    const playerManager = this.scene.playerManager;
+    if (!playerManager) return 'n/a';
+    
+    return playerManager.deadReckoning.enabled ? 'Dead reckoning' : 'Interpolation only';
+  }
+  
+  toggleDeadReckoning() {
+    const playerManager = this.scene.playerManager;
+    if (!playerManager) return;
+    
+    playerManager.setDeadReckoning(!playerManager.deadReckoning.enabled);
+    
+    if (this.scene.uiManager) {
+      this.scene.uiManager.showNotification(`Remote players: ${this.getRemoteModeLabel()}`);
+    }
+  }
+  
+  toggleCompactInputs() {
+    const networkHandler = this.scene.networkHandler;
+    if (!networkHandler) return;
+    
+    networkHandler.configure({ compactInputs: !networkHandler.compactInputs });
+    this.notify(`Input batches: ${this.getInputFormatLabel()}`);
+  }
+  
+  getInputFormatLabel() {
+    return this.scene.networkHandler?.compactInputs ? 'packed' : 'JSON';
+  }
+  
+  toggleRecording() {
+    if (sessionRecorder.isRecording()) {
+      const recording = sessionRecorder.stop();
+      downloadRecording(recording);
+      this.notify(`Recording saved (${recording.events.length} events)`);
+      return;
+    }
+    
+    const playerManager = this.scene.playerManager;
+    const players = {};
+    
+    Object.entries(playerManager?.otherPlayers || {}).forEach(([id, sprite]) => {
+      players[id] = {
+        x: sprite.x,
+        y: sprite.y,
+        name: playerManager.playerNameLabels[id]?.text
+      };
+    });
+    
+    sessionRecorder.start({
+      mapData: gameState.getMapData(),
+      playerId: this.scene.playerId,
+      position: playerManager?.getPlayerPosition(),
+      inputSequence: this.scene.inputHandler?.inputSequence,
+      players,
+      dashCharges: this.scene.inputHandler?.dashCharges.map(charge => ({ available: charge.available }))
+    });
+    
+    this.notify(`Recording session - press ${keyBindings.getLabel('toggleRecording')} again to save`);
+  }
+  
+  async loadReplay() {
+    if (this.replay) return;
+    
+    try {
+      const recording = await pickRecordingFile();
+      if (recording) this.startReplay(recording);
+    } catch (error) {
+      console.error('Failed to load replay:', error);
+      this.notify('Could not load replay file');
+    }
+  }
+  
+  startReplay(recording) {
+    this.replay = new SessionReplay(this.scene, recording);
+    this.replay.start();
+    this.replayControls = createReplayControls(this.scene, this.replay, () => this.stopReplay());
+  }
+  
+  stopReplay() {
+    if (!this.replay) return;
+    
+    this.replay.stop();
+    this.replayControls.destroy();
+    this.replay = null;
+    this.replayControls = null;
+  }
+  
+  notify(message) {
+    if (this.scene.uiManager) {
+      this.scene.uiManager.showNotification(message);
+    }
   }
   
   setupDebugKeys() {
-    // Toggle tile grid overlay with T key
-    this.scene.input.keyboard.addKey('T').on('down', () => {
+    const bind = (action, callback) => {
+      this.keyUnbinders.push(keyBindings.bindAction(this.scene, action, callback));
+    };
+    
+    // Toggle tile grid overlay
+    bind('toggleTileGrid', () => {
       this.tileGridEnabled = !this.tileGridEnabled;
       console.log(`Tile grid: ${this.tileGridEnabled ? 'Enabled' : 'Disabled'}`);
       this.updateDebugVisuals();
     });
     
-    // Dump map data to console with M key
-    this.scene.input.keyboard.addKey('M').on('down', () => {
+    // See the whole map instead of only what's in sight
+    bind('toggleFog', () => {
+      const fieldOfView = this.scene.fieldOfView;
+      if (!fieldOfView) return;
+      
+      fieldOfView.setEnabled(!fieldOfView.enabled);
+      this.notify(`Fog of war: ${fieldOfView.enabled ? 'on' : 'off'}`);
+    });
+    
+    // Cycle simulated network conditions
+    bind('cycleNetworkPreset', () => {
+      this.cycleNetworkPreset();
+    });
+    
+    // Compare dead reckoning against pure interpolation
+    bind('toggleDeadReckoning', () => {
+      this.toggleDeadReckoning();
+    });
+    
+    // Switch input batches between JSON and the packed binary codec
+    bind('toggleCompactInputs', () => {
+      this.toggleCompactInputs();
+    });
+    
+    // Start/stop recording the session (saves a file on stop)
+    bind('toggleRecording', () => {
+      this.toggleRecording();
+    });
+    
+    // Load a recorded session and replay it
+    bind('loadReplay', () => {
+      this.loadReplay();
+    });
+    
+    // Dump map data to console
+    bind('dumpMapData', () => {
       const mapData = gameState.getMapData();
       console.log('Current Map Data:', mapData);
       
@@ -69,7 +240,16 @@ export class DebugManager {
     });
   }
   
-  update() {
+  update(delta) {
+    if (this.telemetryHUD) {
+      this.telemetryHUD.update();
+    }
+    
+    if (this.replay) {
+      this.replay.update(delta);
+      this.replayControls.update();
+    }
+    
     if (!this.showDebug) return;
     
     // Update debug info
@@ -94,6 +274,9 @@ export class DebugManager {
     // Calculate tile position
     const tileX = Math.floor(playerPos.x / (mapData?.tileSize || 64));
     const tileY = Math.floor(playerPos.y / (mapData?.tileSize || 64));
+    const collisionSystem = this.scene.collisionSystem;
+    const tileKind = collisionSystem?.collisionMap ?
+      collisionSystem.getTileKindAt(playerPos.x, playerPos.y) : null;
     
     // Update debug text
     this.debug.displayObject({
@@ -105,11 +288,39 @@ export class DebugManager {
       'Map': mapDimensions,
       'Floor': mapData?.floorLevel || 1,
       'Position': `${Math.round(playerPos.x)}, ${Math.round(playerPos.y)}`,
-      'Tile': `${tileX}, ${tileY}`,
-      'Inputs': this.scene.inputHandler?.pendingInputs?.length || 0
+      'Tile': `${tileX}, ${tileY}${tileKind ? ` (${tileKind})` : ''}`,
+      'Inputs': `${this.scene.inputHandler?.pendingInputs?.length || 0} pending, ${this.getInputFormatLabel()} (${keyBindings.getLabel('toggleCompactInputs')})`,
+      'Correction': this.formatCorrection(),
+      'Remote': `${this.getRemoteModeLabel()} (${keyBindings.getLabel('toggleDeadReckoning')})`,
+      'Recording': sessionRecorder.isRecording()
+        ? `${sessionRecorder.recording.events.length} events (${keyBindings.getLabel('toggleRecording')} to save)`
+        : `off (${keyBindings.getLabel('toggleRecording')}, ${keyBindings.getLabel('loadReplay')} to replay)`,
+      'Net Sim': `${networkConditioner.getLabel()} (dropped ${networkConditioner.stats.dropped})`,
+      'Renderer': this.formatRendererStats()
     });
   }
   
+  formatRendererStats() {
+    const renderer = this.scene.dungeonRenderer;
+    if (!renderer) return 'n/a';
+    if (!renderer.hasMap()) return `${renderer.name} (no map)`;
+    
+    const stats = Object.entries(renderer.getDebugStats())
+      .map(([key, value]) => `${key} ${value}`)
+      .join(', ');
+    
+    return stats ? `${renderer.name}: ${stats}` : renderer.name;
+  }
+  
+  formatCorrection() {
+    const reconciliation = this.scene.reconciliationManager;
+    if (!reconciliation) return 'n/a';
+    
+    return `${reconciliation.getLastCorrection().toFixed(1)}px` +
+      `${reconciliation.lastCorrectionSnapped ? ' (snap)' : ''}` +
+      ` x${reconciliation.getReconciliationCount()}`;
+  }
+  
   updateDebugVisuals() {
     // Create graphics object if needed
     if (!this.debugGraphics) {
@@ -200,7 +411,31 @@ export class DebugManager {
     }
   }
 
+  handleResize(width, height) {
+    if (this.telemetryHUD) {
+      this.telemetryHUD.handleResize(width, height);
+    }
+    
+    if (this.replayControls) {
+      this.replayControls.handleResize(width);
+    }
+  }
+  
   destroy() {
+    // Hand the message bus back to the live room
+    this.stopReplay();
+    
+    this.keyUnbinders.forEach(unbind => unbind());
+    this.keyUnbinders = [];
+    
+    if (this.telemetryHUD) {
+      this.telemetryHUD.destroy();
+    }
+    
+    if (this.networkButton) {
+      this.networkButton.destroy();
+    }
+    
     if (this.debugGraphics) {
       this.debugGraphics.clear();
       this.debugGraphics.destroy();
@@ -1,5 +1,6 @@
 // src/managers/DungeonNetworkHandler.js
 import { registerTemplates } from "../data/DungeonTemplates.js";
+import messageBus from "../systems/MessageBus.js";
 
 /**
  * DungeonNetworkHandler - Handles dungeon-related network messages
@@ -47,20 +48,35 @@ export class DungeonNetworkHandler {
   setupMessageHandlers() {
     if (!this.room) return;
     
-    // Handle map data
-    this.room.onMessage("mapData", this.handleMapData.bind(this));
+    // Subscriptions follow the room, so only register them once
+    if (this.unsubscribeMessages) return;
     
-    // Handle teleportation
-    this.room.onMessage("teleported", this.handleTeleported.bind(this));
-    
-    // Handle phase changes
-    this.room.onMessage("phaseChange", this.handlePhaseChange.bind(this));
+    this.unsubscribeMessages = messageBus.subscribeAll({
+      // Handle map data
+      mapData: this.handleMapData.bind(this),
+      
+      // Handle teleportation
+      teleported: this.handleTeleported.bind(this),
+      
+      // Handle phase changes
+      phaseChange: this.handlePhaseChange.bind(this),
+    });
     
     if (this.debug) {
       console.log("DungeonNetworkHandler: Message handlers set up");
     }
   }
   
+  /**
+   * Remove message subscriptions
+   */
+  destroy() {
+    if (this.unsubscribeMessages) {
+      this.unsubscribeMessages();
+      this.unsubscribeMessages = null;
+    }
+  }
+  
   /**
    * Handle map data message from server
    * @param {Object} data - Map data from server
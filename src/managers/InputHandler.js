@@ -1,5 +1,18 @@
 // src/managers/InputHandler.js
 import { createControls } from "../utils/controls.js";
+import gameState from "../systems/GameState.js";
+import keyBindings from "../systems/KeyBindings.js";
+import {
+  stepMovement,
+  castDash,
+  MOVE_SPEED,
+  TICK_MS,
+  MAX_TICKS_PER_FRAME,
+  DASH_DISTANCE,
+} from "../systems/MovementSimulation.js";
+import { getTileBehavior } from "../systems/TileBehaviors.js";
+
+const DASH_AIM_STORAGE_KEY = "dash_toward_cursor";
 
 export class InputHandler {
   constructor(scene) {
@@ -14,7 +27,10 @@ export class InputHandler {
     this.pendingInputs = [];
 
     // Movement constants - MATCH WITH SERVER
-    this.moveSpeed = 300; // pixels per second - must match server's PlayerState.moveSpeed
+    this.moveSpeed = MOVE_SPEED; // pixels per second - must match server's PlayerState.moveSpeed
+
+    // Frame time not yet consumed by fixed movement ticks
+    this.tickAccumulator = 0;
 
     // Input sending rate limiting
     this.lastInputTime = 0;
@@ -25,11 +41,12 @@ export class InputHandler {
     this.collisionCooldown = 500; // ms between collision feedback
 
     // Dash system properties
+    // cooldownEndTime is on the server clock (gameState.now())
     this.dashCharges = [
       { available: true, cooldownEndTime: 0 },
       { available: true, cooldownEndTime: 0 },
     ]; // Initialize with 2 charges
-    this.dashDistance = 120;
+    this.dashDistance = DASH_DISTANCE;
     this.dashDuration = 0.15; // seconds
     this.dashCooldown = 3.0; // seconds
     this.isDashing = false;
@@ -38,8 +55,34 @@ export class InputHandler {
     this.dashDirection = { x: 0, y: 0 };
     this.dashStartPosition = { x: 0, y: 0 };
     this.dashTargetPosition = { x: 0, y: 0 };
+    this.activeDashSeq = null;
     this.lastMovementDirection = { x: 0, y: 1 }; // Default down
 
+    // Facing angle in radians (0 = right, PI/2 = down), from the mouse or
+    // right stick when aiming, otherwise the movement direction
+    this.facing = Math.PI / 2;
+    this.lastSentFacing = this.facing;
+    this.facingThreshold = 0.05; // radians of change worth sending when idle
+
+    // Dash where the player aims instead of where they move
+    this.dashTowardCursor = loadDashAimSetting();
+
+    // Dashes predicted locally but not yet confirmed by the server
+    // Each is {seq, direction, chargeIndex}
+    this.pendingDashes = [];
+
+    // Falling into a hole - {seq, startTime, confirmed, respawn} while the
+    // animation plays and the server's verdict is pending. Movement stops
+    // until the server puts the player back down
+    this.fall = null;
+    this.queuedFall = null; // Server fall that arrived mid-dash
+    this.dashFell = false; // The active dash lands in a hole
+    this.fallConfirmTimeout = 2000; // ms to wait for the server's verdict on a predicted fall
+
+    // While a recorded session replays, inputs come from the recording
+    // instead of the keyboard (see SessionReplay)
+    this.replaying = false;
+
     // Initialize dash key
     this.setupDashKey();
   }
@@ -69,14 +112,54 @@ export class InputHandler {
   }
 
   /**
-   * Setup dash key (spacebar)
+   * Setup dash input (the dash action's keys, a gamepad or touch button)
    */
   setupDashKey() {
-    // Add spacebar for dash
-    this.dashKey = this.scene.input.keyboard.addKey(
-      Phaser.Input.Keyboard.KeyCodes.SPACE
-    );
-    this.dashKey.on("down", this.handleDashKeyDown.bind(this));
+    this.controls.onDash(this.handleDashKeyDown.bind(this));
+
+    this.unbindDashAimKey = keyBindings.bindAction(this.scene, "toggleDashAim", () => {
+      this.setDashTowardCursor(!this.dashTowardCursor);
+
+      if (this.scene.uiManager) {
+        this.scene.uiManager.showNotification(
+          `Dash toward cursor: ${this.dashTowardCursor ? "on" : "off"}`
+        );
+      }
+    });
+  }
+
+  /**
+   * Choose whether dashes go toward the aim or along movement
+   * @param {boolean} enabled - True to dash toward the cursor / right stick
+   */
+  setDashTowardCursor(enabled) {
+    this.dashTowardCursor = enabled;
+
+    try {
+      localStorage.setItem(DASH_AIM_STORAGE_KEY, enabled ? "1" : "0");
+    } catch (error) {
+      console.warn("Could not save dash aim setting:", error);
+    }
+  }
+
+  /**
+   * Reposition on-screen controls
+   * @param {number} width - New screen width
+   * @param {number} height - New screen height
+   */
+  handleResize(width, height) {
+    this.controls.handleResize(width, height);
+  }
+
+  /**
+   * Remove on-screen controls
+   */
+  destroy() {
+    if (this.unbindDashAimKey) {
+      this.unbindDashAimKey();
+    }
+
+    this.controls.destroy();
   }
 
   /**
@@ -84,11 +167,16 @@ export class InputHandler {
    */
   handleDashKeyDown() {
     // Check if currently dashing or no dash charges available
-    if (this.isDashing || !this.hasDashCharge()) return;
+    if (this.replaying || this.isDashing || this.fall || !this.hasDashCharge()) return;
 
     // Get direction
     let direction;
-    if (this.controls.isMoving()) {
+    const aim = this.dashTowardCursor ? this.getAimAngle() : null;
+
+    if (aim !== null) {
+      // Dash where the player is aiming
+      direction = { x: Math.cos(aim), y: Math.sin(aim) };
+    } else if (this.controls.isMoving()) {
       // Use current movement direction
       direction = this.controls.getDirectionVector();
     } else {
@@ -102,6 +190,8 @@ export class InputHandler {
 
   /**
    * Execute dash movement
+   * The dash is predicted right away and shares the input sequence, so the
+   * server's dashResult can confirm it or roll it back
    * @param {Object} direction - Direction vector {x, y}
    * @returns {boolean} - True if dash was executed
    */
@@ -119,54 +209,26 @@ export class InputHandler {
     this.dashDirection = direction;
     this.dashStartPosition = this.playerManager.getPlayerPosition();
 
-    // Calculate target position without wall consideration
-    const fullDashTarget = {
-      x: this.dashStartPosition.x + direction.x * this.dashDistance,
-      y: this.dashStartPosition.y + direction.y * this.dashDistance,
-    };
-
     // Find the farthest valid position (ray cast approach)
-    let validPosition = { ...fullDashTarget };
-    let hitWall = false;
-
-    if (this.collisionSystem) {
-      // Check intervals along the dash path
-      const steps = 10; // Number of points to check
-      for (let i = 1; i <= steps; i++) {
-        // Calculate position at this step (from start to end)
-        const progress = i / steps;
-        const checkX =
-          this.dashStartPosition.x + direction.x * this.dashDistance * progress;
-        const checkY =
-          this.dashStartPosition.y + direction.y * this.dashDistance * progress;
-
-        // Check collision at this point
-        if (this.collisionSystem.checkCollision(checkX, checkY)) {
-          // Found collision - use previous valid position
-          hitWall = true;
-
-          // Use the previous valid position (slightly back from collision)
-          const prevProgress = (i - 1) / steps;
-          validPosition = {
-            x:
-              this.dashStartPosition.x +
-              direction.x * this.dashDistance * prevProgress,
-            y:
-              this.dashStartPosition.y +
-              direction.y * this.dashDistance * prevProgress,
-          };
-
-          // Stop checking further points
-          break;
-        }
-      }
-    }
+    const end = castDash(
+      this.dashStartPosition,
+      direction,
+      this.collisionSystem,
+      this.dashDistance
+    );
+    const hitWall = end.hitWall;
 
     // Set final target position
-    this.dashTargetPosition = validPosition;
+    this.dashTargetPosition = { x: end.x, y: end.y };
+    this.dashFell = end.fell;
 
     // Consume dash charge
-    this.consumeDashCharge();
+    const chargeIndex = this.consumeDashCharge();
+
+    // Remember the dash until the server confirms it
+    const seq = this.inputSequence++;
+    this.activeDashSeq = seq;
+    this.pendingDashes.push({ seq, direction: { ...direction }, chargeIndex });
 
     // Play dash effect
     this.playDashEffect();
@@ -178,10 +240,17 @@ export class InputHandler {
 
     // Send dash input to server
     if (this.networkHandler) {
+      // Movement before the dash must reach the server first, otherwise it
+      // would be skipped as older than the dash's sequence
+      if (this.pendingInputs.length > 0) {
+        this.networkHandler.sendInputBatch(this.pendingInputs);
+      }
+
       this.networkHandler.sendInput({
         type: "dash",
         direction: direction,
-        seq: this.inputSequence++,
+        facing: this.facing,
+        seq,
         timestamp: this.dashStartTime,
         hitWall: hitWall,
       });
@@ -190,6 +259,55 @@ export class InputHandler {
     return true;
   }
 
+  /**
+   * Apply the server's verdict on a predicted dash
+   * Charges are taken from the server; a rejected dash is cancelled and its
+   * charge handed back, leaving the position for reconciliation to fix
+   * @param {Object} result - Dash result {seq, accepted, x, y, charges, reason}
+   * @returns {boolean} - True if the dash is still playing and was retargeted
+   */
+  handleDashResult(result) {
+    const index = this.pendingDashes.findIndex(
+      (dash) => dash.seq === result.seq
+    );
+    const dash = index !== -1 ? this.pendingDashes.splice(index, 1)[0] : null;
+    const isActive = this.isDashing && this.activeDashSeq === result.seq;
+
+    if (result.charges) {
+      this.updateDashCharges(result.charges);
+
+      // Dashes the server hasn't seen yet still hold a charge
+      this.pendingDashes.forEach((pending) => {
+        pending.chargeIndex = this.consumeDashCharge();
+      });
+    } else if (!result.accepted && dash && dash.chargeIndex !== -1) {
+      this.dashCharges[dash.chargeIndex].available = true;
+      this.dashCharges[dash.chargeIndex].cooldownEndTime = 0;
+    }
+
+    if (!result.accepted) {
+      console.log(
+        `Dash ${result.seq} rejected${result.reason ? ` (${result.reason})` : ""}`
+      );
+
+      if (isActive) {
+        this.isDashing = false;
+        this.activeDashSeq = null;
+      }
+
+      return false;
+    }
+
+    // Finish the animation where the server says the dash ended
+    if (isActive) {
+      this.dashTargetPosition = { x: result.x, y: result.y };
+      this.dashFell = this.isOverHole(result.x, result.y);
+      return true;
+    }
+
+    return false;
+  }
+
   playWallImpactEffect() {
     // If we have a player sprite
     if (this.playerManager && this.playerManager.localPlayer) {
@@ -217,6 +335,18 @@ export class InputHandler {
   update(delta) {
     if (!this.controls || !this.playerManager) return false;
 
+    // Replays restore charges only through the recorded messages
+    if (!this.replaying) {
+      this.refreshDashCharges();
+      this.updateFacing();
+    }
+
+    // No control while falling into a hole
+    if (this.fall) {
+      this.updateFall();
+      return true;
+    }
+
     // If currently dashing, handle dash movement
     if (this.isDashing) {
       const now = Date.now();
@@ -245,89 +375,141 @@ export class InputHandler {
         this.playerManager.setPlayerPosition(position.x, position.y);
       } else {
         // Dash completed
+        const dashSeq = this.activeDashSeq;
         this.isDashing = false;
+        this.activeDashSeq = null;
         this.playerManager.setPlayerPosition(
           this.dashTargetPosition.x,
           this.dashTargetPosition.y
         );
+
+        // Landed in a hole
+        if (this.queuedFall) {
+          const queued = this.queuedFall;
+          this.queuedFall = null;
+          this.startFall(queued.seq, queued);
+        } else if (this.dashFell) {
+          this.startFall(dashSeq);
+        }
       }
 
       // Don't process regular movement while dashing
       return true;
     }
 
-    // Get input state
-    const inputState = this.controls.getInputState();
+    // Recorded inputs are fed in by the replay
+    if (this.replaying) return false;
 
     // Check if any movement keys are pressed
-    if (!this.controls.isMoving()) return false;
+    if (!this.controls.isMoving()) {
+      this.tickAccumulator = 0;
+      this.sendIdleFacing();
+      return false;
+    }
 
-    // Get player's current position
-    const position = this.playerManager.getPlayerPosition();
+    // Track direction for future dashes
+    const direction = this.controls.getDirectionVector();
+    if (direction.x !== 0 || direction.y !== 0) {
+      this.lastMovementDirection = { ...direction };
+    }
 
-    // Calculate movement amount
-    const moveAmount = (this.moveSpeed * delta) / 1000;
+    // Run movement in fixed ticks so prediction matches the server exactly
+    this.tickAccumulator = Math.min(
+      this.tickAccumulator + delta,
+      TICK_MS * MAX_TICKS_PER_FRAME
+    );
 
-    // Calculate target position
-    let targetX = position.x;
-    let targetY = position.y;
+    const inputState = this.controls.getInputState();
+    let moved = false;
 
-    if (inputState.left) targetX -= moveAmount;
-    if (inputState.right) targetX += moveAmount;
-    if (inputState.up) targetY -= moveAmount;
-    if (inputState.down) targetY += moveAmount;
+    while (this.tickAccumulator >= TICK_MS && !this.fall) {
+      this.tickAccumulator -= TICK_MS;
+      this.simulateTick(inputState);
+      moved = true;
+    }
 
-    // Track direction for future dashes
-    if (this.controls.isMoving()) {
+    // Send input to server with rate limiting
+    if (moved) {
+      this.sendInputToServer();
+    }
+
+    return moved;
+  }
+
+  /**
+   * Get the aim angle from the mouse or right stick
+   * @returns {number|null} - Angle in radians, or null when not aiming
+   */
+  getAimAngle() {
+    return this.controls.getAimAngle(this.playerManager.getRenderedPosition());
+  }
+
+  /**
+   * Face the aim, or the movement direction when not aiming
+   */
+  updateFacing() {
+    const aim = this.getAimAngle();
+
+    if (aim !== null) {
+      this.facing = aim;
+    } else if (this.controls.isMoving()) {
       const direction = this.controls.getDirectionVector();
-      if (direction.x !== 0 || direction.y !== 0) {
-        this.lastMovementDirection = { ...direction };
-      }
+      this.facing = Math.atan2(direction.y, direction.x);
     }
 
-    // Apply collision detection if system is available
-    let newX = targetX;
-    let newY = targetY;
-    let collided = false;
+    this.playerManager.setLocalFacing(this.facing);
+  }
 
-    if (this.collisionSystem) {
-      // Check if target position would collide
-      if (this.collisionSystem.checkCollision(targetX, targetY)) {
-        collided = true;
+  /**
+   * Send the facing while standing still
+   * Facing normally rides along with movement inputs; an input without any
+   * direction carries it when the player only turns
+   */
+  sendIdleFacing() {
+    const turned = Math.abs(Phaser.Math.Angle.Wrap(this.facing - this.lastSentFacing));
+    if (turned < this.facingThreshold) return;
 
-        // Resolve collision with sliding
-        const resolvedPosition = this.collisionSystem.resolveCollision(
-          position.x,
-          position.y,
-          targetX,
-          targetY
-        );
+    if (Date.now() - this.lastInputTime < this.inputSendRate) return;
 
-        newX = resolvedPosition.x;
-        newY = resolvedPosition.y;
+    this.simulateTick({ up: false, down: false, left: false, right: false, dash: false });
+    this.sendInputToServer();
+  }
 
-        // Play collision feedback if enough time has passed
-        const now = Date.now();
-        if (collided && now - this.lastCollisionTime > this.collisionCooldown) {
-          this.playCollisionFeedback();
-          this.lastCollisionTime = now;
-        }
-      }
-    } else {
-      // No collision system, use target directly
-      newX = targetX;
-      newY = targetY;
-    }
+  /**
+   * Predict one fixed movement tick and queue it for the server
+   * @param {Object} inputState - Current input state
+   */
+  simulateTick(inputState) {
+    const position = this.playerManager.getPlayerPosition();
 
     // Generate input command with sequence number
     const input = {
       ...inputState,
+      facing: this.facing,
       seq: this.inputSequence++,
       timestamp: Date.now(),
-      delta,
-      targetX: newX,
-      targetY: newY,
+      delta: TICK_MS,
     };
+    this.lastSentFacing = this.facing;
+
+    const result = stepMovement(
+      position,
+      input,
+      this.collisionSystem,
+      this.moveSpeed
+    );
+
+    input.targetX = result.x;
+    input.targetY = result.y;
+
+    // Play collision feedback if enough time has passed
+    if (result.collided) {
+      const now = Date.now();
+      if (now - this.lastCollisionTime > this.collisionCooldown) {
+        this.playCollisionFeedback();
+        this.lastCollisionTime = now;
+      }
+    }
 
     // Apply input locally (client-side prediction)
     this.applyInput(input);
@@ -335,10 +517,175 @@ export class InputHandler {
     // Queue input to be sent to server
     this.pendingInputs.push(input);
 
-    // Send input to server with rate limiting
-    this.sendInputToServer();
+    if (result.fell) {
+      this.startFall(input.seq);
+    }
+  }
 
-    return true;
+  /**
+   * Check if a position is over a tile the player falls through
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @returns {boolean} - True over a hole
+   */
+  isOverHole(x, y) {
+    if (!this.collisionSystem || !this.collisionSystem.collisionMap) return false;
+    return getTileBehavior(this.collisionSystem.getTileKindAt(x, y)).fallThrough;
+  }
+
+  /**
+   * Check if the player is falling into a hole
+   * @returns {boolean} - True while falling
+   */
+  isFalling() {
+    return this.fall !== null;
+  }
+
+  /**
+   * Start falling into a hole
+   * A predicted fall waits for the server's playerFell; one started by the
+   * server already knows where the player comes back
+   * @param {number} seq - Sequence number of the input that fell
+   * @param {Object} result - playerFell message, or null when predicted
+   */
+  startFall(seq, result = null) {
+    this.fall = {
+      seq,
+      startTime: Date.now(),
+      confirmed: !!result,
+      respawn: result ? { x: result.respawnX, y: result.respawnY } : null,
+    };
+    this.tickAccumulator = 0;
+
+    if (result) {
+      this.playerManager.setPlayerPosition(result.x, result.y);
+      this.playerManager.clearVisualCorrection();
+    } else if (this.networkHandler && this.pendingInputs.length > 0) {
+      // The input that fell must reach the server for it to answer
+      this.networkHandler.sendInputBatch(this.pendingInputs);
+    }
+
+    this.playerManager.playLocalFall();
+  }
+
+  /**
+   * Play out a fall and put the player back once the server confirmed it
+   */
+  updateFall() {
+    if (!this.fall.confirmed) {
+      // No playerFell or ack in time - give up on the prediction and let
+      // the server's last position decide (replays wait for the recording)
+      if (
+        !this.replaying &&
+        Date.now() - this.fall.startTime > this.fallConfirmTimeout
+      ) {
+        console.warn(`Fall at seq ${this.fall.seq} was never confirmed`);
+        this.cancelFall();
+        if (this.networkHandler) {
+          this.networkHandler.reconcileWithLastAck();
+        }
+        return;
+      }
+
+      // Keep the falling input going out until it is acknowledged
+      this.sendInputToServer();
+      return;
+    }
+
+    if (Date.now() - this.fall.startTime < this.playerManager.fallDuration) return;
+
+    // Everything up to the fall was handled by the server
+    const { respawn } = this.fall;
+    this.fall = null;
+    this.pendingInputs = [];
+    this.pendingDashes = [];
+
+    this.playerManager.setPlayerPosition(respawn.x, respawn.y);
+    this.playerManager.clearVisualCorrection();
+    this.playerManager.resetLocalFall();
+  }
+
+  /**
+   * Apply the server's playerFell for the local player
+   * @param {Object} result - Fall message {seq, x, y, respawnX, respawnY}
+   */
+  handleFallResult(result) {
+    if (this.fall) {
+      this.fall.confirmed = true;
+      this.fall.respawn = { x: result.respawnX, y: result.respawnY };
+      return;
+    }
+
+    // Let the dash land first, then fall
+    if (this.isDashing) {
+      this.queuedFall = result;
+      return;
+    }
+
+    this.startFall(result.seq, result);
+  }
+
+  /**
+   * Stand back up after a fall the server didn't confirm
+   */
+  cancelFall() {
+    this.fall = null;
+    this.queuedFall = null;
+    this.playerManager.resetLocalFall();
+  }
+
+  /**
+   * Predict a recorded movement input under its original sequence number
+   * @param {Object} input - Recorded input {seq, up, down, left, right, facing}
+   */
+  replayInput(input) {
+    if (!this.playerManager) return;
+
+    this.replayFacing(input.facing);
+    this.inputSequence = input.seq;
+    this.simulateTick({
+      up: input.up,
+      down: input.down,
+      left: input.left,
+      right: input.right,
+      dash: input.dash,
+    });
+  }
+
+  /**
+   * Predict a recorded dash under its original sequence number
+   * @param {Object} input - Recorded dash input {seq, direction, facing}
+   */
+  replayDash(input) {
+    this.replayFacing(input.facing);
+
+    // Let a dash that is still animating land first
+    if (this.isDashing) {
+      this.isDashing = false;
+      this.activeDashSeq = null;
+      this.playerManager.setPlayerPosition(
+        this.dashTargetPosition.x,
+        this.dashTargetPosition.y
+      );
+    }
+
+    // Charges come from the recorded dashResult and dashChargeRestored
+    // messages, so a dash without one shows that the replay diverged
+    this.inputSequence = input.seq;
+    if (!this.executeDash(input.direction)) {
+      console.warn(`Replayed dash ${input.seq} had no charge`);
+    }
+  }
+
+  /**
+   * Show a recorded facing angle (recordings from before facing have none)
+   * @param {number} facing - Facing angle in radians
+   */
+  replayFacing(facing) {
+    if (typeof facing !== "number") return;
+
+    this.facing = facing;
+    this.playerManager.setLocalFacing(facing);
   }
 
   /**
@@ -368,11 +715,8 @@ export class InputHandler {
 
     this.lastInputTime = now;
 
-    // CHANGE: Instead of just sending the most recent input,
-    // send ALL pending inputs that haven't been acknowledged yet
-    // This ensures no inputs are lost
-
-    // Send all pending inputs to server
+    // Hand over everything unacknowledged - the network handler picks
+    // which inputs still need (re)sending
     this.networkHandler.sendInputBatch(this.pendingInputs);
 
     // NOTE: Do NOT clear pendingInputs here - wait for server ack
@@ -390,10 +734,36 @@ export class InputHandler {
       this.pendingInputs = this.pendingInputs.filter(
         (input) => input.seq > sequence
       );
+
+      // The server's position already includes any dash it processed
+      this.pendingDashes = this.pendingDashes.filter(
+        (dash) => dash.seq > sequence
+      );
+
+      // The server got past the input that fell without a playerFell, so
+      // the fall was mispredicted
+      if (this.fall && !this.fall.confirmed && sequence >= this.fall.seq) {
+        this.cancelFall();
+      }
       //console.log(`Acknowledged inputs up to seq ${sequence}, remaining: ${this.pendingInputs.length}`);
     }
   }
 
+  /**
+   * Drop all unacknowledged inputs, e.g. after a reconnect where the server
+   * never received them
+   */
+  clearPendingInputs() {
+    this.pendingInputs = [];
+    this.pendingDashes = [];
+    this.isDashing = false;
+    this.activeDashSeq = null;
+
+    if (this.fall || this.queuedFall) {
+      this.cancelFall();
+    }
+  }
+
   /**
    * Reapply any inputs that haven't been processed by server yet
    * @param {Object} startPosition - Position to start reapplying from
@@ -403,12 +773,49 @@ export class InputHandler {
 
     //console.log('Pending Inputs', this.pendingInputs);
 
-    // Reset player to authoritative position
-    this.playerManager.setPlayerPosition(startPosition.x, startPosition.y);
+    // Re-simulate every pending input from the authoritative position so
+    // collisions and speed are evaluated again instead of trusting old targets
+    let state = { x: startPosition.x, y: startPosition.y };
+    let dashIndex = 0;
+
+    const replayDashesBefore = (seq) => {
+      while (
+        dashIndex < this.pendingDashes.length &&
+        this.pendingDashes[dashIndex].seq < seq
+      ) {
+        const dash = this.pendingDashes[dashIndex++];
+        const end = castDash(
+          state,
+          dash.direction,
+          this.collisionSystem,
+          this.dashDistance
+        );
+
+        // Keep an in-flight dash animation heading for the new end point
+        if (this.isDashing && this.activeDashSeq === dash.seq) {
+          this.dashStartPosition = { x: state.x, y: state.y };
+          this.dashTargetPosition = { x: end.x, y: end.y };
+          this.dashFell = end.fell;
+        }
+
+        state = { x: end.x, y: end.y };
+      }
+    };
 
-    // Reapply all pending inputs
     for (const input of this.pendingInputs) {
-      this.applyInput(input);
+      replayDashesBefore(input.seq);
+      state = stepMovement(state, input, this.collisionSystem, this.moveSpeed);
+      input.targetX = state.x;
+      input.targetY = state.y;
+    }
+
+    replayDashesBefore(Infinity);
+
+    this.playerManager.setPlayerPosition(state.x, state.y);
+
+    // Update collision debug visualization if available
+    if (this.collisionSystem && this.collisionSystem.debug) {
+      this.collisionSystem.updateDebug(state.x, state.y);
     }
   }
 
@@ -446,36 +853,37 @@ export class InputHandler {
   }
 
   /**
-   * Consume a dash charge and start cooldown
+   * Consume a dash charge and start its predicted cooldown
+   * @returns {number} - Index of the consumed charge, or -1
    */
   consumeDashCharge() {
     for (let i = 0; i < this.dashCharges.length; i++) {
       if (this.dashCharges[i].available) {
         this.dashCharges[i].available = false;
         this.dashCharges[i].cooldownEndTime =
-          Date.now() + this.dashCooldown * 1000;
-
-        // Start cooldown timer
-        this.startChargeCooldown(i);
-        break;
+          gameState.now() + this.dashCooldown * 1000;
+        return i;
       }
     }
+
+    return -1;
   }
 
   /**
-   * Start cooldown for a specific charge
-   * @param {number} chargeIndex - Index of the charge
+   * Restore charges whose cooldown has run out on the server clock
    */
-  startChargeCooldown(chargeIndex) {
-    setTimeout(() => {
-      if (chargeIndex < this.dashCharges.length) {
-        this.dashCharges[chargeIndex].available = true;
-        this.dashCharges[chargeIndex].cooldownEndTime = 0;
+  refreshDashCharges() {
+    const now = gameState.now();
+
+    this.dashCharges.forEach((charge) => {
+      if (!charge.available && charge.cooldownEndTime && now >= charge.cooldownEndTime) {
+        charge.available = true;
+        charge.cooldownEndTime = 0;
 
         // Play charge refill effect/sound
         this.playChargeRefillEffect();
       }
-    }, this.dashCooldown * 1000);
+    });
   }
 
   /**
@@ -514,7 +922,24 @@ export class InputHandler {
    * @param {Array} chargesData - Dash charges data from server
    */
   updateDashCharges(chargesData) {
-    // Update charge state from server
-    this.dashCharges = chargesData;
+    // Update charge state from server, keeping end times on the server clock
+    this.dashCharges = chargesData.map((charge) => ({
+      available: charge.available,
+      cooldownEndTime: charge.available
+        ? 0
+        : charge.cooldownEndsAt ?? charge.cooldownEndTime ?? 0,
+    }));
+  }
+}
+
+/**
+ * Read the saved dash-toward-cursor setting
+ * @returns {boolean} - True if enabled
+ */
+function loadDashAimSetting() {
+  try {
+    return localStorage.getItem(DASH_AIM_STORAGE_KEY) === "1";
+  } catch (error) {
+    return false;
   }
 }
@@ -1,4 +1,7 @@
 // src/managers/NetworkHandler.js - With toggleable dash animation
+import messageBus from "../systems/MessageBus.js";
+import networkManager from "../systems/NetworkManager.js";
+import { encodeInputBatch } from "../systems/InputCodec.js";
 
 export class NetworkHandler {
   constructor(scene, room, playerId) {
@@ -12,9 +15,14 @@ export class NetworkHandler {
     // Configuration options
     this.enableDashAnimation = true; // Toggle for dash animations
     this.dashAnimationDuration = 100; // Milliseconds, keep this short (80-120ms recommended)
+    this.compactInputs = false; // Send input batches with the binary codec - only once the server decodes playerInputPacked
+    this.inputRedundancy = 3; // Consecutive batches each new input rides in
+    this.minResendInterval = 100; // Milliseconds before an unacknowledged input is resent
+    this.maxInputsPerBatch = 32; // Cap on inputs per batch
 
     // Last received sequence from server
     this.lastProcessedSequence = 0;
+    this.lastAck = null; // Newest inputAck {seq, x, y}, for late reconciliation
 
     this.playerLatestPositions = new Map(); // Store the latest server position for each player
     this.playerSequenceNumbers = new Map(); // Track latest sequence number for each player
@@ -26,6 +34,16 @@ export class NetworkHandler {
     this.setupMessageHandlers();
   }
 
+  /**
+   * Switch to a new room instance, e.g. after a reconnect
+   * Message subscriptions are rebound by the message bus
+   * @param {Room} room - Colyseus room
+   */
+  setRoom(room) {
+    this.room = room;
+    this.lastAck = null;
+  }
+
   /**
    * Set player manager reference
    * @param {PlayerManager} playerManager - Player manager instance
@@ -63,6 +81,22 @@ export class NetworkHandler {
       this.dashAnimationDuration = options.dashAnimationDuration;
     }
 
+    if (options.compactInputs !== undefined) {
+      this.compactInputs = options.compactInputs;
+    }
+
+    if (options.inputRedundancy !== undefined) {
+      this.inputRedundancy = options.inputRedundancy;
+    }
+
+    if (options.minResendInterval !== undefined) {
+      this.minResendInterval = options.minResendInterval;
+    }
+
+    if (options.maxInputsPerBatch !== undefined) {
+      this.maxInputsPerBatch = options.maxInputsPerBatch;
+    }
+
     return this;
   }
 
@@ -70,29 +104,41 @@ export class NetworkHandler {
    * Set up message handlers
    */
   setupMessageHandlers() {
-    if (!this.room) {
-      console.error("Room not available for network handler");
-      return;
-    }
+    this.unsubscribeMessages = messageBus.subscribeAll({
+      // Handle input acknowledgement
+      inputAck: this.handleInputAck.bind(this),
 
-    // Handle input acknowledgement
-    this.room.onMessage("inputAck", this.handleInputAck.bind(this));
+      // Handle player movement
+      playerMoved: this.handlePlayerMoved.bind(this),
 
-    // Handle player movement
-    this.room.onMessage("playerMoved", this.handlePlayerMoved.bind(this));
+      // Handle player joined
+      playerJoined: this.handlePlayerJoined.bind(this),
 
-    // Handle player joined
-    this.room.onMessage("playerJoined", this.handlePlayerJoined.bind(this));
+      // Handle player left
+      playerLeft: this.handlePlayerLeft.bind(this),
 
-    // Handle player left
-    this.room.onMessage("playerLeft", this.handlePlayerLeft.bind(this));
+      // Dash handlers
+      playerDashed: this.handlePlayerDashed.bind(this),
+      dashResult: this.handleDashResult.bind(this),
+      dashChargeRestored: this.handleDashChargeRestored.bind(this),
 
-    // Dash handlers
-    this.room.onMessage("playerDashed", this.handlePlayerDashed.bind(this));
-    this.room.onMessage(
-      "dashChargeRestored",
-      this.handleDashChargeRestored.bind(this)
-    );
+      // Falling into holes
+      playerFell: this.handlePlayerFell.bind(this),
+    });
+  }
+
+  /**
+   * Remove message subscriptions
+   */
+  destroy() {
+    if (this.unsubscribeMessages) {
+      this.unsubscribeMessages();
+      this.unsubscribeMessages = null;
+    }
+
+    if (window.testNetworkHandler === this) {
+      window.testNetworkHandler = null;
+    }
   }
 
   /**
@@ -168,55 +214,32 @@ export class NetworkHandler {
     this.createPositionFlash(startX, startY, 0x00ffff); // Blue flash at start
     this.createPositionFlash(endX, endY, 0xffff00); // Yellow flash at end
 
-    // HANDLE PLAYER POSITION BASED ON ANIMATION TOGGLE
+    // Feed the dash into the interpolation buffer
     if (this.enableDashAnimation) {
-      // ANIMATION ENABLED:
-      // 1. First set player to start position
-      otherPlayer.x = startX;
-      otherPlayer.y = startY;
-
-      console.log(`Dash animation enabled: ${otherPlayer.x},${otherPlayer.y} -> ${endX},${endY}`);
+      // Play the dash back over a short window on the interpolation timeline
+      const now = this.playerManager.getSnapshotTime(message.serverTime);
+      this.playerManager.updateOtherPlayer(
+        message.id,
+        startX,
+        startY,
+        undefined,
+        now
+      );
+      this.playerManager.updateOtherPlayer(
+        message.id,
+        endX,
+        endY,
+        undefined,
+        now + this.dashAnimationDuration
+      );
 
-      // 2. Animate to end position with a short tween
-      this.scene.tweens.add({
-        targets: otherPlayer,
-        x: endX,
-        y: endY,
-        duration: this.dashAnimationDuration,
-        ease: "Sine.Out",
-        onUpdate: () => {
-          // Update name label position during animation
-          if (
-            this.playerManager.playerNameLabels &&
-            this.playerManager.playerNameLabels[message.id]
-          ) {
-            const nameLabel = this.playerManager.playerNameLabels[message.id];
-            nameLabel.x = otherPlayer.x;
-            nameLabel.y = otherPlayer.y - 40;
-          }
-        },
-      });
+      // A dash says nothing about how the player keeps moving afterwards
+      this.playerManager.resetRemoteVelocity(message.id);
     } else {
-      // ANIMATION DISABLED - INSTANT POSITION UPDATE:
-      // Just set to final position immediately
-      otherPlayer.x = endX;
-      otherPlayer.y = endY;
-
-      // Update name label position
-      if (
-        this.playerManager.playerNameLabels &&
-        this.playerManager.playerNameLabels[message.id]
-      ) {
-        const nameLabel = this.playerManager.playerNameLabels[message.id];
-        nameLabel.x = endX;
-        nameLabel.y = endY - 40;
-      }
+      // Jump straight to the final position
+      this.playerManager.teleportOtherPlayer(message.id, endX, endY);
     }
 
-    // In both cases, update target position for interpolation system
-    otherPlayer.targetX = endX;
-    otherPlayer.targetY = endY;
-
     // Save the position and sequence as player properties for debugging
     otherPlayer._lastPositionX = endX;
     otherPlayer._lastPositionY = endY;
@@ -232,6 +255,65 @@ export class NetworkHandler {
     }
   }
 
+  /**
+   * Handle the server confirming or rejecting our predicted dash
+   * @param {Object} message - Dash result message
+   */
+  handleDashResult(message) {
+    if (!this.inputHandler) return;
+
+    const stillDashing = this.inputHandler.handleDashResult(message);
+
+    // A newer ack already carried the outcome of this dash
+    if (message.seq < this.lastProcessedSequence) return;
+
+    if (stillDashing) {
+      // The animation lands on the confirmed position, only drop acked inputs
+      this.lastProcessedSequence = message.seq;
+      this.inputHandler.handleInputAck(message.seq);
+      return;
+    }
+
+    // Treat the result as an ack; a rejection forces the rollback
+    this.handleInputAck({
+      seq: message.seq,
+      x: message.x,
+      y: message.y,
+      collided: !message.accepted,
+    });
+
+    if (!message.accepted && this.scene.uiManager) {
+      this.scene.uiManager.showNotification("Dash rejected");
+    }
+  }
+
+  /**
+   * Handle a player falling into a hole
+   * @param {Object} message - Fall message {id, seq, x, y, respawnX, respawnY}
+   */
+  handlePlayerFell(message) {
+    if (message.id !== this.playerId) {
+      if (this.playerManager) {
+        this.playerManager.playOtherPlayerFall(
+          message.id,
+          message.x,
+          message.y,
+          message.respawnX,
+          message.respawnY
+        );
+      }
+      return;
+    }
+
+    if (this.inputHandler) {
+      this.inputHandler.handleFallResult(message);
+    }
+
+    if (this.scene.uiManager) {
+      this.scene.uiManager.showNotification("You fell into a hole!");
+    }
+  }
+
   /**
    * Handle dash charge restoration notification
    * @param {Object} message - Dash charge restoration message
@@ -350,10 +432,14 @@ export class NetworkHandler {
   handleInputAck(message) {
     // Update last processed sequence
     this.lastProcessedSequence = message.seq;
+    this.lastAck = { seq: message.seq, x: message.x, y: message.y };
 
     // Clear acknowledged inputs
     if (this.inputHandler) {
       this.inputHandler.handleInputAck(message.seq);
+
+      // A confirmed fall puts the player back down itself
+      if (this.inputHandler.isFalling()) return;
     }
 
     // Reconcile if positions don't match
@@ -369,6 +455,20 @@ export class NetworkHandler {
     }
   }
 
+  /**
+   * Reconcile against the newest ack again, e.g. after giving up on a
+   * predicted fall that held back reconciliation
+   */
+  reconcileWithLastAck() {
+    if (!this.lastAck || !this.reconciliationManager) return;
+
+    this.reconciliationManager.reconcile(
+      { x: this.lastAck.x, y: this.lastAck.y },
+      this.lastAck.seq,
+      false
+    );
+  }
+
   /**
    * Handle player moved message
    * @param {Object} message - Player moved message
@@ -488,9 +588,14 @@ export class NetworkHandler {
         message.id,
         message.x,
         message.y,
-        message.name
+        message.name,
+        this.playerManager.getSnapshotTime(message.serverTime)
       );
 
+      if (typeof message.facing === "number") {
+        this.playerManager.setOtherPlayerFacing(message.id, message.facing);
+      }
+
       // Save the position for debugging
       otherPlayer = this.playerManager.otherPlayers[message.id];
       if (this.playerManager.otherPlayers[message.id]) {
@@ -548,18 +653,72 @@ export class NetworkHandler {
     }
   }
 
+  /**
+   * Share a map ping with the room
+   * The server echoes it back to every player, including this one
+   * @param {string} type - Ping type (see PING_TYPES)
+   * @param {number} x - World X position
+   * @param {number} y - World Y position
+   */
+  sendMapPing(type, x, y) {
+    if (!this.room) return;
+
+    try {
+      this.room.send("mapPing", { type, x, y });
+    } catch (error) {
+      console.error("Error sending map ping to server:", error);
+    }
+  }
+
+  /**
+   * Get how long an input may go unacknowledged before it is resent
+   * @returns {number} - About one round trip in ms
+   */
+  getResendInterval() {
+    const rtt = networkManager.getRTT() || 0;
+    return Math.max(this.minResendInterval, rtt + 2 * networkManager.getJitter());
+  }
+
   /**
    * Send a batch of inputs to the server
-   * @param {Array} inputs - Array of input commands
+   * Each new input rides along in a few consecutive batches so a lost packet
+   * is covered. After that, an input still unacknowledged a round trip
+   * after its last send went missing and is sent again, until it is acked
+   * @param {Array} inputs - Pending input commands, oldest first
    */
   sendInputBatch(inputs) {
     if (!this.room || inputs.length === 0) return;
 
+    const timestamp = Date.now();
+    const resendInterval = this.getResendInterval();
+
+    const batch = [];
+    for (const input of inputs) {
+      if (batch.length >= this.maxInputsPerBatch) break;
+
+      if (
+        (input.sendCount || 0) < this.inputRedundancy ||
+        timestamp - input.lastSentAt >= resendInterval
+      ) {
+        batch.push(input);
+      }
+    }
+
+    if (batch.length === 0) return;
+
     try {
-      // Send the entire batch of inputs to ensure nothing is lost
-      this.room.send("playerInputBatch", {
-        inputs: inputs,
-        timestamp: Date.now(),
+      if (this.compactInputs) {
+        this.room.send("playerInputPacked", encodeInputBatch(batch, timestamp));
+      } else {
+        this.room.send("playerInputBatch", {
+          inputs: batch,
+          timestamp,
+        });
+      }
+
+      batch.forEach((input) => {
+        input.sendCount = (input.sendCount || 0) + 1;
+        input.lastSentAt = timestamp;
       });
     } catch (error) {
       console.error("Error sending input batch to server:", error);
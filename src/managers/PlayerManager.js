@@ -1,4 +1,11 @@
 import gameState from "../systems/GameState";
+import { SnapshotBuffer } from "../systems/SnapshotBuffer.js";
+import { resolveMapCollision } from "../systems/CollisionSystem.js";
+import { MOVE_SPEED } from "../systems/MovementSimulation.js";
+import networkManager from "../systems/NetworkManager.js";
+
+// Facing arrows sit this far from the player's center
+const FACING_INDICATOR_OFFSET = 26;
 
 // src/managers/PlayerManager.js
 export class PlayerManager {
@@ -10,10 +17,47 @@ export class PlayerManager {
     // Player entities
     this.localPlayer = null;
     this.nameLabel = null;
+    this.localFacingIndicator = null;
+    this.localFacing = Math.PI / 2;
+    
+    // Simulated position (prediction/reconciliation) and the visual offset
+    // still being blended out after a correction
+    this.simulationPosition = { x: 0, y: 0 };
+    this.correctionOffset = { x: 0, y: 0 };
+    this.correctionSmoothingTime = 100; // ms for the offset to decay to ~37%
     
     // Other players
     this.otherPlayers = {};
     this.playerNameLabels = {};
+    this.snapshotBuffers = {};
+    
+    // Remote facing, turned smoothly toward the latest angle received
+    this.facingIndicators = {};
+    this.remoteFacing = {};
+    this.facingTurnTime = 60; // ms for the angle gap to decay to ~37%
+    
+    // Length of the falling-into-a-hole animation
+    this.fallDuration = 600; // ms
+    
+    // Local player's vision - remote players out of sight are hidden
+    this.fieldOfView = null;
+    
+    // Remote players render this far behind the newest snapshot (ms).
+    // Snapshots are on the server clock, so this only has to cover the
+    // server's send interval and jitter, not the latency itself
+    this.interpolationDelay = 100;
+    this.maxExtrapolation = 200;
+    
+    // Dead reckoning: when snapshots stop arriving, keep remote players
+    // moving along their estimated velocity instead of freezing them
+    this.remoteMotion = {};
+    this.deadReckoning = {
+      enabled: true,
+      maxTime: 500, // ms to keep extrapolating before holding still
+      velocitySmoothing: 0.5, // 0-1, weight of the newest velocity sample
+      blendTime: 120, // ms for the guess/actual gap to decay to ~37%
+      maxSpeed: MOVE_SPEED * Math.SQRT2 // Diagonal movement isn't normalized
+    };
     
     // Get player data from room state if available
     let initialX = 400;
@@ -42,6 +86,8 @@ export class PlayerManager {
    * @param {number} y - Initial Y position
    */
   createLocalPlayer(x, y) {
+    this.simulationPosition = { x, y };
+    
     // Create player sprite
     this.localPlayer = this.scene.add.sprite(x, y, 'character');
     this.localPlayer.setTint(0x00ff00); // Green for local player
@@ -58,6 +104,10 @@ export class PlayerManager {
       padding: { x: 3, y: 2 }
     }).setOrigin(0.5).setDepth(10);
     
+    // Arrow showing where the player faces
+    this.localFacingIndicator = this.createFacingIndicator(0x00ff00);
+    this.positionFacingIndicator(this.localFacingIndicator, x, y, this.localFacing);
+    
     // Make camera follow player
     this.scene.cameras.main.startFollow(this.localPlayer, true, 0.08, 0.08);
     
@@ -65,22 +115,86 @@ export class PlayerManager {
   }
   
   /**
-   * Get current player position
+   * Get current simulated player position
    * @returns {Object} - Player position {x, y}
    */
   getPlayerPosition() {
     if (!this.localPlayer) return { x: 0, y: 0 };
-    return { x: this.localPlayer.x, y: this.localPlayer.y };
+    return { x: this.simulationPosition.x, y: this.simulationPosition.y };
   }
   
   /**
-   * Set player position
+   * Set simulated player position
    * @param {number} x - X position
    * @param {number} y - Y position
    */
   setPlayerPosition(x, y) {
     if (!this.localPlayer) return;
     
+    this.simulationPosition.x = x;
+    this.simulationPosition.y = y;
+    
+    this.renderLocalPlayer();
+  }
+  
+  /**
+   * Get the position the local player is currently drawn at
+   * @returns {Object} - Rendered position {x, y}
+   */
+  getRenderedPosition() {
+    if (!this.localPlayer) return { x: 0, y: 0 };
+    return { x: this.localPlayer.x, y: this.localPlayer.y };
+  }
+  
+  /**
+   * Spread a simulation correction over the next few frames
+   * @param {number} dx - X distance the simulation jumped back by
+   * @param {number} dy - Y distance the simulation jumped back by
+   */
+  addVisualCorrection(dx, dy) {
+    this.correctionOffset.x += dx;
+    this.correctionOffset.y += dy;
+    this.renderLocalPlayer();
+  }
+  
+  /**
+   * Drop any pending visual correction so the sprite snaps to the simulation
+   */
+  clearVisualCorrection() {
+    this.correctionOffset.x = 0;
+    this.correctionOffset.y = 0;
+    this.renderLocalPlayer();
+  }
+  
+  /**
+   * Decay the visual correction offset
+   * @param {number} delta - Time since last update in ms
+   */
+  updateLocalPlayer(delta) {
+    if (this.correctionOffset.x === 0 && this.correctionOffset.y === 0) return;
+    
+    // Frame-rate independent exponential decay
+    const decay = Math.exp(-delta / this.correctionSmoothingTime);
+    this.correctionOffset.x *= decay;
+    this.correctionOffset.y *= decay;
+    
+    if (Math.abs(this.correctionOffset.x) < 0.1 && Math.abs(this.correctionOffset.y) < 0.1) {
+      this.correctionOffset.x = 0;
+      this.correctionOffset.y = 0;
+    }
+    
+    this.renderLocalPlayer();
+  }
+  
+  /**
+   * Draw the local player at its simulated position plus correction offset
+   */
+  renderLocalPlayer() {
+    if (!this.localPlayer) return;
+    
+    const x = this.simulationPosition.x + this.correctionOffset.x;
+    const y = this.simulationPosition.y + this.correctionOffset.y;
+    
     this.localPlayer.x = x;
     this.localPlayer.y = y;
     
@@ -89,6 +203,293 @@ export class PlayerManager {
       this.nameLabel.x = x;
       this.nameLabel.y = y - 40;
     }
+    
+    this.positionFacingIndicator(this.localFacingIndicator, x, y, this.localFacing);
+  }
+  
+  /**
+   * Set the local player's facing angle
+   * @param {number} angle - Angle in radians (0 = right)
+   */
+  setLocalFacing(angle) {
+    this.localFacing = angle;
+    
+    if (this.localPlayer) {
+      this.positionFacingIndicator(
+        this.localFacingIndicator, this.localPlayer.x, this.localPlayer.y, angle
+      );
+    }
+  }
+  
+  /**
+   * Show the local player falling into a hole
+   * The player is hidden while a copy shrinks away at the hole
+   */
+  playLocalFall() {
+    if (!this.localPlayer) return;
+    
+    this.playFallEffect(this.localPlayer.x, this.localPlayer.y, 0x00ff00);
+    this.setLocalPlayerVisible(false);
+  }
+  
+  /**
+   * Show the local player again after a fall
+   */
+  resetLocalFall() {
+    this.setLocalPlayerVisible(true);
+  }
+  
+  /**
+   * Show a remote player falling into a hole, then put them at the respawn
+   * @param {string} id - Player ID
+   * @param {number} x - X position of the hole
+   * @param {number} y - Y position of the hole
+   * @param {number} respawnX - X position the server put them back at
+   * @param {number} respawnY - Y position the server put them back at
+   */
+  playOtherPlayerFall(id, x, y, respawnX, respawnY) {
+    const player = this.otherPlayers[id];
+    if (!player) return;
+    
+    this.playFallEffect(x, y, 0x00aaff);
+    this.teleportOtherPlayer(id, respawnX, respawnY);
+    
+    // Fade back in once the fall has played out
+    player.setAlpha(0);
+    this.scene.tweens.add({
+      targets: player,
+      alpha: 1,
+      delay: this.fallDuration,
+      duration: 200
+    });
+  }
+  
+  /**
+   * Spin and shrink a copy of a player into a hole
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {number} tint - Player tint
+   */
+  playFallEffect(x, y, tint) {
+    const ghost = this.scene.add.sprite(x, y, 'character').setTint(tint).setDepth(9);
+    
+    this.scene.tweens.add({
+      targets: ghost,
+      scale: 0.1,
+      alpha: 0,
+      angle: 270,
+      duration: this.fallDuration,
+      ease: 'Quad.easeIn',
+      onComplete: () => ghost.destroy()
+    });
+  }
+  
+  /**
+   * Show or hide the local player with its label and facing arrow
+   * @param {boolean} visible - True to show
+   */
+  setLocalPlayerVisible(visible) {
+    [this.localPlayer, this.nameLabel, this.localFacingIndicator].forEach(object => {
+      if (object) object.setVisible(visible);
+    });
+  }
+  
+  /**
+   * Create an arrow that shows which way a player faces
+   * @param {number} color - Fill color
+   * @returns {Phaser.GameObjects.Triangle} - Arrow pointing along angle 0
+   */
+  createFacingIndicator(color) {
+    return this.scene.add.triangle(0, 0, 0, -6, 12, 0, 0, 6, color, 0.9).setDepth(11);
+  }
+  
+  /**
+   * Place a facing arrow around a player
+   * @param {Phaser.GameObjects.Triangle} indicator - Facing arrow
+   * @param {number} x - Player X position
+   * @param {number} y - Player Y position
+   * @param {number} angle - Facing angle in radians
+   */
+  positionFacingIndicator(indicator, x, y, angle) {
+    if (!indicator) return;
+    
+    indicator.setPosition(
+      x + Math.cos(angle) * FACING_INDICATOR_OFFSET,
+      y + Math.sin(angle) * FACING_INDICATOR_OFFSET
+    );
+    indicator.setRotation(angle);
+  }
+  
+  /**
+   * Set the angle a remote player faces
+   * Only players whose facing is known get an arrow
+   * @param {string} id - Player ID
+   * @param {number} angle - Angle in radians (0 = right)
+   */
+  setOtherPlayerFacing(id, angle) {
+    const player = this.otherPlayers[id];
+    if (!player) return;
+    
+    if (!this.remoteFacing[id]) {
+      this.remoteFacing[id] = { current: angle, target: angle };
+      this.facingIndicators[id] = this.createFacingIndicator(0x00aaff);
+      this.positionFacingIndicator(this.facingIndicators[id], player.x, player.y, angle);
+      return;
+    }
+    
+    this.remoteFacing[id].target = angle;
+  }
+  
+  /**
+   * Configure remote player interpolation
+   * @param {Object} options - Configuration options
+   */
+  configureInterpolation(options = {}) {
+    if (options.interpolationDelay !== undefined) {
+      this.interpolationDelay = options.interpolationDelay;
+    }
+    
+    if (options.maxExtrapolation !== undefined) {
+      this.maxExtrapolation = options.maxExtrapolation;
+    }
+    
+    if (options.deadReckoning !== undefined) {
+      this.deadReckoning = { ...this.deadReckoning, ...options.deadReckoning };
+    }
+    
+    // Dead reckoning replaces the buffer's own straight-line extrapolation
+    Object.values(this.snapshotBuffers).forEach(buffer => {
+      buffer.maxExtrapolation = this.getBufferExtrapolation();
+    });
+    
+    return this;
+  }
+  
+  /**
+   * Switch between dead reckoning and pure interpolation
+   * @param {boolean} enabled - True to extrapolate during packet gaps
+   */
+  setDeadReckoning(enabled) {
+    return this.configureInterpolation({ deadReckoning: { enabled } });
+  }
+  
+  /**
+   * Get how far snapshot buffers may extrapolate on their own
+   * @returns {number} - Max extrapolation in ms
+   * @private
+   */
+  getBufferExtrapolation() {
+    return this.deadReckoning.enabled ? 0 : this.maxExtrapolation;
+  }
+  
+  /**
+   * Get (or create) the motion state used for dead reckoning
+   * @param {string} id - Player ID
+   * @returns {Object} - Motion state
+   * @private
+   */
+  getRemoteMotion(id) {
+    if (!this.remoteMotion[id]) {
+      this.remoteMotion[id] = {
+        vx: 0,
+        vy: 0,
+        lastX: null,
+        lastY: null,
+        lastTime: null,
+        extrapolating: false,
+        extrapolatedTime: 0,
+        x: 0,
+        y: 0,
+        offsetX: 0,
+        offsetY: 0
+      };
+    }
+    
+    return this.remoteMotion[id];
+  }
+  
+  /**
+   * Update a remote player's velocity estimate from a new snapshot
+   * @param {string} id - Player ID
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {number} time - Snapshot time in ms
+   * @private
+   */
+  updateRemoteVelocity(id, x, y, time) {
+    const motion = this.getRemoteMotion(id);
+    const dt = motion.lastTime === null ? 0 : time - motion.lastTime;
+    
+    if (dt > 0 && dt < 1000) {
+      let vx = ((x - motion.lastX) / dt) * 1000;
+      let vy = ((y - motion.lastY) / dt) * 1000;
+      
+      // Clamp so dashes and corrections don't fling players across the map
+      const speed = Math.sqrt(vx * vx + vy * vy);
+      if (speed > this.deadReckoning.maxSpeed) {
+        vx *= this.deadReckoning.maxSpeed / speed;
+        vy *= this.deadReckoning.maxSpeed / speed;
+      }
+      
+      const smoothing = this.deadReckoning.velocitySmoothing;
+      motion.vx += (vx - motion.vx) * smoothing;
+      motion.vy += (vy - motion.vy) * smoothing;
+    } else if (dt >= 1000) {
+      // Too old to say anything about current movement
+      motion.vx = 0;
+      motion.vy = 0;
+    }
+    
+    motion.lastX = x;
+    motion.lastY = y;
+    motion.lastTime = time;
+  }
+  
+  /**
+   * Forget a remote player's velocity (e.g. after a dash or teleport)
+   * @param {string} id - Player ID
+   */
+  resetRemoteVelocity(id) {
+    const motion = this.remoteMotion[id];
+    if (!motion) return;
+    
+    motion.vx = 0;
+    motion.vy = 0;
+  }
+  
+  /**
+   * Advance a dead-reckoned position, sliding along walls
+   * @param {Object} motion - Motion state
+   * @param {number} delta - Time to advance in ms
+   * @private
+   */
+  advanceDeadReckoning(motion, delta) {
+    const collision = this.scene.collisionSystem;
+    const dx = (motion.vx * delta) / 1000;
+    const dy = (motion.vy * delta) / 1000;
+    
+    if (!collision || !collision.collisionMap) {
+      motion.x += dx;
+      motion.y += dy;
+      return;
+    }
+    
+    // The move is swept, so long frames can't skip through a wall
+    const resolved = resolveMapCollision(
+      collision, motion.x, motion.y, motion.x + dx, motion.y + dy, collision.playerRadius
+    );
+    
+    // Velocity into the wall stops contributing so the player slides or stops
+    if (resolved.normal) {
+      const into = motion.vx * resolved.normal.x + motion.vy * resolved.normal.y;
+      if (into < 0) {
+        motion.vx -= resolved.normal.x * into;
+        motion.vy -= resolved.normal.y * into;
+      }
+    }
+    
+    motion.x = resolved.x;
+    motion.y = resolved.y;
   }
   
   /**
@@ -97,8 +498,9 @@ export class PlayerManager {
    * @param {number} x - X position
    * @param {number} y - Y position
    * @param {string} name - Player name
+   * @param {number} time - Snapshot server time in ms (defaults to an estimate, see getSnapshotTime)
    */
-  updateOtherPlayer(id, x, y, name) {
+  updateOtherPlayer(id, x, y, name, time = this.getSnapshotTime()) {
     // Skip if it's the local player
     if (id === this.playerId) return;
     
@@ -120,11 +522,46 @@ export class PlayerManager {
       console.log(`Created other player ${id} at (${x}, ${y})`);
     }
     
-    // Update target position (will be interpolated in update)
+    if (!this.snapshotBuffers[id]) {
+      this.snapshotBuffers[id] = new SnapshotBuffer({
+        maxExtrapolation: this.getBufferExtrapolation()
+      });
+    }
+    
+    // Queue snapshot (will be interpolated in update)
+    this.snapshotBuffers[id].push(time, x, y);
+    this.updateRemoteVelocity(id, x, y, time);
     this.otherPlayers[id].targetX = x;
     this.otherPlayers[id].targetY = y;
   }
   
+  /**
+   * Move other player instantly, discarding interpolation history
+   * @param {string} id - Player ID
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   */
+  teleportOtherPlayer(id, x, y) {
+    const player = this.otherPlayers[id];
+    if (!player) return;
+    
+    this.snapshotBuffers[id].reset(this.getSnapshotTime(), x, y);
+    delete this.remoteMotion[id];
+    player.x = x;
+    player.y = y;
+    player.targetX = x;
+    player.targetY = y;
+    
+    if (this.playerNameLabels[id]) {
+      this.playerNameLabels[id].x = x;
+      this.playerNameLabels[id].y = y - 40;
+    }
+    
+    if (this.remoteFacing[id]) {
+      this.positionFacingIndicator(this.facingIndicators[id], x, y, this.remoteFacing[id].current);
+    }
+  }
+  
   /**
    * Remove other player
    * @param {string} id - Player ID
@@ -145,34 +582,160 @@ export class PlayerManager {
       delete this.playerNameLabels[id];
     }
     
+    // Remove facing arrow
+    if (this.facingIndicators[id]) {
+      this.facingIndicators[id].destroy();
+      delete this.facingIndicators[id];
+    }
+    
+    delete this.snapshotBuffers[id];
+    delete this.remoteMotion[id];
+    delete this.remoteFacing[id];
+    
     console.log(`Removed player ${id}`);
   }
   
   /**
-   * Update other players with interpolation
+   * Bring other players in line with the server's player collection
+   * @param {MapSchema} players - Players from room state, keyed by session ID
+   */
+  syncOtherPlayers(players) {
+    // Remove players that are no longer in the room
+    for (const id in this.otherPlayers) {
+      if (!players.has(id)) {
+        this.removeOtherPlayer(id);
+      }
+    }
+    
+    // Create or move the rest to their authoritative positions
+    players.forEach((player, id) => {
+      if (id === this.playerId || !player.position) return;
+      
+      this.updateOtherPlayer(id, player.position.x, player.position.y, player.name);
+      this.teleportOtherPlayer(id, player.position.x, player.position.y);
+      
+      if (typeof player.facing === 'number') {
+        this.setOtherPlayerFacing(id, player.facing);
+      }
+    });
+  }
+  
+  /**
+   * Update other players with snapshot interpolation
    * @param {number} delta - Time since last update in ms
    */
   updateOtherPlayers(delta) {
-    const lerpFactor = 0.3; // Adjust for smoother/faster interpolation
+    // Render remote players slightly in the past so there is always a
+    // pair of snapshots to interpolate between
+    const renderTime = this.getRenderTime();
+    const blendDecay = Math.exp(-delta / this.deadReckoning.blendTime);
+    const turnDecay = Math.exp(-delta / this.facingTurnTime);
     
     for (const id in this.otherPlayers) {
       const player = this.otherPlayers[id];
+      const buffer = this.snapshotBuffers[id];
       
-      // Skip if no target position
-      if (player.targetX === undefined || player.targetY === undefined) continue;
+      // Skip if no snapshots yet
+      const position = buffer ? buffer.sample(renderTime) : null;
+      if (!position) continue;
       
-      // Apply interpolation
-      player.x = Phaser.Math.Linear(player.x, player.targetX, lerpFactor);
-      player.y = Phaser.Math.Linear(player.y, player.targetY, lerpFactor);
+      let x = position.x;
+      let y = position.y;
+      const motion = this.getRemoteMotion(id);
+      
+      if (this.deadReckoning.enabled && renderTime > buffer.getLatestTime()) {
+        // Snapshots are late, keep going the way they were heading
+        if (!motion.extrapolating) {
+          motion.extrapolating = true;
+          motion.extrapolatedTime = 0;
+          motion.x = x;
+          motion.y = y;
+        }
+        
+        const step = Math.min(delta, this.deadReckoning.maxTime - motion.extrapolatedTime);
+        if (step > 0) {
+          this.advanceDeadReckoning(motion, step);
+          motion.extrapolatedTime += step;
+        }
+        
+        x = motion.x;
+        y = motion.y;
+      } else if (motion.extrapolating) {
+        // Fresh data arrived, blend from our guess back to the real path
+        motion.extrapolating = false;
+        motion.offsetX = player.x - x;
+        motion.offsetY = player.y - y;
+      }
+      
+      motion.offsetX *= blendDecay;
+      motion.offsetY *= blendDecay;
+      
+      player.x = x + motion.offsetX;
+      player.y = y + motion.offsetY;
       
       // Update name label
       if (this.playerNameLabels[id]) {
         this.playerNameLabels[id].x = player.x;
         this.playerNameLabels[id].y = player.y - 40;
       }
+      
+      // Turn toward the latest facing along the shorter way round
+      const facing = this.remoteFacing[id];
+      if (facing) {
+        facing.current += Phaser.Math.Angle.Wrap(facing.target - facing.current) * (1 - turnDecay);
+        this.positionFacingIndicator(this.facingIndicators[id], player.x, player.y, facing.current);
+      }
+      
+      this.setOtherPlayerVisible(
+        id,
+        !this.fieldOfView || this.fieldOfView.isVisibleAt(player.x, player.y)
+      );
     }
   }
   
+  /**
+   * Get the server time a snapshot was taken at
+   * Server timestamps keep packet jitter out of the interpolation timeline;
+   * without one, the send time is estimated as half a round trip ago
+   * @param {number} serverTime - Server timestamp from the message, if any
+   * @returns {number} - Snapshot time on the server clock in ms
+   */
+  getSnapshotTime(serverTime) {
+    if (typeof serverTime === 'number') return serverTime;
+    
+    return networkManager.getServerTime() - (networkManager.getRTT() || 0) / 2;
+  }
+  
+  /**
+   * Get the server time remote players are drawn at
+   * Snapshots reach us about half a round trip after they were taken, so
+   * render that far back plus the interpolation delay
+   * @returns {number} - Render time on the server clock in ms
+   */
+  getRenderTime() {
+    const oneWay = (networkManager.getRTT() || 0) / 2;
+    return networkManager.getServerTime() - oneWay - this.interpolationDelay;
+  }
+  
+  /**
+   * Hide remote players the local player can't see
+   * @param {FieldOfView} fieldOfView - Local player's vision
+   */
+  setFieldOfView(fieldOfView) {
+    this.fieldOfView = fieldOfView;
+  }
+  
+  /**
+   * Show or hide a remote player with its label and facing arrow
+   * @param {string} id - Player ID
+   * @param {boolean} visible - True to show
+   */
+  setOtherPlayerVisible(id, visible) {
+    [this.otherPlayers[id], this.playerNameLabels[id], this.facingIndicators[id]].forEach(object => {
+      if (object && object.visible !== visible) object.setVisible(visible);
+    });
+  }
+  
   /**
    * Get player count
    * @returns {number} - Number of players
@@ -10,6 +10,11 @@ export class ReconciliationManager {
     this.reconciliationThreshold = 12; // Increased from 5 to 20 pixels
     this.reconciliationCount = 0;
     this.debugEnabled = true;
+
+    // Corrections larger than this snap instead of being smoothed out
+    this.teleportThreshold = 150;
+    this.lastCorrection = 0;
+    this.lastCorrectionSnapped = false;
   }
 
   /**
@@ -64,9 +69,41 @@ export class ReconciliationManager {
 
       // Reapply pending inputs starting from server position
       this.inputHandler.reapplyPendingInputs(serverPosition);
+
+      // Hide the jump by blending the sprite over from where it was drawn
+      const correctedPosition = this.playerManager.getPlayerPosition();
+      const correctionX = clientPosition.x - correctedPosition.x;
+      const correctionY = clientPosition.y - correctedPosition.y;
+      this.lastCorrection = Math.sqrt(
+        correctionX * correctionX + correctionY * correctionY
+      );
+      this.lastCorrectionSnapped = this.lastCorrection > this.teleportThreshold;
+
+      // A dash in flight animates to the corrected end point by itself
+      if (this.lastCorrectionSnapped || this.inputHandler.isDashing) {
+        this.playerManager.clearVisualCorrection();
+      } else {
+        this.playerManager.addVisualCorrection(correctionX, correctionY);
+      }
+
+      if (this.debugEnabled) {
+        console.log(
+          `Correction: ${this.lastCorrection.toFixed(2)}px${
+            this.lastCorrectionSnapped ? " (snapped)" : " (smoothed)"
+          }`
+        );
+      }
     }
   }
 
+  /**
+   * Get the size of the most recent correction
+   * @returns {number} - Correction distance in pixels
+   */
+  getLastCorrection() {
+    return this.lastCorrection;
+  }
+
   /**
    * Get number of reconciliations that have occurred
    * @returns {number} - Reconciliation count
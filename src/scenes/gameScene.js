@@ -4,12 +4,28 @@ import { PlayerManager } from "../managers/PlayerManager.js";
 import { InputHandler } from "../managers/InputHandler.js";
 import { NetworkHandler } from "../managers/NetworkHandler.js";
 import { ReconciliationManager } from "../managers/ReconciliationManager.js";
-import { DungeonRenderer } from "../dungeonRenderer/DungeonRenderer.js"; // Updated import
+import { createDungeonRenderer } from "../systems/RendererAdapters.js";
 import { UIManager } from "../managers/UIManager.js";
 import { DebugManager } from "../managers/DebugManager.js";
 import { CollisionSystem } from "../systems/CollisionSystem.js";
+import { Pathfinder } from "../systems/Pathfinding.js";
+import { FieldOfView } from "../systems/LineOfSight.js";
+import { DiscoveryMap } from "../systems/DiscoveryMap.js";
+import { MapPings } from "../systems/MapPings.js";
 import { createDashUI } from "../ui/DashUI.js";
+import { createKeyBindingsPanel } from "../ui/KeyBindingsPanel.js";
+import { createMapOverlay } from "../ui/MapOverlay.js";
+import { createPingMarkers } from "../ui/PingMarkers.js";
 import gameState from "../systems/GameState.js";
+import messageBus from "../systems/MessageBus.js";
+import keyBindings from "../systems/KeyBindings.js";
+
+// Key binding action for each ping type
+const PING_ACTIONS = {
+  pingDanger: "danger",
+  pingLoot: "loot",
+  pingGoHere: "goHere",
+};
 
 export class GameScene extends Phaser.Scene {
   constructor() {
@@ -49,9 +65,9 @@ export class GameScene extends Phaser.Scene {
       });
     }
 
-    // Create the DungeonRenderer instance for preloading assets
-    this.dungeonRenderer = new DungeonRenderer(this);
-    this.dungeonRenderer.preloadTileAssets();
+    // Create the configured dungeon renderer for preloading assets
+    this.dungeonRenderer = createDungeonRenderer(this);
+    this.dungeonRenderer.preload();
   }
 
   create() {
@@ -77,15 +93,21 @@ export class GameScene extends Phaser.Scene {
     this.initializeManagers();
 
     this.dashUI = createDashUI(this, this.inputHandler);
+    this.keyBindingsPanel = createKeyBindingsPanel(this);
+    this.mapOverlay = createMapOverlay(this);
+    this.pingMarkers = createPingMarkers(this);
 
     // Get map data from gameState
     const mapData = gameState.getMapData();
     if (mapData) {
       console.log("Using map data from gameState");
 
-      // Render the map with the new DungeonRenderer
+      // Start exploring the new floor from scratch
+      this.discoveryMap.reset(mapData);
+
+      // Render the map with the configured renderer
       if (this.dungeonRenderer) {
-        this.dungeonRenderer.renderMap(mapData);
+        this.dungeonRenderer.loadMap(mapData);
       } else {
         console.error("DungeonRenderer not initialized!");
       }
@@ -143,115 +165,233 @@ export class GameScene extends Phaser.Scene {
   }
 
   setupEventHandlers() {
-    // Map data handler
-    this.room.onMessage("mapData", (data) => {
-      console.log("Received map data from server");
+    // Clean up when the scene stops
+    this.events.once("shutdown", this.shutdown, this);
+
+    // Room message handlers
+    this.setupRoomMessageHandlers();
 
-      // Store in gameState
-      gameState.setMapData(data);
+    // Connection state handlers
+    this.handleRoomReconnected = this.handleRoomReconnected.bind(this);
+    this.handleRoomConnectionLost = this.handleRoomConnectionLost.bind(this);
+    window.addEventListener("roomReconnected", this.handleRoomReconnected);
+    window.addEventListener("roomConnectionLost", this.handleRoomConnectionLost);
+
+    // Open the key bindings screen
+    this.unbindKeyBindingsKey = keyBindings.bindAction(this, "keyBindings", () => {
+      this.keyBindingsPanel.toggle();
+    });
+
+    // Share rooms entered by teammates on the minimap
+    this.unbindTeammateRoomsKey = keyBindings.bindAction(this, "toggleTeammateRooms", () => {
+      const enabled = !this.discoveryMap.revealTeammateRooms;
+      this.discoveryMap.setRevealTeammateRooms(enabled);
+      this.uiManager.showNotification(`Teammate rooms on minimap: ${enabled ? "on" : "off"}`);
+    });
+
+    // Ping the spot under the cursor
+    this.unbindPingKeys = Object.entries(PING_ACTIONS).map(([action, type]) =>
+      keyBindings.bindAction(this, action, () => this.pingAtCursor(type))
+    );
 
-      // Render the map with the new DungeonRenderer
+    // Debug key for toggling debug mode
+    this.unbindDebugKey = keyBindings.bindAction(this, "toggleDebugRendering", () => {
       if (this.dungeonRenderer) {
-        this.dungeonRenderer.renderMap(data);
-      }
+        // Toggle debug mode on all relevant components
+        const newDebugState = !this.dungeonRenderer.debug;
+        this.dungeonRenderer.setDebug(newDebugState);
 
-      // Initialize collision map
-      if (this.collisionSystem) {
-        this.collisionSystem.initCollisionMap(data);
+        if (this.debugManager) {
+          this.debugManager.debug = newDebugState;
+        }
 
-        // Enable debug visualization if needed
-        if (this.debugManager && this.debugManager.debug) {
-          this.collisionSystem.setDebug(true);
+        if (this.collisionSystem) {
+          this.collisionSystem.setDebug(newDebugState);
         }
-      }
 
-      // Remove loading text if it exists
-      if (this.loadingText) {
-        this.loadingText.destroy();
-        this.loadingText = null;
+        console.log(`Debug mode: ${newDebugState ? "enabled" : "disabled"}`);
       }
+    });
+  }
 
-      // Notify server that we've loaded the map
-      this.room.send("mapLoaded");
-
-      // Show loaded notification
-      this.uiManager.showNotification("Map loaded successfully!");
+  setupRoomMessageHandlers() {
+    this.unsubscribeMessages = messageBus.subscribeAll({
+      mapData: this.handleMapData.bind(this),
+      teleported: this.handleTeleported.bind(this),
+      phaseChange: this.handlePhaseChange.bind(this),
+      floorCollapsing: this.handleFloorCollapsing.bind(this),
+      globalEvent: this.handleGlobalEvent.bind(this),
+      mapPinged: this.handleMapPinged.bind(this),
     });
+  }
 
-    // Teleportation handler
-    this.room.onMessage("teleported", (data) => {
-      console.log("Player teleported", data);
+  handleMapData(data) {
+    console.log("Received map data from server");
 
-      // Update player position
-      if (this.playerManager && data.x !== undefined && data.y !== undefined) {
-        this.playerManager.setPlayerPosition(data.x, data.y);
-      }
+    this.loadMap(data);
 
-      // Update floor level if provided
-      if (data.floorLevel !== undefined) {
-        this.currentFloor = data.floorLevel;
+    // Notify server that we've loaded the map
+    this.room.send("mapLoaded");
 
-        // Show floor notification
-        this.uiManager.showAnnouncement(`Floor ${data.floorLevel}`);
-      }
-    });
+    // Show loaded notification
+    this.uiManager.showNotification("Map loaded successfully!");
+  }
 
-    // Phase change handler
-    this.room.onMessage("phaseChange", (data) => {
-      console.log("Phase changed:", data);
+  // Render a map and build its collision data (also used by replays)
+  loadMap(data) {
+    // Store in gameState
+    gameState.setMapData(data);
 
-      // Update game state
-      gameState.setPhase(data.phase);
+    // Start exploring the new floor from scratch
+    this.discoveryMap.reset(data);
+    this.mapPings.clear();
+
+    // Render the map with the configured renderer
+    if (this.dungeonRenderer) {
+      this.dungeonRenderer.loadMap(data);
+    }
 
-      // Show phase notification
-      this.uiManager.showNotification(`Phase: ${data.phase.toUpperCase()}`);
+    // Initialize collision map
+    if (this.collisionSystem) {
+      this.collisionSystem.initCollisionMap(data);
 
-      // Handle specific phases
-      if (data.phase === "gauntlet") {
-        this.uiManager.showAnnouncement("GAUNTLET PHASE", 0xff0000);
+      // Enable debug visualization if needed
+      if (this.debugManager && this.debugManager.debug) {
+        this.collisionSystem.setDebug(true);
       }
-    });
+    }
 
-    // Floor collapse warning
-    this.room.onMessage("floorCollapsing", (data) => {
-      console.log("Floor collapsing in:", data.timeLeft);
+    // Remove loading text if it exists
+    if (this.loadingText) {
+      this.loadingText.destroy();
+      this.loadingText = null;
+    }
+  }
 
-      this.collapseWarning = true;
-      this.collapseTime = data.timeLeft;
+  handleTeleported(data) {
+    console.log("Player teleported", data);
 
-      // Show warning
-      this.uiManager.showWarning(
-        `FLOOR COLLAPSING IN ${data.timeLeft}!`,
-        0xff0000
-      );
-    });
+    // Update player position
+    if (this.playerManager && data.x !== undefined && data.y !== undefined) {
+      this.playerManager.setPlayerPosition(data.x, data.y);
+      this.playerManager.clearVisualCorrection();
+    }
 
-    // Global event handler
-    this.room.onMessage("globalEvent", (data) => {
-      console.log("Global event:", data);
+    // Update floor level if provided
+    if (data.floorLevel !== undefined) {
+      this.currentFloor = data.floorLevel;
 
-      this.uiManager.showGlobalEventNotification(data.message);
-    });
+      // Show floor notification
+      this.uiManager.showAnnouncement(`Floor ${data.floorLevel}`);
+    }
+  }
 
-    // Debug key for toggling debug mode
-    this.debugKey = this.input.keyboard.addKey("G");
-    this.debugKey.on("down", () => {
-      if (this.dungeonRenderer) {
-        // Toggle debug mode on all relevant components
-        const newDebugState = !this.dungeonRenderer.debug;
-        this.dungeonRenderer.debug = newDebugState;
+  handlePhaseChange(data) {
+    console.log("Phase changed:", data);
 
-        if (this.debugManager) {
-          this.debugManager.debug = newDebugState;
-        }
+    // Update game state
+    gameState.setPhase(data.phase);
 
-        if (this.collisionSystem) {
-          this.collisionSystem.setDebug(newDebugState);
-        }
+    // Show phase notification
+    this.uiManager.showNotification(`Phase: ${data.phase.toUpperCase()}`);
 
-        console.log(`Debug mode: ${newDebugState ? "enabled" : "disabled"}`);
-      }
-    });
+    // Handle specific phases
+    if (data.phase === "gauntlet") {
+      this.uiManager.showAnnouncement("GAUNTLET PHASE", 0xff0000);
+    }
+  }
+
+  handleFloorCollapsing(data) {
+    console.log("Floor collapsing in:", data.timeLeft);
+
+    // The network manager has already started the synced "collapse" timer
+    this.collapseWarning = true;
+    this.collapseTime = this.getCollapseSecondsLeft();
+
+    // Show warning
+    this.uiManager.showWarning(
+      `FLOOR COLLAPSING IN ${this.collapseTime}!`,
+      0xff0000
+    );
+  }
+
+  getCollapseSecondsLeft() {
+    return Math.ceil(gameState.getTimerRemaining("collapse") / 1000);
+  }
+
+  handleGlobalEvent(data) {
+    console.log("Global event:", data);
+
+    this.uiManager.showGlobalEventNotification(data.message);
+  }
+
+  handleMapPinged(data) {
+    this.mapPings.add(data);
+  }
+
+  // Ping under the cursor - on the full map while it is open, else in the world
+  pingAtCursor(type) {
+    const pointer = this.input.activePointer;
+    const point = this.mapOverlay.isOpen()
+      ? this.mapOverlay.getWorldPoint(pointer.x, pointer.y)
+      : this.cameras.main.getWorldPoint(pointer.x, pointer.y);
+
+    this.placePing(type, point.x, point.y);
+  }
+
+  // Share a ping with the room; it shows up once the server echoes it back
+  placePing(type, x, y) {
+    if (!this.mapPings.requestSend(type)) {
+      this.uiManager.showNotification("Too many pings - wait a moment");
+      return;
+    }
+
+    this.networkHandler.sendMapPing(type, x, y);
+  }
+
+  handleRoomConnectionLost() {
+    this.uiManager.showWarning("CONNECTION LOST - RECONNECTING...", 0xff8800);
+  }
+
+  handleRoomReconnected(event) {
+    const room = event.detail.room;
+    console.log(`Rejoined room ${room.id}, resyncing game scene`);
+
+    // Rebind everything that held on to the old room instance
+    // (message subscriptions are rebound by the message bus)
+    this.room = room;
+    this.registry.set("colyseusRoom", room);
+    this.networkHandler.setRoom(room);
+
+    // Resync once the restored state has arrived
+    room.onStateChange.once(() => this.resyncWithServerState());
+
+    this.uiManager.showNotification("Reconnected!");
+  }
+
+  resyncWithServerState() {
+    const players = this.room.state.players;
+    if (!players) return;
+
+    // Unacknowledged inputs were lost with the old connection, so the
+    // server's position is the only one we can trust
+    const serverPlayer = players.get(this.playerId);
+    if (serverPlayer) {
+      this.inputHandler.clearPendingInputs();
+      this.playerManager.setPlayerPosition(
+        serverPlayer.position.x,
+        serverPlayer.position.y
+      );
+      this.playerManager.clearVisualCorrection();
+    }
+
+    this.playerManager.syncOtherPlayers(players);
+
+    // Clear the connection warning
+    if (this.uiManager.warningText) {
+      this.uiManager.warningText.destroy();
+      this.uiManager.warningText = null;
+    }
   }
 
   setupPerformanceMonitoring() {
@@ -285,9 +425,21 @@ export class GameScene extends Phaser.Scene {
     // 1. Create collision system first
     this.collisionSystem = new CollisionSystem(this);
 
-    // 2. Initialize the new DungeonRenderer (if not already done in preload)
+    // Navigation on the same grid, for click-to-move and bots
+    this.pathfinder = new Pathfinder(this.collisionSystem);
+
+    // What the local player can see, for fog of war
+    this.fieldOfView = new FieldOfView(this.collisionSystem);
+
+    // What they have seen so far, for the minimap
+    this.discoveryMap = new DiscoveryMap();
+
+    // Pings shared between players
+    this.mapPings = new MapPings();
+
+    // 2. Initialize the dungeon renderer (if not already done in preload)
     if (!this.dungeonRenderer) {
-      this.dungeonRenderer = new DungeonRenderer(this);
+      this.dungeonRenderer = createDungeonRenderer(this);
     }
 
     // Initialize with options
@@ -334,6 +486,13 @@ export class GameScene extends Phaser.Scene {
     this.reconciliationManager.setPlayerManager(this.playerManager);
     this.reconciliationManager.setInputHandler(this.inputHandler);
 
+    // Players out of sight are only hidden where fog covers their area too
+    if (this.dungeonRenderer.supports("fog")) {
+      this.playerManager.setFieldOfView(this.fieldOfView);
+    }
+    this.dungeonRenderer.setFieldOfView(this.fieldOfView);
+    this.dungeonRenderer.setDiscovery(this.discoveryMap);
+
     console.log("All managers initialized");
   }
 
@@ -351,7 +510,24 @@ export class GameScene extends Phaser.Scene {
 
     // Update dungeon renderer for minimap repositioning
     if (this.dungeonRenderer) {
-      this.dungeonRenderer.handleResize(width, height);
+      this.dungeonRenderer.resize(width, height);
+    }
+
+    // Keep on-screen touch controls in the corners
+    if (this.inputHandler) {
+      this.inputHandler.handleResize(width, height);
+    }
+    // Keep the network telemetry overlay anchored
+    if (this.debugManager) {
+      this.debugManager.handleResize(width, height);
+    }
+
+    if (this.keyBindingsPanel) {
+      this.keyBindingsPanel.handleResize(width, height);
+    }
+
+    if (this.mapOverlay) {
+      this.mapOverlay.handleResize(width, height);
     }
   }
 
@@ -362,6 +538,17 @@ export class GameScene extends Phaser.Scene {
     // Handle player input
     this.inputHandler.update(delta);
 
+    // Blend out any reconciliation correction
+    this.playerManager.updateLocalPlayer(delta);
+
+    // Work out what the local player can see before placing anything else
+    const rendered = this.playerManager.getRenderedPosition();
+    this.fieldOfView.update(rendered.x, rendered.y);
+
+    // Remember what was seen for the minimap
+    this.discoveryMap.discoverVisible(this.fieldOfView);
+    this.revealTeammateRooms();
+
     // Update other players
     this.playerManager.updateOtherPlayers(delta);
 
@@ -371,6 +558,18 @@ export class GameScene extends Phaser.Scene {
       this.dungeonRenderer.update(position.x, position.y);
     }
 
+    // Keep the full-screen map following players while it is open
+    if (this.mapOverlay) {
+      this.mapOverlay.update();
+    }
+
+    // Pings in the world, as edge arrows and on the minimap
+    if (this.pingMarkers) {
+      const pings = this.mapPings.getActive();
+      this.pingMarkers.update(pings);
+      this.dungeonRenderer.drawMinimapPings(pings);
+    }
+
     // Update dash UI
     if (this.dashUI) {
       this.dashUI.update();
@@ -378,37 +577,96 @@ export class GameScene extends Phaser.Scene {
 
     // Update debug info
     if (this.debugManager) {
-      this.debugManager.update();
+      this.debugManager.update(delta);
     }
 
     if (this.structureDebugGraphics && this.structureDebugGraphics.visible) {
       this.updateStructureDebug();
     }
 
-    // Handle collapse warning flashing effect
-    if (this.collapseWarning && this.collapseTime <= 10) {
-      if (Math.floor(time / 500) % 2 === 0) {
-        this.uiManager.showWarning(
-          `FLOOR COLLAPSING IN ${this.collapseTime}!`,
-          0xff0000
-        );
+    // Count the collapse warning down against the server clock so every
+    // client shows the same number
+    if (this.collapseWarning) {
+      const secondsLeft = this.getCollapseSecondsLeft();
+
+      if (secondsLeft !== this.collapseTime) {
+        this.collapseTime = secondsLeft;
+
+        if (secondsLeft > 0) {
+          this.uiManager.showWarning(
+            `FLOOR COLLAPSING IN ${secondsLeft}!`,
+            0xff0000
+          );
+        } else {
+          this.collapseWarning = false;
+        }
       }
     }
   }
 
+  // Mark the rooms teammates are in as discovered, if that setting is on
+  revealTeammateRooms() {
+    if (!this.discoveryMap.revealTeammateRooms) return;
+
+    Object.entries(this.playerManager.otherPlayers).forEach(([id, player]) => {
+      if (this.isTeammate(id)) {
+        this.discoveryMap.discoverTeammateRoom(player.x, player.y);
+      }
+    });
+  }
+
+  // Players on the same team in the room state
+  isTeammate(id) {
+    const players = this.room && this.room.state ? this.room.state.players : null;
+    if (!players) return false;
+
+    const self = players.get(this.playerId);
+    const other = players.get(id);
+    return !!(self && other && self.team !== undefined && self.team === other.team);
+  }
+
   shutdown() {
     // Remove event listeners
     this.scale.off("resize", this.handleResize);
 
-    if (this.debugKey) {
-      this.debugKey.off("down");
+    // Remove key bindings
+    [
+      this.unbindKeyBindingsKey,
+      this.unbindTeammateRoomsKey,
+      ...(this.unbindPingKeys || []),
+      this.unbindDebugKey,
+      this.unbindBoundaryDebugKey,
+    ]
+      .filter(Boolean)
+      .forEach((unbind) => unbind());
+
+    if (this.keyBindingsPanel) {
+      this.keyBindingsPanel.destroy();
+    }
+
+    if (this.mapOverlay) {
+      this.mapOverlay.destroy();
     }
 
+    if (this.pingMarkers) {
+      this.pingMarkers.destroy();
+    }
+
+    window.removeEventListener("roomReconnected", this.handleRoomReconnected);
+    window.removeEventListener(
+      "roomConnectionLost",
+      this.handleRoomConnectionLost
+    );
+
     // Destroy managers that need manual cleanup
     if (this.debugManager) {
       this.debugManager.destroy();
     }
 
+    if (this.inputHandler) {
+      this.inputHandler.destroy();
+    }
+
     // Clean up the dungeon renderer
     if (this.dungeonRenderer) {
       this.dungeonRenderer.destroy();
@@ -420,10 +678,14 @@ export class GameScene extends Phaser.Scene {
     // Clear any running tweens
     this.tweens.killAll();
 
-    // Clear message listeners from room
-    if (this.room) {
-      // In Colyseus, the room handles removing listeners when disconnected
-      // So no explicit cleanup needed here
+    // Clear message subscriptions so they don't outlive the scene
+    if (this.unsubscribeMessages) {
+      this.unsubscribeMessages();
+      this.unsubscribeMessages = null;
+    }
+
+    if (this.networkHandler) {
+      this.networkHandler.destroy();
     }
 
     console.log("GameScene properly cleaned up");
@@ -439,19 +701,18 @@ export class GameScene extends Phaser.Scene {
     this.structureDebugGraphics = this.add.graphics();
     this.structureDebugGraphics.setDepth(1000); // Above everything else
 
-    // Make sure we have the dungeonRenderer and structureRenderer
-    if (!this.dungeonRenderer || !this.dungeonRenderer.structureRenderer) {
-      console.error("DungeonRenderer not available for structure debugging");
+    // Make sure the renderer has structures to show
+    if (!this.dungeonRenderer || !this.dungeonRenderer.supports("structures")) {
+      console.error("Renderer has no structures for structure debugging");
       return;
     }
 
-    const sr = this.dungeonRenderer.structureRenderer;
     const tileSize = this.dungeonRenderer.tileSize;
 
     // Draw boundaries for all structures
-    Object.entries(sr.structures).forEach(([id, structure]) => {
-      const bounds = structure.bounds;
-      const isVisible = sr.visibleStructures.has(id);
+    this.dungeonRenderer.getStructures().forEach((structure) => {
+      const { id, bounds } = structure;
+      const isVisible = structure.visible;
 
       // Convert tile coordinates to pixel coordinates
       const x = bounds.x * tileSize;
@@ -563,9 +824,8 @@ export class GameScene extends Phaser.Scene {
     );
 
     // Add a toggle key for the debug overlay
-    if (!this.boundaryDebugKey) {
-      this.boundaryDebugKey = this.input.keyboard.addKey("B");
-      this.boundaryDebugKey.on("down", () => {
+    if (!this.unbindBoundaryDebugKey) {
+      this.unbindBoundaryDebugKey = keyBindings.bindAction(this, "toggleStructureBounds", () => {
         if (this.structureDebugGraphics) {
           this.structureDebugGraphics.visible =
             !this.structureDebugGraphics.visible;
@@ -578,7 +838,11 @@ export class GameScene extends Phaser.Scene {
       });
     }
 
-    console.log(`Structure boundary debug initialized. Press B to toggle.`);
+    console.log(
+      `Structure boundary debug initialized. Press ${keyBindings.getLabel(
+        "toggleStructureBounds"
+      )} to toggle.`
+    );
     return this.structureDebugGraphics;
   }
 
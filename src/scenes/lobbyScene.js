@@ -3,6 +3,7 @@ import Phaser from "phaser";
 import { createDebugHelper } from "../utils/debug.js";
 import gameState from "../systems/GameState.js";
 import networkManager from "../systems/NetworkManager.js";
+import messageBus from "../systems/MessageBus.js";
 import { ReactPhaserBridge } from "../ui/ReactPhaserBridge.js";
 
 export class LobbyScene extends Phaser.Scene {
@@ -188,6 +189,9 @@ export class LobbyScene extends Phaser.Scene {
     this.events.on("authComplete", this.handleAuthComplete, this);
     this.events.on("guestLogin", this.handleGuestLogin, this);
 
+    // Clean up when the scene stops
+    this.events.once("shutdown", this.shutdown, this);
+
     // Set up phase change listener
     gameState.addEventListener("phaseChange", (data) => {
       if (data.newPhase === "dungeon" || data.newPhase === "gauntlet") {
@@ -198,6 +202,11 @@ export class LobbyScene extends Phaser.Scene {
     // Check authentication status on startup
     this.checkAuthStatus();
 
+    // Resume a match that was interrupted by a page reload
+    if (networkManager.hasReconnectionData()) {
+      this.connectToServer();
+    }
+
     // Update debug info periodically
     this.time.addEvent({
       delay: 500,
@@ -240,7 +249,13 @@ export class LobbyScene extends Phaser.Scene {
 
       // Show auth UI after a slight delay
       this.time.delayedCall(500, () => {
-        this.reactBridge.showAuthUI();
+        // Don't prompt while resuming a match in progress
+        if (
+          !networkManager.isConnected() &&
+          !networkManager.hasReconnectionData()
+        ) {
+          this.reactBridge.showAuthUI();
+        }
       });
     }
   }
@@ -498,7 +513,11 @@ export class LobbyScene extends Phaser.Scene {
 
   async connectToServer() {
     try {
-      this.statusText.setText("Connecting to server...");
+      this.statusText.setText(
+        networkManager.hasReconnectionData()
+          ? "Rejoining match..."
+          : "Connecting to server..."
+      );
 
       // Initialize network manager
       networkManager.init();
@@ -512,6 +531,9 @@ export class LobbyScene extends Phaser.Scene {
 
       this.statusText.setText("Connected! Room: " + room.id);
 
+      // Hide auth UI in case we resumed a match before signing in
+      this.reactBridge.hideAuthUI();
+
       // Store room and player info in registry for access from other scenes
       this.registry.set("colyseusRoom", room);
       this.registry.set("playerName", this.playerName);
@@ -539,71 +561,77 @@ export class LobbyScene extends Phaser.Scene {
   }
 
   addMessageHandlers(room) {
-    // Add additional message handlers specific to the lobby
-    room.onMessage("countdownStarted", (message) => {
-      this.countdownText.setText(`Game starting in ${message.seconds}s`);
-      this.countdownText.setVisible(true);
-    });
-
-    room.onMessage("countdownUpdate", (message) => {
-      this.countdownText.setText(`Game starting in ${message.seconds}s`);
-    });
-
-    room.onMessage("countdownCancelled", (message) => {
-      this.countdownText.setVisible(false);
-      this.statusText.setText(`Countdown cancelled: ${message.reason}`);
-    });
-
-    room.onMessage("globalEvent", (message) => {
-      this.showGlobalEventNotification(message.message);
-    });
-
-    // Handle welcome message
-    room.onMessage("welcome", (message) => {
-      this.statusText.setText(message.message);
-    });
-
-    // Handle player counts
-    room.onMessage("playerJoined", (message) => {
-      this.playerCountText.setText(`Players: ${message.playerCount} / 100`);
-    });
-
-    room.onMessage("playerLeft", (message) => {
-      this.playerCountText.setText(`Players: ${message.playerCount} / 100`);
-    });
-
-    room.onMessage("testMapData", (message) => {
-      console.log("testMapData", message);
-    });
+    // Replace subscriptions from an earlier connection attempt
+    this.removeMessageHandlers();
 
-    // Handle map data
-    room.onMessage("mapData", (message) => {
-      console.log("Received map data in lobby");
-
-      // Store in gameState
-      gameState.setMapData(message);
-
-      // Show loading indicator
-      const loadingText = this.add
-        .text(400, 500, "Map data received!", {
-          fontSize: "18px",
-          fill: "#ffff00",
-        })
-        .setOrigin(0.5);
-
-      // Animate the text
-      this.tweens.add({
-        targets: loadingText,
-        alpha: { from: 1, to: 0 },
-        duration: 2000,
-        onComplete: () => loadingText.destroy(),
-      });
-
-      // Update status text
-      this.statusText.setText("Map loaded. Waiting for other players...");
-
-      // Tell server we've loaded the map
-      room.send("mapLoaded");
+    // Add additional message handlers specific to the lobby
+    this.unsubscribeMessages = messageBus.subscribeAll({
+      // The countdown itself follows the synced "countdown" timer
+      countdownStarted: () => {
+        this.updateCountdownText();
+        this.countdownText.setVisible(true);
+      },
+
+      countdownUpdate: () => {
+        this.updateCountdownText();
+      },
+
+      countdownCancelled: (message) => {
+        this.countdownText.setVisible(false);
+        this.statusText.setText(`Countdown cancelled: ${message.reason}`);
+      },
+
+      globalEvent: (message) => {
+        this.showGlobalEventNotification(message.message);
+      },
+
+      // Handle welcome message
+      welcome: (message) => {
+        this.statusText.setText(message.message);
+      },
+
+      // Handle player counts
+      playerJoined: (message) => {
+        this.playerCountText.setText(`Players: ${message.playerCount} / 100`);
+      },
+
+      playerLeft: (message) => {
+        this.playerCountText.setText(`Players: ${message.playerCount} / 100`);
+      },
+
+      testMapData: (message) => {
+        console.log("testMapData", message);
+      },
+
+      // Handle map data
+      mapData: (message) => {
+        console.log("Received map data in lobby");
+
+        // Store in gameState
+        gameState.setMapData(message);
+
+        // Show loading indicator
+        const loadingText = this.add
+          .text(400, 500, "Map data received!", {
+            fontSize: "18px",
+            fill: "#ffff00",
+          })
+          .setOrigin(0.5);
+
+        // Animate the text
+        this.tweens.add({
+          targets: loadingText,
+          alpha: { from: 1, to: 0 },
+          duration: 2000,
+          onComplete: () => loadingText.destroy(),
+        });
+
+        // Update status text
+        this.statusText.setText("Map loaded. Waiting for other players...");
+
+        // Tell server we've loaded the map
+        networkManager.sendMessage("mapLoaded");
+      },
     });
 
     // Handle player status updates
@@ -621,6 +649,24 @@ export class LobbyScene extends Phaser.Scene {
     });
   }
 
+  update() {
+    if (this.countdownText && this.countdownText.visible) {
+      this.updateCountdownText();
+    }
+  }
+
+  updateCountdownText() {
+    const seconds = Math.ceil(gameState.getTimerRemaining("countdown") / 1000);
+    this.countdownText.setText(`Game starting in ${seconds}s`);
+  }
+
+  removeMessageHandlers() {
+    if (this.unsubscribeMessages) {
+      this.unsubscribeMessages();
+      this.unsubscribeMessages = null;
+    }
+  }
+
   updatePlayerStatus(playerId, player) {
     // Update in gameState
     gameState.updatePlayer(playerId, {
@@ -670,8 +716,10 @@ export class LobbyScene extends Phaser.Scene {
     });
   }
 
-  // Clean up React resources on scene shutdown
+  // Clean up message subscriptions and React resources on scene shutdown
   shutdown() {
+    this.removeMessageHandlers();
+
     if (this.reactBridge) {
       this.reactBridge.destroy();
       this.reactBridge = null;
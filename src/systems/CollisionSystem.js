@@ -1,8 +1,403 @@
 // src/systems/CollisionSystem.js
+import { createCollisionLayers, getTileBehavior } from './TileBehaviors.js';
+
+// Gap left between a swept circle and the wall it stopped at, so the
+// resting position doesn't count as touching the wall
+const CONTACT_SKIN = 0.01;
+
+// Slides along walls per move; a corner needs two
+const MAX_SLIDES = 3;
+
+/**
+ * Check if a circle collides with a wall on a collision map
+ * Pure so prediction, reconciliation and replay all share the same math.
+ * Tiles outside the map count as walls
+ * @param {Object} collision - { collisionMap, tileSize, bufferZone }
+ * @param {number} x - World X position to check
+ * @param {number} y - World Y position to check
+ * @param {number} radius - Collision radius
+ * @returns {boolean} - True if the position collides
+ */
+export function checkMapCollision(collision, x, y, radius) {
+  const { collisionMap, tileSize } = collision;
+  if (!collisionMap) return false;
+
+  // Calculate adjusted radius with buffer zone
+  const effectiveRadius = radius + (collision.bufferZone || 0);
+
+  const minTileX = Math.floor((x - effectiveRadius) / tileSize);
+  const maxTileX = Math.floor((x + effectiveRadius) / tileSize);
+  const minTileY = Math.floor((y - effectiveRadius) / tileSize);
+  const maxTileY = Math.floor((y + effectiveRadius) / tileSize);
+
+  for (let tileY = minTileY; tileY <= maxTileY; tileY++) {
+    for (let tileX = minTileX; tileX <= maxTileX; tileX++) {
+      if (!isSolidTile(collisionMap, tileX, tileY)) continue;
+
+      const box = getTileBox(tileX, tileY, tileSize);
+      const closestX = clamp(x, box.left, box.right);
+      const closestY = clamp(y, box.top, box.bottom);
+      const dx = x - closestX;
+      const dy = y - closestY;
+
+      if (dx * dx + dy * dy < effectiveRadius * effectiveRadius) {
+        return true;
+      }
+    }
+  }
+
+  return false; // No collision detected
+}
+
+/**
+ * Sweep a circle along a straight move and find the first wall it touches
+ * Treats the move as a ray against every nearby wall tile grown by the
+ * radius (a rounded box), so nothing is skipped however far the move is.
+ * A circle that already overlaps a wall may move away from it freely
+ * @param {Object} collision - { collisionMap, tileSize, bufferZone }
+ * @param {number} x - Start X position
+ * @param {number} y - Start Y position
+ * @param {number} dx - Move along X
+ * @param {number} dy - Move along Y
+ * @param {number} radius - Collision radius
+ * @returns {Object} - { hit, time, x, y, normal, slide, tileX, tileY, tileKind }
+ *   where time is the fraction of the move (0-1) before contact, x/y the
+ *   position there, normal the unit contact normal pointing out of the wall,
+ *   slide the rest of the move projected along the wall and tileKind the
+ *   kind of the tile hit (null/zero without a hit)
+ */
+export function sweepCircle(collision, x, y, dx, dy, radius) {
+  const { collisionMap, tileSize } = collision;
+  const result = {
+    hit: false,
+    time: 1,
+    x: x + dx,
+    y: y + dy,
+    normal: null,
+    slide: { x: 0, y: 0 },
+    tileX: -1,
+    tileY: -1,
+    tileKind: null
+  };
+
+  if (!collisionMap || (dx === 0 && dy === 0)) return result;
+
+  const effectiveRadius = radius + (collision.bufferZone || 0);
+
+  // Every tile the swept circle's bounding box touches
+  const minTileX = Math.floor((Math.min(x, x + dx) - effectiveRadius) / tileSize);
+  const maxTileX = Math.floor((Math.max(x, x + dx) + effectiveRadius) / tileSize);
+  const minTileY = Math.floor((Math.min(y, y + dy) - effectiveRadius) / tileSize);
+  const maxTileY = Math.floor((Math.max(y, y + dy) + effectiveRadius) / tileSize);
+
+  for (let tileY = minTileY; tileY <= maxTileY; tileY++) {
+    for (let tileX = minTileX; tileX <= maxTileX; tileX++) {
+      if (!isSolidTile(collisionMap, tileX, tileY)) continue;
+
+      const contact = sweepCircleBox(
+        x, y, dx, dy, effectiveRadius, getTileBox(tileX, tileY, tileSize)
+      );
+
+      if (contact && (!result.hit || contact.time < result.time)) {
+        result.hit = true;
+        result.time = contact.time;
+        result.normal = contact.normal;
+        result.tileX = tileX;
+        result.tileY = tileY;
+      }
+    }
+  }
+
+  if (!result.hit) return result;
+
+  result.tileKind = getTileKindAtTile(collision, result.tileX, result.tileY);
+
+  const { normal, time } = result;
+  result.x = x + dx * time;
+  result.y = y + dy * time;
+
+  // Step off the wall unless we started inside it
+  if (time > 0) {
+    result.x += normal.x * CONTACT_SKIN;
+    result.y += normal.y * CONTACT_SKIN;
+  }
+
+  // Keep the part of the remaining move that runs along the wall
+  const remainingX = dx * (1 - time);
+  const remainingY = dy * (1 - time);
+  const into = remainingX * normal.x + remainingY * normal.y;
+  result.slide = {
+    x: remainingX - normal.x * into,
+    y: remainingY - normal.y * into
+  };
+
+  return result;
+}
+
+/**
+ * Calculate a valid position on a collision map with sliding along walls
+ * The move is swept so fast movement can't pass through thin walls or
+ * corners; on contact the rest of the move slides along the wall
+ * @param {Object} collision - { collisionMap, tileSize, bufferZone }
+ * @param {number} startX - Starting X position
+ * @param {number} startY - Starting Y position
+ * @param {number} targetX - Target X position
+ * @param {number} targetY - Target Y position
+ * @param {number} radius - Collision radius
+ * @returns {Object} - Valid position {x, y, collided, normal, wallKind,
+ *   groundKind} after collision resolution; normal and wallKind describe the
+ *   last wall touched (or null), groundKind the tile under the end position
+ */
+export function resolveMapCollision(collision, startX, startY, targetX, targetY, radius) {
+  let x = startX;
+  let y = startY;
+  let dx = targetX - startX;
+  let dy = targetY - startY;
+  let collided = false;
+  let normal = null;
+  let wallKind = null;
+
+  for (let i = 0; i <= MAX_SLIDES; i++) {
+    const sweep = sweepCircle(collision, x, y, dx, dy, radius);
+    x = sweep.x;
+    y = sweep.y;
+
+    if (!sweep.hit) break;
+
+    collided = true;
+    normal = sweep.normal;
+    wallKind = sweep.tileKind;
+    dx = sweep.slide.x;
+    dy = sweep.slide.y;
+
+    if (Math.abs(dx) < 1e-6 && Math.abs(dy) < 1e-6) break;
+  }
+
+  return {
+    x,
+    y,
+    collided,
+    normal,
+    wallKind,
+    groundKind: getMapTileKind(collision, x, y)
+  };
+}
+
+/**
+ * Get the kind of tile under a world position
+ * @param {Object} collision - { collisionMap, tileKinds, tileSize }
+ * @param {number} x - World X position
+ * @param {number} y - World Y position
+ * @returns {string} - Tile kind (see TileBehaviors)
+ */
+export function getMapTileKind(collision, x, y) {
+  if (!collision.collisionMap) return 'walkable';
+
+  return getTileKindAtTile(
+    collision,
+    Math.floor(x / collision.tileSize),
+    Math.floor(y / collision.tileSize)
+  );
+}
+
+/**
+ * Find when a moving circle first touches a box
+ * @param {number} x - Circle start X
+ * @param {number} y - Circle start Y
+ * @param {number} dx - Move along X
+ * @param {number} dy - Move along Y
+ * @param {number} radius - Circle radius
+ * @param {Object} box - { left, top, right, bottom }
+ * @returns {Object|null} - { time, normal } or null if the move misses
+ * @private
+ */
+function sweepCircleBox(x, y, dx, dy, radius, box) {
+  // Already overlapping: block moving further in, allow moving out
+  const closestX = clamp(x, box.left, box.right);
+  const closestY = clamp(y, box.top, box.bottom);
+  const offsetX = x - closestX;
+  const offsetY = y - closestY;
+  const distanceSq = offsetX * offsetX + offsetY * offsetY;
+
+  if (distanceSq < radius * radius) {
+    const normal = distanceSq > 0
+      ? { x: offsetX / Math.sqrt(distanceSq), y: offsetY / Math.sqrt(distanceSq) }
+      : getEscapeNormal(x, y, box);
+
+    return dx * normal.x + dy * normal.y < 0 ? { time: 0, normal } : null;
+  }
+
+  // Ray against the box grown by the radius on every side
+  let enter = -Infinity;
+  let exit = Infinity;
+  let normal = null;
+
+  const axes = [
+    { position: x, move: dx, min: box.left - radius, max: box.right + radius, axis: 'x' },
+    { position: y, move: dy, min: box.top - radius, max: box.bottom + radius, axis: 'y' }
+  ];
+
+  for (const { position, move, min, max, axis } of axes) {
+    if (move === 0) {
+      if (position < min || position > max) return null;
+      continue;
+    }
+
+    let near = (min - position) / move;
+    let far = (max - position) / move;
+    if (near > far) [near, far] = [far, near];
+
+    if (near > enter) {
+      enter = near;
+      const side = move > 0 ? -1 : 1;
+      normal = axis === 'x' ? { x: side, y: 0 } : { x: 0, y: side };
+    }
+    exit = Math.min(exit, far);
+  }
+
+  if (enter > exit || enter > 1 || exit < 0 || !normal) return null;
+
+  // Entering beside a corner - the grown box is rounded there
+  const hitX = x + dx * enter;
+  const hitY = y + dy * enter;
+  const cornerX = hitX < box.left ? box.left : hitX > box.right ? box.right : null;
+  const cornerY = hitY < box.top ? box.top : hitY > box.bottom ? box.bottom : null;
+
+  if (cornerX !== null && cornerY !== null) {
+    return sweepCirclePoint(x, y, dx, dy, radius, cornerX, cornerY);
+  }
+
+  return { time: Math.max(0, enter), normal };
+}
+
+/**
+ * Find when a moving circle first touches a point (a box corner)
+ * @param {number} x - Circle start X
+ * @param {number} y - Circle start Y
+ * @param {number} dx - Move along X
+ * @param {number} dy - Move along Y
+ * @param {number} radius - Circle radius
+ * @param {number} pointX - Point X
+ * @param {number} pointY - Point Y
+ * @returns {Object|null} - { time, normal } or null if the move misses
+ * @private
+ */
+function sweepCirclePoint(x, y, dx, dy, radius, pointX, pointY) {
+  const offsetX = x - pointX;
+  const offsetY = y - pointY;
+  const a = dx * dx + dy * dy;
+  const b = 2 * (offsetX * dx + offsetY * dy);
+  const c = offsetX * offsetX + offsetY * offsetY - radius * radius;
+  const discriminant = b * b - 4 * a * c;
+
+  if (discriminant < 0) return null;
+
+  const time = (-b - Math.sqrt(discriminant)) / (2 * a);
+  if (time < 0 || time > 1) return null;
+
+  return {
+    time,
+    normal: {
+      x: (offsetX + dx * time) / radius,
+      y: (offsetY + dy * time) / radius
+    }
+  };
+}
+
+/**
+ * Pick the shortest way out for a circle whose center is inside a box
+ * @param {number} x - Circle center X
+ * @param {number} y - Circle center Y
+ * @param {Object} box - { left, top, right, bottom }
+ * @returns {Object} - Unit normal {x, y}
+ * @private
+ */
+function getEscapeNormal(x, y, box) {
+  const exits = [
+    { distance: x - box.left, normal: { x: -1, y: 0 } },
+    { distance: box.right - x, normal: { x: 1, y: 0 } },
+    { distance: y - box.top, normal: { x: 0, y: -1 } },
+    { distance: box.bottom - y, normal: { x: 0, y: 1 } }
+  ];
+
+  return exits.reduce((best, exit) => (exit.distance < best.distance ? exit : best)).normal;
+}
+
+/**
+ * Get the kind of a tile
+ * Collision data without tileKinds (older servers) only knows walls and floor
+ * @param {Object} collision - { collisionMap, tileKinds }
+ * @param {number} tileX - Tile X coordinate
+ * @param {number} tileY - Tile Y coordinate
+ * @returns {string} - Tile kind; outside the map is solid
+ * @private
+ */
+function getTileKindAtTile(collision, tileX, tileY) {
+  const { collisionMap, tileKinds } = collision;
+
+  if (tileY < 0 || tileY >= collisionMap.length ||
+      tileX < 0 || tileX >= collisionMap[0].length) {
+    return 'solid';
+  }
+
+  if (tileKinds) {
+    return tileKinds[tileY][tileX];
+  }
+
+  return collisionMap[tileY][tileX] ? 'solid' : 'walkable';
+}
+
+/**
+ * Check if a tile blocks movement
+ * @param {Array} collisionMap - 2D array of booleans
+ * @param {number} tileX - Tile X coordinate
+ * @param {number} tileY - Tile Y coordinate
+ * @returns {boolean} - True for walls and tiles outside the map
+ * @private
+ */
+function isSolidTile(collisionMap, tileX, tileY) {
+  if (tileY < 0 || tileY >= collisionMap.length ||
+      tileX < 0 || tileX >= collisionMap[0].length) {
+    return true; // Collide with map boundaries
+  }
+
+  return !!collisionMap[tileY][tileX];
+}
+
+/**
+ * Get a tile's bounds in world pixels
+ * @param {number} tileX - Tile X coordinate
+ * @param {number} tileY - Tile Y coordinate
+ * @param {number} tileSize - Tile size in pixels
+ * @returns {Object} - { left, top, right, bottom }
+ * @private
+ */
+function getTileBox(tileX, tileY, tileSize) {
+  return {
+    left: tileX * tileSize,
+    top: tileY * tileSize,
+    right: (tileX + 1) * tileSize,
+    bottom: (tileY + 1) * tileSize
+  };
+}
+
+/**
+ * Clamp a value to a range
+ * @param {number} value - Value to clamp
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} - Clamped value
+ * @private
+ */
+function clamp(value, min, max) {
+  return value < min ? min : value > max ? max : value;
+}
+
 export class CollisionSystem {
     constructor(scene) {
       this.scene = scene;
       this.collisionMap = null;
+      this.tileKinds = null;
       this.tileSize = 64; // Default, will be updated with map data
       this.debug = false;
       this.debugGraphics = null;
@@ -28,20 +423,13 @@ export class CollisionSystem {
         return;
       }
       
-      const tilesLayer = mapData.layers.tiles;
       this.tileSize = mapData.tileSize || 64;
       
-      // Create a collision map the same size as the tile map
-      this.collisionMap = [];
-      
-      for (let y = 0; y < tilesLayer.length; y++) {
-        this.collisionMap[y] = [];
-        
-        for (let x = 0; x < tilesLayer[y].length; x++) {
-          // Any tile value > 0 is considered a wall (collision)
-          this.collisionMap[y][x] = tilesLayer[y][x] > 0;
-        }
-      }
+      // Walls from the tile behavior table, plus every tile's kind for
+      // holes and slow ground
+      const { collisionMap, tileKinds } = createCollisionLayers(mapData.layers.tiles);
+      this.collisionMap = collisionMap;
+      this.tileKinds = tileKinds;
       
       console.log(`Collision map initialized: ${this.collisionMap.length}x${this.collisionMap[0].length}`);
       
@@ -59,42 +447,30 @@ export class CollisionSystem {
      * @returns {boolean} - True if the position collides
      */
     checkCollision(x, y, radius = this.playerRadius) {
-      if (!this.collisionMap) return false;
-      
-      // Calculate adjusted radius with buffer zone
-      const effectiveRadius = radius + this.bufferZone;
-      
-      // Check collision at multiple points around the circle
-      // This is more accurate than just checking the center
-      const collisionPoints = [
-        { x: x, y: y - effectiveRadius }, // Top
-        { x: x + effectiveRadius, y: y }, // Right
-        { x: x, y: y + effectiveRadius }, // Bottom
-        { x: x - effectiveRadius, y: y }, // Left
-        { x: x + 0.7 * effectiveRadius, y: y - 0.7 * effectiveRadius }, // Top-right
-        { x: x + 0.7 * effectiveRadius, y: y + 0.7 * effectiveRadius }, // Bottom-right
-        { x: x - 0.7 * effectiveRadius, y: y + 0.7 * effectiveRadius }, // Bottom-left
-        { x: x - 0.7 * effectiveRadius, y: y - 0.7 * effectiveRadius }  // Top-left
-      ];
-      
-      // Check each collision point
-      for (const point of collisionPoints) {
-        const tileX = Math.floor(point.x / this.tileSize);
-        const tileY = Math.floor(point.y / this.tileSize);
-        
-        // Check if tile coordinates are within bounds
-        if (tileX < 0 || tileX >= this.collisionMap[0].length || 
-            tileY < 0 || tileY >= this.collisionMap.length) {
-          return true; // Collide with map boundaries
-        }
-        
-        // Check if tile is a wall
-        if (this.collisionMap[tileY][tileX]) {
-          return true;
-        }
-      }
-      
-      return false; // No collision detected
+      return checkMapCollision(this, x, y, radius);
+    }
+    
+    /**
+     * Get the kind of tile under a position
+     * @param {number} x - World X position
+     * @param {number} y - World Y position
+     * @returns {string} - Tile kind (see TileBehaviors)
+     */
+    getTileKindAt(x, y) {
+      return getMapTileKind(this, x, y);
+    }
+    
+    /**
+     * Sweep the player circle along a move (see sweepCircle)
+     * @param {number} x - Start X position
+     * @param {number} y - Start Y position
+     * @param {number} dx - Move along X
+     * @param {number} dy - Move along Y
+     * @param {number} radius - Collision radius
+     * @returns {Object} - { hit, time, x, y, normal, slide, tileX, tileY }
+     */
+    sweep(x, y, dx, dy, radius = this.playerRadius) {
+      return sweepCircle(this, x, y, dx, dy, radius);
     }
     
     /**
@@ -104,26 +480,10 @@ export class CollisionSystem {
      * @param {number} targetX - Target X position
      * @param {number} targetY - Target Y position
      * @param {number} radius - Collision radius
-     * @returns {Object} - Valid position {x, y} after collision resolution
+     * @returns {Object} - Valid position {x, y, collided, normal} after collision resolution
      */
     resolveCollision(startX, startY, targetX, targetY, radius = this.playerRadius) {
-      // If no collision at target, return target directly
-      if (!this.checkCollision(targetX, targetY, radius)) {
-        return { x: targetX, y: targetY };
-      }
-      
-      // Try to slide horizontally
-      if (!this.checkCollision(targetX, startY, radius)) {
-        return { x: targetX, y: startY };
-      }
-      
-      // Try to slide vertically
-      if (!this.checkCollision(startX, targetY, radius)) {
-        return { x: startX, y: targetY };
-      }
-      
-      // If both sliding directions fail, don't move
-      return { x: startX, y: startY };
+      return resolveMapCollision(this, startX, startY, targetX, targetY, radius);
     }
     
     /**
@@ -149,9 +509,6 @@ export class CollisionSystem {
       const startTileY = Math.floor(bounds.top / this.tileSize);
       const endTileY = Math.ceil(bounds.bottom / this.tileSize);
       
-      // Draw collision tiles
-      this.debugGraphics.lineStyle(1, 0xff0000, 0.5);
-      
       for (let y = startTileY; y <= endTileY; y++) {
         for (let x = startTileX; x <= endTileX; x++) {
           // Skip tiles outside map bounds
@@ -162,6 +519,23 @@ export class CollisionSystem {
           
           // Draw collision tiles
           if (this.collisionMap[y][x]) {
+            this.debugGraphics.lineStyle(1, 0xff0000, 0.5);
+            this.debugGraphics.strokeRect(
+              x * this.tileSize, 
+              y * this.tileSize, 
+              this.tileSize, 
+              this.tileSize
+            );
+            continue;
+          }
+          
+          // Outline holes and slow ground too
+          const behavior = getTileBehavior(this.getTileKindAt(
+            (x + 0.5) * this.tileSize, (y + 0.5) * this.tileSize
+          ));
+          
+          if (behavior.fallThrough || behavior.speedMultiplier !== 1) {
+            this.debugGraphics.lineStyle(1, behavior.fallThrough ? 0xff00ff : 0xffaa00, 0.5);
             this.debugGraphics.strokeRect(
               x * this.tileSize, 
               y * this.tileSize, 
@@ -188,23 +562,9 @@ export class CollisionSystem {
       this.debugGraphics.lineStyle(2, 0x00ff00, 1);
       this.debugGraphics.strokeCircle(playerX, playerY, this.playerRadius);
       
-      // Draw collision points
-      this.debugGraphics.fillStyle(0xff0000, 1);
-      
-      const points = [
-        { x: playerX, y: playerY - this.playerRadius }, // Top
-        { x: playerX + this.playerRadius, y: playerY }, // Right
-        { x: playerX, y: playerY + this.playerRadius }, // Bottom
-        { x: playerX - this.playerRadius, y: playerY }, // Left
-        { x: playerX + 0.7 * this.playerRadius, y: playerY - 0.7 * this.playerRadius }, // Top-right
-        { x: playerX + 0.7 * this.playerRadius, y: playerY + 0.7 * this.playerRadius }, // Bottom-right
-        { x: playerX - 0.7 * this.playerRadius, y: playerY + 0.7 * this.playerRadius }, // Bottom-left
-        { x: playerX - 0.7 * this.playerRadius, y: playerY - 0.7 * this.playerRadius }  // Top-left
-      ];
-      
-      points.forEach(point => {
-        this.debugGraphics.fillCircle(point.x, point.y, 3);
-      });
+      // Draw the circle walls are actually tested against (with buffer)
+      this.debugGraphics.lineStyle(1, 0xff0000, 1);
+      this.debugGraphics.strokeCircle(playerX, playerY, this.playerRadius + this.bufferZone);
     }
     
     /**
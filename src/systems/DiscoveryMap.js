@@ -0,0 +1,194 @@
+// src/systems/DiscoveryMap.js
+
+const TEAMMATE_STORAGE_KEY = "reveal_teammate_rooms";
+
+// Structure lists in mapData.structural, with the type each one holds
+const STRUCTURE_LISTS = {
+  rooms: "room",
+  corridors: "corridor",
+  spawnRooms: "spawnRoom",
+};
+
+// Teammates only share rooms, not the corridors they walk through
+const TEAMMATE_TYPES = ["room", "spawnRoom"];
+
+/**
+ * Load the teammate reveal setting
+ * @returns {boolean} - True if rooms entered by teammates are revealed
+ */
+function loadTeammateSetting() {
+  try {
+    return localStorage.getItem(TEAMMATE_STORAGE_KEY) === "1";
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * DiscoveryMap - The parts of the current floor the player has explored
+ * Tiles are discovered once the local player has seen them, and a room or
+ * corridor once any of its tiles is discovered. Reset for every new map, so
+ * nothing carries over between floors or matches
+ */
+export class DiscoveryMap {
+  constructor() {
+    this.width = 0;
+    this.height = 0;
+    this.tileSize = 64;
+    this.discovered = new Uint8Array(0); // 1 per discovered tile
+
+    // Structures from the map and which of them are discovered
+    this.structures = [];
+    this.structureAt = null; // Int32Array of structure index per tile, -1 for none
+    this.discoveredStructures = new Set();
+
+    // Also reveal rooms entered by teammates
+    this.revealTeammateRooms = loadTeammateSetting();
+
+    this.lastVisionVersion = null;
+
+    // Bumped whenever something new is discovered, so minimaps can skip redraws
+    this.version = 0;
+  }
+
+  /**
+   * Start a fresh discovery mask for a map
+   * @param {Object} mapData - Map data from server
+   */
+  reset(mapData) {
+    const tiles = mapData && mapData.layers ? mapData.layers.tiles : null;
+
+    this.height = tiles ? tiles.length : 0;
+    this.width = this.height > 0 ? tiles[0].length : 0;
+    this.tileSize = (mapData && mapData.tileSize) || 64;
+    this.discovered = new Uint8Array(this.width * this.height);
+    this.structureAt = new Int32Array(this.width * this.height).fill(-1);
+    this.structures = [];
+    this.discoveredStructures.clear();
+    this.lastVisionVersion = null;
+
+    const structural = (mapData && mapData.structural) || {};
+    Object.entries(STRUCTURE_LISTS).forEach(([list, type]) => {
+      (structural[list] || []).forEach((structure) => {
+        const index = this.structures.length;
+        this.structures.push({ type, structure });
+
+        for (let y = structure.y; y < structure.y + structure.height; y++) {
+          for (let x = structure.x; x < structure.x + structure.width; x++) {
+            if (x >= 0 && y >= 0 && x < this.width && y < this.height) {
+              this.structureAt[y * this.width + x] = index;
+            }
+          }
+        }
+      });
+    });
+
+    this.version++;
+  }
+
+  /**
+   * Discover everything the local player can currently see
+   * @param {FieldOfView} fieldOfView - Local player's vision
+   */
+  discoverVisible(fieldOfView) {
+    const { visible } = fieldOfView;
+    if (!visible || visible.length !== this.discovered.length) return;
+    if (fieldOfView.version === this.lastVisionVersion) return;
+
+    this.lastVisionVersion = fieldOfView.version;
+
+    let changed = false;
+    for (let index = 0; index < visible.length; index++) {
+      if (visible[index] === 1 && this.discovered[index] === 0) {
+        this.discovered[index] = 1;
+        changed = true;
+
+        const structureIndex = this.structureAt[index];
+        if (structureIndex !== -1) {
+          this.discoveredStructures.add(structureIndex);
+        }
+      }
+    }
+
+    if (changed) {
+      this.version++;
+    }
+  }
+
+  /**
+   * Reveal the room a teammate is standing in, if the setting is on
+   * @param {number} x - Teammate world X
+   * @param {number} y - Teammate world Y
+   */
+  discoverTeammateRoom(x, y) {
+    if (!this.revealTeammateRooms || !this.structureAt) return;
+
+    const tileX = Math.floor(x / this.tileSize);
+    const tileY = Math.floor(y / this.tileSize);
+    if (tileX < 0 || tileY < 0 || tileX >= this.width || tileY >= this.height) return;
+
+    const structureIndex = this.structureAt[tileY * this.width + tileX];
+    if (structureIndex === -1 || this.discoveredStructures.has(structureIndex)) return;
+    if (!TEAMMATE_TYPES.includes(this.structures[structureIndex].type)) return;
+
+    this.discoveredStructures.add(structureIndex);
+    this.version++;
+  }
+
+  /**
+   * Choose whether rooms entered by teammates are revealed
+   * Rooms already revealed stay on the map
+   * @param {boolean} enabled - True to reveal them
+   */
+  setRevealTeammateRooms(enabled) {
+    this.revealTeammateRooms = enabled;
+
+    try {
+      localStorage.setItem(TEAMMATE_STORAGE_KEY, enabled ? "1" : "0");
+    } catch (error) {
+      console.warn("Could not save teammate reveal setting:", error);
+    }
+  }
+
+  /**
+   * Check if a room or corridor has been discovered
+   * @param {string} type - Structure type ('room', 'corridor' or 'spawnRoom')
+   * @param {Object} structure - Structure from mapData.structural
+   * @returns {boolean} - True if discovered
+   */
+  isStructureDiscovered(type, structure) {
+    for (const index of this.discoveredStructures) {
+      const entry = this.structures[index];
+      if (entry.type === type && entry.structure.x === structure.x &&
+          entry.structure.y === structure.y) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Check if a tile has been seen
+   * @param {number} tileX - Tile X coordinate
+   * @param {number} tileY - Tile Y coordinate
+   * @returns {boolean} - True if discovered
+   */
+  isTileDiscovered(tileX, tileY) {
+    if (tileX < 0 || tileY < 0 || tileX >= this.width || tileY >= this.height) {
+      return false;
+    }
+
+    return this.discovered[tileY * this.width + tileX] === 1;
+  }
+
+  /**
+   * Check if the tile under a world position has been seen
+   * @param {number} x - World X position
+   * @param {number} y - World Y position
+   * @returns {boolean} - True if discovered
+   */
+  isDiscoveredAt(x, y) {
+    return this.isTileDiscovered(Math.floor(x / this.tileSize), Math.floor(y / this.tileSize));
+  }
+}
@@ -10,12 +10,21 @@ class GameState {
     this.players = new Map();
     this.gameStartTime = null;
     this.gameEndTime = null;
+
+    // Countdowns keyed by name ("game", "phase", "countdown", "collapse"),
+    // stored as end timestamps in server time
+    this.timers = {};
+
+    // Server clock, replaced by the network manager once it is synced
+    this.timeSource = () => Date.now();
+
     this.gameConfig = {
       maxPlayers: 100,
       minPlayersToStart: 2,
       gameDuration: 10 * 60 * 1000, // 10 minutes
       dungeonPhaseDuration: 5 * 60 * 1000, // 5 minutes
       gauntletPhaseDuration: 2 * 60 * 1000, // 2 minutes
+      renderer: "dungeonRenderer", // Dungeon renderer, a key of RENDERERS in RendererAdapters.js
     };
 
     // Add map data storage
@@ -54,6 +63,61 @@ class GameState {
     return this;
   }
 
+  /**
+   * Set the function used to read the current server time
+   * @param {Function} timeSource - Returns server time in ms
+   */
+  setTimeSource(timeSource) {
+    this.timeSource = timeSource;
+    return this;
+  }
+
+  /**
+   * Get the current server time
+   * @returns {number} - Server time in ms
+   */
+  now() {
+    return this.timeSource();
+  }
+
+  /**
+   * Start or update a countdown from a server-issued end timestamp
+   * @param {string} name - Timer name
+   * @param {number} endsAt - End time in server ms
+   */
+  setTimer(name, endsAt) {
+    this.timers[name] = endsAt;
+  }
+
+  /**
+   * Stop a countdown
+   * @param {string} name - Timer name
+   */
+  clearTimer(name) {
+    delete this.timers[name];
+  }
+
+  /**
+   * Check if a countdown is running
+   * @param {string} name - Timer name
+   * @returns {boolean} - True if the timer exists and hasn't ended
+   */
+  hasTimer(name) {
+    return this.timers[name] !== undefined && this.getTimerRemaining(name) > 0;
+  }
+
+  /**
+   * Get the time left on a countdown
+   * @param {string} name - Timer name
+   * @returns {number} - Remaining ms, 0 if the timer isn't running
+   */
+  getTimerRemaining(name) {
+    const endsAt = this.timers[name];
+    if (endsAt === undefined) return 0;
+
+    return Math.max(0, endsAt - this.now());
+  }
+
   /**
    * Set map data
    * @param {Object} data - Map data from server
@@ -103,12 +167,12 @@ class GameState {
       oldPhase !== "dungeon" &&
       oldPhase !== "gauntlet"
     ) {
-      this.gameStartTime = Date.now();
+      this.gameStartTime = this.now();
     }
 
     // If phase changed to 'results', record game end time
     if (phase === "results" && oldPhase !== "results") {
-      this.gameEndTime = Date.now();
+      this.gameEndTime = this.now();
     }
 
     if (this.debug) {
@@ -219,7 +283,7 @@ class GameState {
    * Start the game
    */
   startGame() {
-    this.gameStartTime = Date.now();
+    this.gameStartTime = this.now();
     this.setPhase("dungeon");
     this.notifyListeners("gameStart", { startTime: this.gameStartTime });
   }
@@ -229,7 +293,8 @@ class GameState {
    * @param {Object} results - Game results
    */
   endGame(results) {
-    this.gameEndTime = Date.now();
+    this.gameEndTime = this.now();
+    this.timers = {};
     this.gameResults = results;
     this.setPhase("results");
     this.notifyListeners("gameEnd", {
@@ -246,19 +311,21 @@ class GameState {
   getElapsedTime() {
     if (!this.gameStartTime) return 0;
 
-    const endTime = this.gameEndTime || Date.now();
+    const endTime = this.gameEndTime || this.now();
     return endTime - this.gameStartTime;
   }
 
   /**
    * Get remaining game time in milliseconds
+   * Uses the server's match end time when known so every client agrees
    * @returns {number} - Remaining time or 0 if game hasn't started
    */
   getRemainingTime() {
-    if (!this.gameStartTime) return 0;
     if (this.gameEndTime) return 0;
+    if (this.timers.game !== undefined) return this.getTimerRemaining("game");
+    if (!this.gameStartTime) return 0;
 
-    const elapsed = Date.now() - this.gameStartTime;
+    const elapsed = this.now() - this.gameStartTime;
     const remaining = this.gameConfig.gameDuration - elapsed;
     return Math.max(0, remaining);
   }
@@ -314,6 +381,7 @@ class GameState {
     this.gameStartTime = null;
     this.gameEndTime = null;
     this.gameResults = null;
+    this.timers = {};
 
     if (this.debug) {
       console.log("Game state reset");
@@ -0,0 +1,268 @@
+// src/systems/KeyBindings.js
+
+const STORAGE_KEY = "key_bindings";
+
+// Slots per action shown in the settings screen
+export const BINDING_SLOTS = 2;
+
+/**
+ * Every keyboard action in the game with its default keys
+ * Keys are Phaser.Input.Keyboard.KeyCodes names
+ */
+export const KEY_ACTIONS = {
+  // Movement
+  moveUp: { label: "Move up", group: "Movement", defaults: ["W", "UP"] },
+  moveDown: { label: "Move down", group: "Movement", defaults: ["S", "DOWN"] },
+  moveLeft: { label: "Move left", group: "Movement", defaults: ["A", "LEFT"] },
+  moveRight: { label: "Move right", group: "Movement", defaults: ["D", "RIGHT"] },
+  dash: { label: "Dash", group: "Movement", defaults: ["SPACE"] },
+  toggleDashAim: { label: "Dash toward cursor", group: "Movement", defaults: ["C"] },
+
+  // Interface
+  keyBindings: { label: "Key bindings", group: "Interface", defaults: ["K"] },
+  toggleMap: { label: "Map", group: "Interface", defaults: ["TAB"] },
+  toggleTeammateRooms: { label: "Teammate rooms", group: "Interface", defaults: ["V"] },
+
+  // Pings
+  pingDanger: { label: "Ping danger", group: "Pings", defaults: ["Q"] },
+  pingLoot: { label: "Ping loot", group: "Pings", defaults: ["X"] },
+  pingGoHere: { label: "Ping go here", group: "Pings", defaults: ["Z"] },
+
+  // Debug tools
+  toggleDebugRendering: { label: "Debug rendering", group: "Debug", defaults: ["G"] },
+  toggleStructureBounds: { label: "Structure bounds", group: "Debug", defaults: ["B"] },
+  toggleTileGrid: { label: "Tile grid", group: "Debug", defaults: ["T"] },
+  toggleFog: { label: "Fog of war", group: "Debug", defaults: ["F"] },
+  cycleNetworkPreset: { label: "Network preset", group: "Debug", defaults: ["N"] },
+  toggleDeadReckoning: { label: "Dead reckoning", group: "Debug", defaults: ["E"] },
+  toggleCompactInputs: { label: "Compact inputs", group: "Debug", defaults: ["I"] },
+  toggleRecording: { label: "Record session", group: "Debug", defaults: ["R"] },
+  loadReplay: { label: "Load replay", group: "Debug", defaults: ["L"] },
+  dumpMapData: { label: "Dump map data", group: "Debug", defaults: ["M"] },
+};
+
+/**
+ * KeyBindings - Maps named actions to keyboard keys
+ * Bindings are stored in localStorage and can be changed at runtime;
+ * listeners registered with bindAction() follow the changes automatically
+ */
+class KeyBindings {
+  constructor() {
+    this.bindings = this.getDefaults();
+    this.capturing = false;
+  }
+
+  /**
+   * Get a fresh copy of the default bindings
+   * @returns {Object} - Map of action to key names
+   */
+  getDefaults() {
+    const bindings = {};
+
+    Object.entries(KEY_ACTIONS).forEach(([action, definition]) => {
+      bindings[action] = [...definition.defaults];
+    });
+
+    return bindings;
+  }
+
+  /**
+   * Load saved bindings, keeping defaults for actions that weren't saved
+   * Call once Phaser is loaded (see main.js)
+   */
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+      if (!saved) return;
+
+      Object.keys(KEY_ACTIONS).forEach((action) => {
+        if (Array.isArray(saved[action])) {
+          this.bindings[action] = saved[action].filter(isKeyName);
+        }
+      });
+    } catch (error) {
+      console.warn("Ignoring invalid saved key bindings:", error);
+    }
+  }
+
+  /**
+   * Save the current bindings
+   */
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+    } catch (error) {
+      console.warn("Could not save key bindings:", error);
+    }
+  }
+
+  /**
+   * Get the keys bound to an action
+   * @param {string} action - Action name
+   * @returns {Array} - Key names
+   */
+  getKeys(action) {
+    return this.bindings[action] || [];
+  }
+
+  /**
+   * Find the action that already uses a key
+   * @param {string} keyName - Key name
+   * @param {string} exceptAction - Action to ignore (the one being rebound)
+   * @returns {string|null} - Conflicting action or null
+   */
+  findConflict(keyName, exceptAction = null) {
+    for (const [action, keys] of Object.entries(this.bindings)) {
+      if (action !== exceptAction && keys.includes(keyName)) {
+        return action;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Bind a key to one of an action's slots
+   * Refuses keys already used by another action
+   * @param {string} action - Action name
+   * @param {number} slot - Slot index
+   * @param {string|null} keyName - Key name, or null to clear the slot
+   * @returns {Object} - { ok, conflict }
+   */
+  setKey(action, slot, keyName) {
+    if (!KEY_ACTIONS[action]) {
+      throw new Error(`Unknown key action: ${action}`);
+    }
+
+    if (keyName !== null) {
+      const conflict = this.findConflict(keyName, action);
+      if (conflict) return { ok: false, conflict };
+    }
+
+    const keys = [...this.getKeys(action)];
+    keys[slot] = keyName;
+
+    // Drop cleared slots and a key bound twice to the same action
+    this.bindings[action] = keys.filter(
+      (key, index) => key && keys.indexOf(key) === index
+    );
+
+    this.save();
+    this.notifyChange();
+
+    return { ok: true, conflict: null };
+  }
+
+  /**
+   * Restore every action to its default keys
+   */
+  resetToDefaults() {
+    this.bindings = this.getDefaults();
+    this.save();
+    this.notifyChange();
+  }
+
+  /**
+   * Pause all action handlers, e.g. while the settings screen waits for
+   * a new key
+   * @param {boolean} capturing - True to pause actions
+   */
+  setCapturing(capturing) {
+    this.capturing = capturing;
+  }
+
+  /**
+   * Check if a keyboard event triggers an action
+   * @param {string} action - Action name
+   * @param {KeyboardEvent} event - Keyboard event
+   * @returns {boolean} - True if the event's key is bound to the action
+   */
+  matches(action, event) {
+    return this.getKeys(action).some(
+      (keyName) => Phaser.Input.Keyboard.KeyCodes[keyName] === event.keyCode
+    );
+  }
+
+  /**
+   * Check if any key bound to an action is held
+   * @param {Phaser.Scene} scene - Scene whose keyboard to read
+   * @param {string} action - Action name
+   * @returns {boolean} - True if held
+   */
+  isDown(scene, action) {
+    if (this.capturing) return false;
+
+    // addKey returns the existing Key once a key has been added
+    return this.getKeys(action).some(
+      (keyName) => scene.input.keyboard.addKey(keyName).isDown
+    );
+  }
+
+  /**
+   * Call a function whenever an action's key is pressed
+   * @param {Phaser.Scene} scene - Scene whose keyboard to listen to
+   * @param {string} action - Action name
+   * @param {Function} callback - Called with the keyboard event
+   * @returns {Function} - Removes the listener
+   */
+  bindAction(scene, action, callback) {
+    const handler = (event) => {
+      if (this.capturing || event.repeat) return;
+      if (this.matches(action, event)) callback(event);
+    };
+
+    // Make sure bound keys are captured so the browser doesn't scroll
+    this.getKeys(action).forEach((keyName) => scene.input.keyboard.addKey(keyName));
+
+    scene.input.keyboard.on("keydown", handler);
+    return () => scene.input.keyboard.off("keydown", handler);
+  }
+
+  /**
+   * Get a readable label for an action's keys
+   * @param {string} action - Action name
+   * @returns {string} - e.g. "W / UP"
+   */
+  getLabel(action) {
+    const keys = this.getKeys(action);
+    return keys.length > 0 ? keys.join(" / ") : "unbound";
+  }
+
+  /**
+   * Find the key name for a keyboard event
+   * @param {KeyboardEvent} event - Keyboard event
+   * @returns {string|null} - Key name or null if Phaser doesn't know the key
+   */
+  getKeyName(event) {
+    const entry = Object.entries(Phaser.Input.Keyboard.KeyCodes).find(
+      ([, keyCode]) => keyCode === event.keyCode
+    );
+
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * Tell listeners that bindings changed
+   * @private
+   */
+  notifyChange() {
+    window.dispatchEvent(
+      new CustomEvent("keyBindingsChanged", { detail: { bindings: this.bindings } })
+    );
+  }
+}
+
+/**
+ * Check if a value is a Phaser key name
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for known key names
+ * @private
+ */
+function isKeyName(value) {
+  return typeof value === "string" && Phaser.Input.Keyboard.KeyCodes[value] !== undefined;
+}
+
+// Create a singleton instance
+const keyBindings = new KeyBindings();
+
+export default keyBindings;
@@ -0,0 +1,191 @@
+// src/systems/LineOfSight.js
+
+// How far the player sees, in tiles
+const DEFAULT_VIEW_RADIUS = 12;
+
+// Octants are scanned as four quadrants, each turned to face up. A quadrant
+// maps (depth, column) onto the grid around the origin
+const QUADRANTS = [
+  (x, y, depth, col) => [x + col, y - depth], // North
+  (x, y, depth, col) => [x + depth, y + col], // East
+  (x, y, depth, col) => [x + col, y + depth], // South
+  (x, y, depth, col) => [x - depth, y + col], // West
+];
+
+/**
+ * Find every tile visible from a tile with symmetric shadowcasting
+ * Walls block sight and are visible themselves; holes and floor don't
+ * block. Symmetric means that if A sees B then B sees A, so nothing can
+ * see a player the player can't see back
+ * @param {Object} collision - { collisionMap } with true for walls
+ * @param {number} originX - Origin tile X
+ * @param {number} originY - Origin tile Y
+ * @param {number} radius - View radius in tiles
+ * @param {Function} markVisible - Called with (x, y) for each visible tile,
+ *   possibly more than once
+ */
+export function computeVisibleTiles(collision, originX, originY, radius, markVisible) {
+  const { collisionMap } = collision;
+  if (!collisionMap || collisionMap.length === 0) return;
+
+  const height = collisionMap.length;
+  const width = collisionMap[0].length;
+  const radiusSquared = (radius + 0.5) * (radius + 0.5);
+
+  // Outside the map counts as wall
+  const isOpaque = (x, y) =>
+    x < 0 || y < 0 || x >= width || y >= height || !!collisionMap[y][x];
+
+  const reveal = (x, y, depth, col) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    if (depth * depth + col * col > radiusSquared) return;
+    markVisible(x, y);
+  };
+
+  reveal(originX, originY, 0, 0);
+
+  QUADRANTS.forEach((transform) => {
+    const scan = (depth, startSlope, endSlope) => {
+      if (depth > radius) return;
+
+      const minCol = Math.floor(depth * startSlope + 0.5);
+      const maxCol = Math.ceil(depth * endSlope - 0.5);
+      let prevOpaque = null;
+
+      for (let col = minCol; col <= maxCol; col++) {
+        const [x, y] = transform(originX, originY, depth, col);
+        const opaque = isOpaque(x, y);
+
+        // Floor is only seen when its center is inside the visible wedge
+        const symmetric = col >= depth * startSlope && col <= depth * endSlope;
+        if (opaque || symmetric) {
+          reveal(x, y, depth, col);
+        }
+
+        const slope = (2 * col - 1) / (2 * depth);
+
+        if (prevOpaque === true && !opaque) {
+          startSlope = slope;
+        }
+
+        if (prevOpaque === false && opaque) {
+          scan(depth + 1, startSlope, slope);
+        }
+
+        prevOpaque = opaque;
+      }
+
+      if (prevOpaque === false) {
+        scan(depth + 1, startSlope, endSlope);
+      }
+    };
+
+    scan(1, -1, 1);
+  });
+}
+
+/**
+ * FieldOfView - What the local player can see this frame
+ * Recomputed only when the player enters another tile or the map changes,
+ * so calling update every frame is cheap. Before a map is loaded
+ * everything counts as visible
+ */
+export class FieldOfView {
+  /**
+   * Create a new field of view
+   * @param {Object} collision - Collision data or CollisionSystem
+   * @param {Object} options - Configuration options
+   * @param {number} options.radius - View radius in tiles
+   */
+  constructor(collision, options = {}) {
+    this.collision = collision;
+    this.radius = options.radius || DEFAULT_VIEW_RADIUS;
+    this.enabled = true;
+
+    this.visible = null; // Uint8Array, 1 per visible tile
+    this.width = 0;
+    this.height = 0;
+    this.source = null;
+    this.originX = null;
+    this.originY = null;
+
+    // Bumped whenever the visible set changes, so renderers can skip work
+    this.version = 0;
+  }
+
+  /**
+   * Recompute vision from the player's position if they changed tile
+   * @param {number} x - Player world X
+   * @param {number} y - Player world Y
+   * @returns {boolean} - True if the visible tiles changed
+   */
+  update(x, y) {
+    const { collisionMap, tileSize } = this.collision;
+    if (!collisionMap || collisionMap.length === 0) return false;
+
+    const originX = Math.floor(x / tileSize);
+    const originY = Math.floor(y / tileSize);
+
+    if (collisionMap === this.source &&
+        originX === this.originX && originY === this.originY) {
+      return false;
+    }
+
+    if (collisionMap !== this.source) {
+      this.source = collisionMap;
+      this.height = collisionMap.length;
+      this.width = collisionMap[0].length;
+      this.visible = new Uint8Array(this.width * this.height);
+    } else {
+      this.visible.fill(0);
+    }
+
+    this.originX = originX;
+    this.originY = originY;
+
+    computeVisibleTiles(this.collision, originX, originY, this.radius, (tileX, tileY) => {
+      this.visible[tileY * this.width + tileX] = 1;
+    });
+
+    this.version++;
+    return true;
+  }
+
+  /**
+   * Turn fog of war on or off
+   * @param {boolean} enabled - False to see everything
+   */
+  setEnabled(enabled) {
+    if (this.enabled === enabled) return;
+
+    this.enabled = enabled;
+    this.version++;
+  }
+
+  /**
+   * Check if a tile is in sight
+   * @param {number} tileX - Tile X coordinate
+   * @param {number} tileY - Tile Y coordinate
+   * @returns {boolean} - True if visible
+   */
+  isTileVisible(tileX, tileY) {
+    if (!this.enabled || !this.visible) return true;
+
+    if (tileX < 0 || tileY < 0 || tileX >= this.width || tileY >= this.height) {
+      return false;
+    }
+
+    return this.visible[tileY * this.width + tileX] === 1;
+  }
+
+  /**
+   * Check if a world position is in sight
+   * @param {number} x - World X position
+   * @param {number} y - World Y position
+   * @returns {boolean} - True if visible
+   */
+  isVisibleAt(x, y) {
+    const { tileSize } = this.collision;
+    return this.isTileVisible(Math.floor(x / tileSize), Math.floor(y / tileSize));
+  }
+}
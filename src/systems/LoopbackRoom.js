@@ -0,0 +1,728 @@
+// src/systems/LoopbackRoom.js
+import { createOfflineMapData } from "../data/offlineMap.js";
+import {
+  stepMovement,
+  castDash,
+  TICK_MS,
+  MOVE_SPEED,
+  DASH_DISTANCE,
+} from "./MovementSimulation.js";
+import { decodeInputBatch } from "./InputCodec.js";
+import { createCollisionLayers } from "./TileBehaviors.js";
+import { getMapTileKind } from "./CollisionSystem.js";
+import { PING_TYPES, PingRateLimiter } from "./MapPings.js";
+
+/**
+ * LoopbackRoom - Offline stand-in for a Colyseus room
+ * Exposes the same send/onMessage/state/sessionId surface, serves a bundled
+ * map, acknowledges inputs like the server and drives a few bot players
+ * so rendering, input and UI work can happen without a server
+ */
+export class LoopbackRoom {
+  /**
+   * Create a new loopback room
+   * @param {Object} options - Join options
+   * @param {string} options.name - Local player name
+   * @param {number} options.botCount - Number of simulated remote players
+   */
+  constructor(options = {}) {
+    this.id = "offline";
+    this.roomId = this.id;
+    this.name = "normal";
+    this.sessionId = "offline_local";
+    this.reconnectionToken = null;
+
+    this.mapData = createOfflineMapData();
+    this.collision = this.createCollision(this.mapData);
+
+    // Room state - players mimic the server's MapSchema enough for
+    // get/has/forEach and the onAdd/onRemove/onChange hooks
+    this.state = {
+      phase: "lobby",
+      players: new Map(),
+    };
+
+    this.messageHandlers = new Map();
+    this.stateChangeHandlers = [];
+    this.leaveHandlers = [];
+    this.errorHandlers = [];
+
+    // Server-side simulation of the local player
+    this.lastProcessedSeq = -1;
+    this.dashDistance = DASH_DISTANCE;
+    this.dashCooldown = 3000; // ms
+    this.dashCharges = [
+      { available: true, cooldownEndsAt: 0 },
+      { available: true, cooldownEndsAt: 0 },
+    ];
+    this.pingLimiter = new PingRateLimiter();
+
+    // Match timing
+    this.dungeonPhaseDuration = 5 * 60 * 1000;
+    this.gameDuration = 10 * 60 * 1000;
+
+    // Bots
+    this.botCount = options.botCount !== undefined ? options.botCount : 6;
+    this.bots = [];
+    this.botUpdateRate = 50; // ms, roughly the server's patch rate
+    this.botTimer = null;
+    this.timers = new Set();
+
+    this.onStateChange = this.createStateChangeHook();
+
+    this.addPlayer(this.sessionId, {
+      name: options.name || "Offline Player",
+      position: this.getSpawnPosition(0),
+      team: "blue",
+    });
+
+    // Deliver the join flow asynchronously, like a real server would
+    this.defer(() => {
+      this.emitStateChange();
+      this.dispatch("welcome", { message: "Playing offline (loopback room)" });
+      this.dispatch("mapData", this.mapData);
+    });
+  }
+
+  /**
+   * Build a server-style collision map from map tiles
+   * @param {Object} mapData - Map data
+   * @returns {Object} - Collision data for the movement simulation
+   */
+  createCollision(mapData) {
+    return {
+      ...createCollisionLayers(mapData.layers.tiles),
+      tileSize: mapData.tileSize,
+      playerRadius: 20,
+      bufferZone: 2,
+    };
+  }
+
+  /**
+   * Create the onStateChange function with its `once` helper
+   * @returns {Function} - onStateChange hook
+   * @private
+   */
+  createStateChangeHook() {
+    const hook = (callback) => {
+      this.stateChangeHandlers.push({ callback, once: false });
+    };
+
+    hook.once = (callback) => {
+      this.stateChangeHandlers.push({ callback, once: true });
+    };
+
+    return hook;
+  }
+
+  /**
+   * Register a message handler
+   * @param {string} type - Message type or "*" for all messages
+   * @param {Function} handler - Message handler
+   * @returns {Function} - Unbind function
+   */
+  onMessage(type, handler) {
+    if (!this.messageHandlers.has(type)) {
+      this.messageHandlers.set(type, new Set());
+    }
+
+    this.messageHandlers.get(type).add(handler);
+
+    return () => {
+      this.messageHandlers.get(type).delete(handler);
+    };
+  }
+
+  /**
+   * Register a leave handler
+   * @param {Function} callback - Called with the close code
+   */
+  onLeave(callback) {
+    this.leaveHandlers.push(callback);
+  }
+
+  /**
+   * Register an error handler
+   * @param {Function} callback - Called with code and message
+   */
+  onError(callback) {
+    this.errorHandlers.push(callback);
+  }
+
+  /**
+   * Handle a message sent by the client
+   * @param {string} type - Message type
+   * @param {Object} message - Message data
+   */
+  send(type, message = {}) {
+    switch (type) {
+      case "requestMapData":
+        this.defer(() => this.dispatch("mapData", this.mapData));
+        break;
+
+      case "mapLoaded":
+        this.handleMapLoaded();
+        break;
+
+      case "playerInputBatch":
+        this.handleInputBatch(message.inputs || []);
+        break;
+
+      case "playerInputPacked":
+        this.handleInputBatch(decodeInputBatch(message).inputs);
+        break;
+
+      case "ping":
+        this.defer(() =>
+          this.dispatch("pong", {
+            clientTime: message.clientTime,
+            serverTime: Date.now(),
+          })
+        );
+        break;
+
+      case "playerInput":
+        if (message.type === "dash") {
+          this.handleDash(message);
+        }
+        break;
+
+      case "mapPing":
+        this.handleMapPing(message);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Leave the room
+   * @param {boolean} consented - Whether the leave was intentional
+   */
+  leave(consented = true) {
+    this.stopBots();
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+
+    const code = consented ? 4000 : 1006;
+    this.leaveHandlers.forEach((callback) => callback(code));
+  }
+
+  /**
+   * Remove all listeners
+   */
+  removeAllListeners() {
+    this.messageHandlers.clear();
+    this.stateChangeHandlers = [];
+    this.leaveHandlers = [];
+    this.errorHandlers = [];
+  }
+
+  /**
+   * Start the match once the local player has loaded the map
+   * @private
+   */
+  handleMapLoaded() {
+    const player = this.state.players.get(this.sessionId);
+    player.mapLoaded = true;
+    player.ready = true;
+    this.notifyPlayerChange(player);
+
+    if (this.state.phase !== "lobby") return;
+
+    this.defer(() => {
+      this.spawnBots();
+
+      const now = Date.now();
+      this.state.phase = "dungeon";
+      this.emitStateChange();
+      this.dispatch("phaseChange", {
+        phase: "dungeon",
+        endsAt: now + this.dungeonPhaseDuration,
+        gameEndsAt: now + this.gameDuration,
+      });
+    });
+  }
+
+  /**
+   * Simulate and acknowledge a batch of inputs
+   * @param {Array} inputs - Pending inputs from the client
+   * @private
+   */
+  handleInputBatch(inputs) {
+    const player = this.state.players.get(this.sessionId);
+    let collided = false;
+    let processed = false;
+
+    for (const input of inputs) {
+      if (input.seq <= this.lastProcessedSeq) continue;
+
+      const result = stepMovement(player.position, input, this.collision);
+      player.position = { x: result.x, y: result.y };
+      this.applyFacing(player, input.facing);
+      collided = collided || result.collided;
+      this.lastProcessedSeq = input.seq;
+      processed = true;
+
+      // The client stops sending movement until it lands again
+      if (result.fell) {
+        this.dropPlayer(this.sessionId, player, input.seq);
+        break;
+      }
+
+      this.trackSafePosition(player);
+    }
+
+    if (processed) {
+      this.notifyPlayerChange(player);
+    }
+
+    // A batch of nothing but resends means our last ack may have been lost,
+    // so acknowledge again
+    this.dispatch("inputAck", {
+      seq: this.lastProcessedSeq,
+      x: player.position.x,
+      y: player.position.y,
+      collided,
+    });
+  }
+
+  /**
+   * Apply a dash for the local player and confirm or reject it
+   * @param {Object} input - Dash input
+   * @private
+   */
+  handleDash(input) {
+    const player = this.state.players.get(this.sessionId);
+    const chargeIndex = this.dashCharges.findIndex((charge) => charge.available);
+    let reason = null;
+
+    this.applyFacing(player, input.facing);
+
+    if (input.seq <= this.lastProcessedSeq) {
+      reason = "stale";
+    } else if (chargeIndex === -1) {
+      reason = "noCharge";
+    }
+
+    if (input.seq > this.lastProcessedSeq) {
+      this.lastProcessedSeq = input.seq;
+    }
+
+    if (reason) {
+      this.dispatch("dashResult", {
+        seq: input.seq,
+        accepted: false,
+        reason,
+        x: player.position.x,
+        y: player.position.y,
+        charges: this.getDashCharges(),
+      });
+      return;
+    }
+
+    const end = this.castDash(player.position, input.direction);
+    player.position = { x: end.x, y: end.y };
+    this.trackSafePosition(player);
+    this.notifyPlayerChange(player);
+
+    const charge = this.dashCharges[chargeIndex];
+    charge.available = false;
+    charge.cooldownEndsAt = Date.now() + this.dashCooldown;
+
+    this.dispatch("dashResult", {
+      seq: input.seq,
+      accepted: true,
+      x: end.x,
+      y: end.y,
+      hitWall: end.hitWall,
+      charges: this.getDashCharges(),
+    });
+
+    if (end.fell) {
+      this.dropPlayer(this.sessionId, player, input.seq);
+    }
+
+    this.defer(() => {
+      charge.available = true;
+      charge.cooldownEndsAt = 0;
+      this.dispatch("dashChargeRestored", { chargeIndex, serverTime: Date.now() });
+    }, this.dashCooldown);
+  }
+
+  /**
+   * Echo a map ping back like the server broadcasts it to the room
+   * Unknown types, bad positions and pings over the rate limit are dropped
+   * @param {Object} message - Ping {type, x, y}
+   * @private
+   */
+  handleMapPing(message) {
+    if (!Object.prototype.hasOwnProperty.call(PING_TYPES, message.type)) return;
+    if (!Number.isFinite(message.x) || !Number.isFinite(message.y)) return;
+    if (!this.pingLimiter.tryConsume()) return;
+
+    const { tileSize, dungeonTileWidth, dungeonTileHeight } = this.mapData;
+    const player = this.state.players.get(this.sessionId);
+
+    this.defer(() =>
+      this.dispatch("mapPinged", {
+        playerId: this.sessionId,
+        name: player.name,
+        type: message.type,
+        x: Math.min(Math.max(message.x, 0), dungeonTileWidth * tileSize),
+        y: Math.min(Math.max(message.y, 0), dungeonTileHeight * tileSize),
+      })
+    );
+  }
+
+  /**
+   * Let a player fall into a hole and bring them back on solid ground
+   * Sent before the input ack so the client knows the fall was real
+   * @param {string} id - Session ID
+   * @param {Object} player - Player state, positioned over the hole
+   * @param {number} seq - Sequence number of the input that fell
+   * @private
+   */
+  dropPlayer(id, player, seq) {
+    const respawn = player.lastSafePosition || this.getSpawnPosition(0);
+
+    this.dispatch("playerFell", {
+      id,
+      seq,
+      x: player.position.x,
+      y: player.position.y,
+      respawnX: respawn.x,
+      respawnY: respawn.y,
+    });
+
+    player.position = { x: respawn.x, y: respawn.y };
+    this.notifyPlayerChange(player);
+  }
+
+  /**
+   * Remember where a player last stood on plain floor, to respawn them there
+   * @param {Object} player - Player state
+   * @private
+   */
+  trackSafePosition(player) {
+    if (this.isStandable(player.position)) {
+      player.lastSafePosition = { ...player.position };
+    }
+  }
+
+  /**
+   * Check if a position is safe to stand on
+   * @param {Object} position - Position {x, y}
+   * @returns {boolean} - True on plain floor
+   * @private
+   */
+  isStandable(position) {
+    return getMapTileKind(this.collision, position.x, position.y) === "walkable";
+  }
+
+  /**
+   * Take a facing angle from an input, if it has one
+   * @param {Object} player - Player state
+   * @param {number} facing - Facing angle in radians
+   * @private
+   */
+  applyFacing(player, facing) {
+    if (typeof facing === "number" && Number.isFinite(facing)) {
+      player.facing = facing;
+    }
+  }
+
+  /**
+   * Copy the local player's dash charges for a message
+   * @returns {Array} - Charges {available, cooldownEndsAt}
+   * @private
+   */
+  getDashCharges() {
+    return this.dashCharges.map((charge) => ({ ...charge }));
+  }
+
+  /**
+   * Find the farthest reachable point along a dash path
+   * @param {Object} start - Start position {x, y}
+   * @param {Object} direction - Normalized direction {x, y}
+   * @returns {Object} - End position {x, y, hitWall}
+   * @private
+   */
+  castDash(start, direction) {
+    return castDash(start, direction, this.collision, this.dashDistance);
+  }
+
+  /**
+   * Create the simulated remote players
+   * @private
+   */
+  spawnBots() {
+    for (let i = 0; i < this.botCount; i++) {
+      const id = `bot_${i + 1}`;
+      const position = this.getSpawnPosition(i + 1);
+
+      this.bots.push({
+        id,
+        seq: 0,
+        input: this.randomBotInput(),
+        nextDecision: 0,
+      });
+
+      // Every other bot is on the local player's team
+      this.addPlayer(id, {
+        name: `Bot_${i + 1}`,
+        position,
+        team: i % 2 === 0 ? "blue" : "red",
+      });
+      this.dispatch("playerJoined", {
+        id,
+        name: `Bot_${i + 1}`,
+        position,
+        playerCount: this.state.players.size,
+      });
+    }
+
+    this.emitStateChange();
+    this.botTimer = setInterval(() => this.updateBots(), this.botUpdateRate);
+  }
+
+  /**
+   * Move bots and broadcast their positions
+   * @private
+   */
+  updateBots() {
+    const now = Date.now();
+    const ticks = Math.round(this.botUpdateRate / TICK_MS);
+
+    this.bots.forEach((bot) => {
+      const player = this.state.players.get(bot.id);
+
+      // Occasionally dash instead of walking
+      if (now >= bot.nextDecision && Math.random() < 0.1) {
+        this.dashBot(bot, player);
+        bot.nextDecision = now + 1000 + Math.random() * 2000;
+        return;
+      }
+
+      if (now >= bot.nextDecision) {
+        bot.input = this.randomBotInput();
+        bot.nextDecision = now + 500 + Math.random() * 1500;
+
+        // Bots look where they walk
+        const dx = (bot.input.right ? 1 : 0) - (bot.input.left ? 1 : 0);
+        const dy = (bot.input.down ? 1 : 0) - (bot.input.up ? 1 : 0);
+        if (dx !== 0 || dy !== 0) {
+          player.facing = Math.atan2(dy, dx);
+        }
+      }
+
+      let position = player.position;
+      for (let i = 0; i < ticks; i++) {
+        const result = stepMovement(position, bot.input, this.collision, MOVE_SPEED);
+        position = { x: result.x, y: result.y };
+
+        // Pick a new direction after bumping into a wall
+        if (result.collided) {
+          bot.nextDecision = 0;
+        }
+
+        if (result.fell) {
+          player.position = position;
+          this.dropPlayer(bot.id, player, bot.seq + 1);
+          position = player.position;
+          bot.nextDecision = 0;
+          break;
+        }
+
+        if (this.isStandable(position)) {
+          player.lastSafePosition = position;
+        }
+      }
+
+      player.position = position;
+      bot.seq++;
+
+      this.dispatch("playerMoved", {
+        id: bot.id,
+        x: position.x,
+        y: position.y,
+        seq: bot.seq,
+        name: player.name,
+        facing: player.facing,
+        serverTime: now,
+      });
+    });
+  }
+
+  /**
+   * Make a bot dash in a random direction
+   * @param {Object} bot - Bot data
+   * @param {Object} player - Bot player state
+   * @private
+   */
+  dashBot(bot, player) {
+    const angle = Math.random() * Math.PI * 2;
+    const direction = { x: Math.cos(angle), y: Math.sin(angle) };
+    const start = player.position;
+    const end = this.castDash(start, direction);
+
+    player.position = { x: end.x, y: end.y };
+    player.facing = angle;
+    this.trackSafePosition(player);
+    bot.seq++;
+
+    this.dispatch("playerDashed", {
+      id: bot.id,
+      startX: start.x,
+      startY: start.y,
+      endX: end.x,
+      endY: end.y,
+      seq: bot.seq,
+      hitWall: end.hitWall,
+      serverTime: Date.now(),
+    });
+
+    if (end.fell) {
+      this.dropPlayer(bot.id, player, bot.seq);
+    }
+  }
+
+  /**
+   * Pick a random movement input for a bot
+   * @returns {Object} - Input state
+   * @private
+   */
+  randomBotInput() {
+    const horizontal = Math.floor(Math.random() * 3) - 1;
+    const vertical = Math.floor(Math.random() * 3) - 1;
+
+    return {
+      left: horizontal < 0,
+      right: horizontal > 0,
+      up: vertical < 0,
+      down: vertical > 0,
+      delta: TICK_MS,
+    };
+  }
+
+  /**
+   * Stop bot updates
+   * @private
+   */
+  stopBots() {
+    if (this.botTimer) {
+      clearInterval(this.botTimer);
+      this.botTimer = null;
+    }
+  }
+
+  /**
+   * Get a spawn position, spreading bots across the map's rooms
+   * @param {number} index - Player index (0 = local player)
+   * @returns {Object} - Position {x, y} in pixels
+   * @private
+   */
+  getSpawnPosition(index) {
+    if (index === 0 && this.mapData.spawnPoints.length > 0) {
+      const spawn = this.mapData.spawnPoints[0];
+      return { x: spawn.x, y: spawn.y };
+    }
+
+    const rooms = this.mapData.structural.rooms;
+    const room = rooms[index % rooms.length];
+    const tileSize = this.mapData.tileSize;
+    let position;
+
+    // Stay clear of holes and edges
+    for (let attempt = 0; attempt < 20; attempt++) {
+      position = {
+        x: (room.x + 1 + Math.random() * (room.width - 2)) * tileSize,
+        y: (room.y + 1 + Math.random() * (room.height - 2)) * tileSize,
+      };
+
+      if (this.isStandable(position)) break;
+    }
+
+    return position;
+  }
+
+  /**
+   * Add a player to the room state
+   * @param {string} id - Session ID
+   * @param {Object} data - Player data
+   * @private
+   */
+  addPlayer(id, data) {
+    const player = {
+      name: data.name,
+      position: { ...data.position },
+      lastSafePosition: { ...data.position },
+      facing: Math.PI / 2,
+      team: data.team,
+      mapLoaded: false,
+      ready: false,
+      onChange: null,
+    };
+
+    this.state.players.set(id, player);
+
+    if (typeof this.state.players.onAdd === "function") {
+      this.state.players.onAdd(player, id);
+    }
+  }
+
+  /**
+   * Fire a player's onChange hook
+   * @param {Object} player - Player state
+   * @private
+   */
+  notifyPlayerChange(player) {
+    if (typeof player.onChange === "function") {
+      player.onChange([]);
+    }
+  }
+
+  /**
+   * Deliver a message to registered handlers
+   * @param {string} type - Message type
+   * @param {Object} message - Message data
+   * @private
+   */
+  dispatch(type, message) {
+    const handlers = this.messageHandlers.get(type);
+    if (handlers) {
+      handlers.forEach((handler) => handler(message));
+    }
+
+    const wildcardHandlers = this.messageHandlers.get("*");
+    if (wildcardHandlers) {
+      wildcardHandlers.forEach((handler) => handler(type, message));
+    }
+  }
+
+  /**
+   * Notify state change listeners
+   * @private
+   */
+  emitStateChange() {
+    const handlers = this.stateChangeHandlers;
+    this.stateChangeHandlers = handlers.filter((handler) => !handler.once);
+    handlers.forEach((handler) => handler.callback(this.state));
+  }
+
+  /**
+   * Run a callback later, cancelled if the room is left
+   * @param {Function} callback - Callback
+   * @param {number} delay - Delay in ms
+   * @private
+   */
+  defer(callback, delay = 0) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delay);
+
+    this.timers.add(timer);
+  }
+}
@@ -0,0 +1,145 @@
+// src/systems/MapPings.js
+
+/**
+ * Ping types players can place, keyed by the type sent over the room
+ */
+export const PING_TYPES = {
+  danger: { label: "Danger", color: 0xff3333 },
+  loot: { label: "Loot", color: 0xffcc00 },
+  goHere: { label: "Go here", color: 0x33ff66 },
+};
+
+// How long a ping stays on screen
+export const PING_DURATION = 6000; // ms
+
+// Pings a player may place per window; the server enforces the same limit
+export const PING_RATE_LIMIT = { count: 3, windowMs: 5000 };
+
+/**
+ * PingRateLimiter - Sliding window limit on pings per player
+ * Shared by the client, so it can refuse early, and the loopback room
+ */
+export class PingRateLimiter {
+  /**
+   * @param {Object} options - Limit options
+   * @param {number} options.count - Pings allowed per window
+   * @param {number} options.windowMs - Window length in ms
+   */
+  constructor(options = PING_RATE_LIMIT) {
+    this.count = options.count;
+    this.windowMs = options.windowMs;
+    this.sentAt = [];
+  }
+
+  /**
+   * Use up one ping if the limit allows it
+   * @param {number} now - Current time in ms
+   * @returns {boolean} - True if the ping may be sent
+   */
+  tryConsume(now = Date.now()) {
+    this.sentAt = this.sentAt.filter((time) => now - time < this.windowMs);
+    if (this.sentAt.length >= this.count) return false;
+
+    this.sentAt.push(now);
+    return true;
+  }
+
+  /**
+   * Forget previous pings
+   */
+  reset() {
+    this.sentAt = [];
+  }
+}
+
+/**
+ * MapPings - Timed position markers shared between players
+ * Pings are only added when the room echoes them back, so every player
+ * sees the same set; the renderers read getActive() each frame
+ */
+export class MapPings {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.duration - Default ping lifetime in ms
+   */
+  constructor(options = {}) {
+    this.duration = options.duration || PING_DURATION;
+    this.pings = [];
+    this.nextId = 1;
+    this.limiter = new PingRateLimiter();
+
+    // Bumped when pings are added or expire, for redraw checks
+    this.version = 0;
+  }
+
+  /**
+   * Check if a ping type exists
+   * @param {string} type - Ping type
+   * @returns {boolean} - True for types in PING_TYPES
+   */
+  isValidType(type) {
+    return Object.prototype.hasOwnProperty.call(PING_TYPES, type);
+  }
+
+  /**
+   * Reserve a slot for sending a ping
+   * @param {string} type - Ping type
+   * @param {number} now - Current time in ms
+   * @returns {boolean} - True if the ping may be sent
+   */
+  requestSend(type, now = Date.now()) {
+    return this.isValidType(type) && this.limiter.tryConsume(now);
+  }
+
+  /**
+   * Add a ping received from the room
+   * @param {Object} message - mapPinged message
+   * @param {number} now - Current time in ms
+   * @returns {Object|null} - The new ping, or null for unknown types
+   */
+  add(message, now = Date.now()) {
+    if (!this.isValidType(message.type)) return null;
+
+    const ping = {
+      id: this.nextId++,
+      type: message.type,
+      x: message.x,
+      y: message.y,
+      playerId: message.playerId,
+      name: message.name || null,
+      createdAt: now,
+      expiresAt: now + (message.duration || this.duration),
+    };
+
+    this.pings.push(ping);
+    this.version++;
+
+    return ping;
+  }
+
+  /**
+   * Get pings that haven't expired, dropping the ones that have
+   * @param {number} now - Current time in ms
+   * @returns {Array} - Active pings, oldest first
+   */
+  getActive(now = Date.now()) {
+    const active = this.pings.filter((ping) => ping.expiresAt > now);
+
+    if (active.length !== this.pings.length) {
+      this.pings = active;
+      this.version++;
+    }
+
+    return this.pings;
+  }
+
+  /**
+   * Remove every ping, e.g. when a new floor is loaded
+   */
+  clear() {
+    if (this.pings.length === 0) return;
+
+    this.pings = [];
+    this.version++;
+  }
+}
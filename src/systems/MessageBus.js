@@ -0,0 +1,297 @@
+// src/systems/MessageBus.js
+
+/**
+ * Expected payload fields for server messages
+ * Each field maps to a type: "number", "string", "boolean", "object",
+ * "array" or "any". A trailing "?" marks the field as optional.
+ * Messages without a schema are delivered unchecked.
+ */
+export const MESSAGE_SCHEMAS = {
+  // Movement
+  inputAck: { seq: "number", x: "number", y: "number", collided: "boolean?" },
+  playerMoved: {
+    id: "string",
+    x: "number",
+    y: "number",
+    seq: "number?",
+    name: "string?",
+    facing: "number?",
+    serverTime: "number?",
+  },
+  playerDashed: {
+    id: "string",
+    startX: "number",
+    startY: "number",
+    endX: "number",
+    endY: "number",
+    seq: "number?",
+    hitWall: "boolean?",
+    serverTime: "number?",
+  },
+  dashResult: {
+    seq: "number",
+    accepted: "boolean",
+    x: "number",
+    y: "number",
+    hitWall: "boolean?",
+    charges: "array?",
+    reason: "string?",
+  },
+  dashChargeRestored: { chargeIndex: "number", serverTime: "number?" },
+  playerFell: {
+    id: "string",
+    seq: "number?",
+    x: "number",
+    y: "number",
+    respawnX: "number",
+    respawnY: "number",
+  },
+  teleported: { x: "number?", y: "number?", floorLevel: "number?" },
+
+  // Players
+  playerJoined: {
+    id: "string",
+    name: "string?",
+    position: "object?",
+    playerCount: "number?",
+  },
+  playerLeft: { id: "string?", playerCount: "number?" },
+
+  // Communication
+  mapPinged: {
+    playerId: "string",
+    type: "string",
+    x: "number",
+    y: "number",
+    name: "string?",
+    duration: "number?",
+  },
+
+  // Dungeon
+  mapData: { tileSize: "number", layers: "object", floorLevel: "number?" },
+  floorCollapsing: { timeLeft: "number", endsAt: "number?" },
+
+  // Match flow
+  welcome: { message: "string?" },
+  phaseChange: { phase: "string", endsAt: "number?", gameEndsAt: "number?" },
+  countdownStarted: { seconds: "number", endsAt: "number?" },
+  countdownUpdate: { seconds: "number", endsAt: "number?" },
+  countdownCancelled: { reason: "string?" },
+  globalEvent: { message: "string" },
+  gameEnded: {},
+
+  // Clock sync
+  pong: { clientTime: "number", serverTime: "number" },
+};
+
+/**
+ * MessageBus - Routes room messages to any number of subscribers
+ * Subscriptions outlive the room, so they are rebound automatically when
+ * the network manager attaches a new room after a reconnect
+ */
+class MessageBus {
+  constructor() {
+    this.room = null;
+    this.subscribers = new Map(); // type -> Set of handlers
+    this.roomBindings = new Map(); // type -> unbind function for the room
+    this.schemas = { ...MESSAGE_SCHEMAS };
+    this.debug = false;
+  }
+
+  /**
+   * Route messages from a room, replacing any previously attached room
+   * @param {Room} room - Colyseus room
+   */
+  attach(room) {
+    if (room === this.room) return this;
+
+    this.detach();
+    this.room = room;
+
+    if (room) {
+      this.subscribers.forEach((handlers, type) => this.bindType(type));
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop routing messages from the current room
+   * Subscriptions are kept for the next room
+   */
+  detach() {
+    this.roomBindings.forEach((unbind) => {
+      if (typeof unbind === "function") unbind();
+    });
+
+    this.roomBindings.clear();
+    this.room = null;
+
+    return this;
+  }
+
+  /**
+   * Subscribe to a message type
+   * @param {string} type - Message type
+   * @param {Function} handler - Called with the message payload
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(type, handler) {
+    if (!this.subscribers.has(type)) {
+      this.subscribers.set(type, new Set());
+    }
+
+    this.subscribers.get(type).add(handler);
+
+    if (this.room) {
+      this.bindType(type);
+    }
+
+    return () => this.unsubscribe(type, handler);
+  }
+
+  /**
+   * Subscribe to several message types at once
+   * @param {Object} handlers - Map of message type to handler
+   * @returns {Function} - Unsubscribes all of the given handlers
+   */
+  subscribeAll(handlers) {
+    const unsubscribers = Object.entries(handlers).map(([type, handler]) =>
+      this.subscribe(type, handler)
+    );
+
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+
+  /**
+   * Remove a subscriber
+   * @param {string} type - Message type
+   * @param {Function} handler - Handler passed to subscribe
+   */
+  unsubscribe(type, handler) {
+    const handlers = this.subscribers.get(type);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+  }
+
+  /**
+   * Declare or replace the payload schema for a message type
+   * @param {string} type - Message type
+   * @param {Object|null} schema - Field types, or null to skip checks
+   */
+  defineSchema(type, schema) {
+    if (schema) {
+      this.schemas[type] = schema;
+    } else {
+      delete this.schemas[type];
+    }
+
+    return this;
+  }
+
+  /**
+   * Deliver a message to subscribers as if it came from the room
+   * @param {string} type - Message type
+   * @param {*} message - Message payload
+   */
+  publish(type, message) {
+    const errors = this.validate(type, message);
+    if (errors.length > 0) {
+      console.warn(
+        `Dropping invalid ${type} message: ${errors.join(", ")}`,
+        message
+      );
+      return;
+    }
+
+    const handlers = this.subscribers.get(type);
+    if (!handlers || handlers.size === 0) {
+      this.debug && console.log(`No subscribers for ${type} message`);
+      return;
+    }
+
+    // Copy so handlers can unsubscribe while being called
+    for (const handler of [...handlers]) {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error(`Error in ${type} message handler:`, error);
+      }
+    }
+  }
+
+  /**
+   * Check a message payload against its schema
+   * @param {string} type - Message type
+   * @param {*} message - Message payload
+   * @returns {Array<string>} - Validation errors, empty if valid
+   */
+  validate(type, message) {
+    const schema = this.schemas[type];
+    if (!schema) return [];
+
+    if (!message || typeof message !== "object") {
+      return ["payload is not an object"];
+    }
+
+    const errors = [];
+
+    Object.entries(schema).forEach(([field, fieldType]) => {
+      const optional = fieldType.endsWith("?");
+      const expected = optional ? fieldType.slice(0, -1) : fieldType;
+      const value = message[field];
+
+      if (value === undefined || value === null) {
+        if (!optional) errors.push(`missing ${field}`);
+        return;
+      }
+
+      if (!this.matchesType(value, expected)) {
+        errors.push(`${field} should be ${expected}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check a single value against a schema type
+   * @param {*} value - Value to check
+   * @param {string} type - Schema type
+   * @returns {boolean} - True if the value matches
+   * @private
+   */
+  matchesType(value, type) {
+    switch (type) {
+      case "any":
+        return true;
+      case "array":
+        return Array.isArray(value);
+      case "number":
+        return typeof value === "number" && !Number.isNaN(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  /**
+   * Register a single room listener for a message type
+   * @param {string} type - Message type
+   * @private
+   */
+  bindType(type) {
+    if (this.roomBindings.has(type)) return;
+
+    const unbind = this.room.onMessage(type, (message) => {
+      this.publish(type, message);
+    });
+
+    this.roomBindings.set(type, unbind);
+  }
+}
+
+// Create a singleton instance
+const messageBus = new MessageBus();
+
+export default messageBus;
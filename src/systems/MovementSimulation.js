@@ -0,0 +1,136 @@
+// src/systems/MovementSimulation.js
+import {
+  resolveMapCollision,
+  sweepCircle,
+  getMapTileKind,
+} from "./CollisionSystem.js";
+import { getTileBehavior } from "./TileBehaviors.js";
+
+/**
+ * Fixed-timestep movement simulation
+ * Shared by client prediction, reconciliation and replay so every path
+ * produces exactly the same positions as the server's 60Hz tick
+ */
+
+// Server tick length in ms - must match the server's fixed tick rate
+export const TICK_MS = 1000 / 60;
+
+// Pixels per second - must match server's PlayerState.moveSpeed
+export const MOVE_SPEED = 300;
+
+// Never simulate more than this many ticks in one frame (e.g. after a tab
+// was in the background) to avoid a burst of inputs
+export const MAX_TICKS_PER_FRAME = 5;
+
+// Dash reach in pixels - must match the server's dash handling
+export const DASH_DISTANCE = 120;
+
+/**
+ * Advance a player by one movement tick
+ * Speed follows the tile the player starts on; ending over a fall-through
+ * tile sets `fell`
+ * @param {Object} state - Current state {x, y}
+ * @param {Object} input - Input {up, down, left, right, delta}
+ * @param {Object|null} collision - { collisionMap, tileKinds, tileSize, bufferZone, playerRadius } or null
+ * @param {number} moveSpeed - Movement speed in pixels per second
+ * @returns {Object} - New state {x, y, collided, groundKind, fell}
+ */
+export function stepMovement(state, input, collision, moveSpeed = MOVE_SPEED) {
+  const delta = input.delta !== undefined ? input.delta : TICK_MS;
+  const hasMap = !!(collision && collision.collisionMap);
+  const startKind = hasMap ? getMapTileKind(collision, state.x, state.y) : "walkable";
+  const moveAmount =
+    ((moveSpeed * delta) / 1000) * getTileBehavior(startKind).speedMultiplier;
+
+  // Each held direction moves the full amount, same as the server
+  let targetX = state.x;
+  let targetY = state.y;
+
+  if (input.left) targetX -= moveAmount;
+  if (input.right) targetX += moveAmount;
+  if (input.up) targetY -= moveAmount;
+  if (input.down) targetY += moveAmount;
+
+  // No collision data, use target directly
+  if (!hasMap) {
+    return {
+      x: targetX,
+      y: targetY,
+      collided: false,
+      groundKind: "walkable",
+      fell: false,
+    };
+  }
+
+  // Sweep the move and slide along any wall it runs into
+  const resolved = resolveMapCollision(
+    collision,
+    state.x,
+    state.y,
+    targetX,
+    targetY,
+    collision.playerRadius
+  );
+
+  return {
+    x: resolved.x,
+    y: resolved.y,
+    collided: resolved.collided,
+    groundKind: resolved.groundKind,
+    fell: getTileBehavior(resolved.groundKind).fallThrough,
+  };
+}
+
+/**
+ * Replay a list of inputs from a starting state
+ * @param {Object} state - Starting state {x, y}
+ * @param {Array} inputs - Inputs to simulate in order
+ * @param {Object|null} collision - Collision map (see stepMovement)
+ * @param {number} moveSpeed - Movement speed in pixels per second
+ * @returns {Object} - Final state {x, y, collided, groundKind, fell}
+ */
+export function simulateInputs(state, inputs, collision, moveSpeed = MOVE_SPEED) {
+  let result = { x: state.x, y: state.y, collided: false };
+
+  for (const input of inputs) {
+    result = stepMovement(result, input, collision, moveSpeed);
+  }
+
+  return result;
+}
+
+/**
+ * Find the farthest reachable point along a dash path
+ * Dashes stop against the first wall they touch instead of sliding, and
+ * carry the player over holes - only landing in one makes them fall
+ * @param {Object} state - Start position {x, y}
+ * @param {Object} direction - Normalized direction {x, y}
+ * @param {Object|null} collision - Collision map (see stepMovement)
+ * @param {number} distance - Dash distance in pixels
+ * @returns {Object} - End position {x, y, hitWall, groundKind, fell}
+ */
+export function castDash(state, direction, collision, distance = DASH_DISTANCE) {
+  const dx = direction.x * distance;
+  const dy = direction.y * distance;
+
+  if (!collision || !collision.collisionMap) {
+    return {
+      x: state.x + dx,
+      y: state.y + dy,
+      hitWall: false,
+      groundKind: "walkable",
+      fell: false,
+    };
+  }
+
+  const sweep = sweepCircle(collision, state.x, state.y, dx, dy, collision.playerRadius);
+  const groundKind = getMapTileKind(collision, sweep.x, sweep.y);
+
+  return {
+    x: sweep.x,
+    y: sweep.y,
+    hitWall: sweep.hit,
+    groundKind,
+    fell: getTileBehavior(groundKind).fallThrough,
+  };
+}
@@ -0,0 +1,223 @@
+// src/systems/NetworkConditioner.js
+
+/**
+ * Network condition presets
+ * Latency and jitter are one-way in ms, the rest are probabilities (0-1)
+ */
+export const NETWORK_PRESETS = {
+  off: {
+    label: "Off",
+    latency: 0,
+    jitter: 0,
+    loss: 0,
+    duplicate: 0,
+    reorder: 0,
+  },
+  goodWifi: {
+    label: "Good wifi",
+    latency: 10,
+    jitter: 4,
+    loss: 0.001,
+    duplicate: 0,
+    reorder: 0,
+  },
+  transatlantic: {
+    label: "Transatlantic",
+    latency: 45,
+    jitter: 8,
+    loss: 0.005,
+    duplicate: 0,
+    reorder: 0.002,
+  },
+  mobile3G: {
+    label: "Mobile 3G",
+    latency: 150,
+    jitter: 60,
+    loss: 0.02,
+    duplicate: 0.01,
+    reorder: 0.02,
+  },
+  terrible: {
+    label: "Terrible",
+    latency: 300,
+    jitter: 150,
+    loss: 0.1,
+    duplicate: 0.03,
+    reorder: 0.1,
+  },
+};
+
+/**
+ * NetworkConditioner - Simulates bad networks by wrapping a room's
+ * send and onMessage paths with latency, jitter, loss, duplication
+ * and reordering
+ */
+class NetworkConditioner {
+  constructor() {
+    this.presetName = "off";
+    this.conditions = { ...NETWORK_PRESETS.off };
+    this.debug = false;
+
+    // Keep delivery in order unless a message is deliberately reordered
+    this.lastDeliveryTime = { inbound: 0, outbound: 0 };
+
+    this.stats = {
+      sent: 0,
+      received: 0,
+      dropped: 0,
+      duplicated: 0,
+      reordered: 0,
+    };
+  }
+
+  /**
+   * Wrap a room so all of its traffic goes through the conditioner
+   * @param {Room} room - Colyseus room
+   * @returns {Room} - The same room instance
+   */
+  attach(room) {
+    if (!room || room._networkConditioned) return room;
+
+    const send = room.send.bind(room);
+    const onMessage = room.onMessage.bind(room);
+    const handlers = new Map();
+
+    room.send = (type, message) => {
+      this.schedule("outbound", () => {
+        try {
+          send(type, message);
+        } catch (error) {
+          console.error(`Error sending delayed ${type} message:`, error);
+        }
+      });
+    };
+
+    // Register one real handler per type so every subscriber sees the
+    // same delay/loss outcome for a given message
+    room.onMessage = (type, handler) => {
+      if (!handlers.has(type)) {
+        handlers.set(type, new Set());
+
+        onMessage(type, (...args) => {
+          this.schedule("inbound", () => {
+            for (const callback of handlers.get(type)) {
+              callback(...args);
+            }
+          });
+        });
+      }
+
+      handlers.get(type).add(handler);
+
+      return () => {
+        handlers.get(type).delete(handler);
+      };
+    };
+
+    room._networkConditioned = true;
+    return room;
+  }
+
+  /**
+   * Switch to a named preset
+   * @param {string} name - Preset key from NETWORK_PRESETS
+   */
+  setPreset(name) {
+    const preset = NETWORK_PRESETS[name];
+    if (!preset) {
+      console.warn(`Unknown network preset: ${name}`);
+      return this;
+    }
+
+    this.presetName = name;
+    this.conditions = { ...preset };
+
+    console.log(`Network conditions: ${preset.label}`);
+    return this;
+  }
+
+  /**
+   * Switch to the next preset in order
+   * @returns {string} - New preset name
+   */
+  cyclePreset() {
+    const names = Object.keys(NETWORK_PRESETS);
+    const next = names[(names.indexOf(this.presetName) + 1) % names.length];
+    this.setPreset(next);
+    return next;
+  }
+
+  /**
+   * Override individual conditions
+   * @param {Object} conditions - Any of latency, jitter, loss, duplicate, reorder
+   */
+  configure(conditions = {}) {
+    this.presetName = "custom";
+    this.conditions = { ...this.conditions, ...conditions, label: "Custom" };
+    return this;
+  }
+
+  /**
+   * Get a label for the current conditions
+   * @returns {string} - Preset label
+   */
+  getLabel() {
+    return this.conditions.label;
+  }
+
+  /**
+   * Check if any condition is being simulated
+   * @returns {boolean} - True if traffic is being altered
+   */
+  isActive() {
+    const { latency, jitter, loss, duplicate, reorder } = this.conditions;
+    return latency > 0 || jitter > 0 || loss > 0 || duplicate > 0 || reorder > 0;
+  }
+
+  /**
+   * Deliver a message according to the current conditions
+   * @param {string} direction - "inbound" or "outbound"
+   * @param {Function} deliver - Delivers the message
+   * @private
+   */
+  schedule(direction, deliver) {
+    this.stats[direction === "inbound" ? "received" : "sent"]++;
+
+    if (!this.isActive()) {
+      deliver();
+      return;
+    }
+
+    const { latency, jitter, loss, duplicate, reorder } = this.conditions;
+
+    if (Math.random() < loss) {
+      this.stats.dropped++;
+      this.debug && console.log(`[net-sim] dropped ${direction} message`);
+      return;
+    }
+
+    const now = Date.now();
+    let deliverAt = now + latency + (Math.random() * 2 - 1) * jitter;
+
+    if (Math.random() < reorder) {
+      // Hold this one back so later messages overtake it
+      deliverAt += latency + jitter;
+      this.stats.reordered++;
+    } else {
+      deliverAt = Math.max(deliverAt, this.lastDeliveryTime[direction]);
+      this.lastDeliveryTime[direction] = deliverAt;
+    }
+
+    setTimeout(deliver, Math.max(0, deliverAt - now));
+
+    if (Math.random() < duplicate) {
+      this.stats.duplicated++;
+      setTimeout(deliver, Math.max(0, deliverAt - now) + jitter);
+    }
+  }
+}
+
+// Create a singleton instance
+const networkConditioner = new NetworkConditioner();
+
+export default networkConditioner;
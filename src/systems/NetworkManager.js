@@ -1,6 +1,11 @@
 // src/systems/NetworkManager.js
 import { Client, getStateCallbacks } from "colyseus.js";
 import gameState from "./GameState.js";
+import networkConditioner from "./NetworkConditioner.js";
+import messageBus from "./MessageBus.js";
+import networkTelemetry from "./NetworkTelemetry.js";
+import sessionRecorder from "./SessionRecorder.js";
+import { LoopbackRoom } from "./LoopbackRoom.js";
 
 class NetworkManager {
   constructor() {
@@ -11,7 +16,6 @@ class NetworkManager {
     this.httpServerUrl = "http://localhost:2567"; // HTTP URL for auth API
     this.roomType = "normal";
     this.debug = true;
-    this.messageHandlers = new Map();
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 2000;
@@ -19,6 +23,10 @@ class NetworkManager {
     this.inputSendRate = 16.67;
     this.lastInput = null;
 
+    // Play against a local loopback room instead of the server
+    // (enable with init({ offline: true }) or ?offline in the URL)
+    this.offline = new URLSearchParams(window.location.search).has("offline");
+
     // Auth state tracking
     this.isAuthenticated = false;
     this.userData = null;
@@ -29,6 +37,29 @@ class NetworkManager {
     this.lastServerState = null;
     this.lastProcessedInput = 0;
 
+    // Server clock sync (ping/pong)
+    this.clockSyncInterval = 2000; // ms between pings
+    this.clockSyncTimer = null;
+    this.clockSamples = [];
+    this.maxClockSamples = 8;
+    this.rttSmoothing = 0.2;
+    this.offsetSmoothing = 0.1;
+    this.rtt = null; // Smoothed round trip time in ms
+    this.jitter = 0; // Smoothed RTT variation in ms
+    this.lastRttSample = null;
+    this.pendingPings = new Map(); // clientTime -> true while awaiting pong
+    this.pingResults = []; // true = answered, false = lost
+    this.maxPingResults = 30;
+    this.pingTimeout = 5000; // ms before a ping counts as lost
+    this.clockOffset = 0; // serverTime - Date.now() in ms
+    this.clockSynced = false;
+
+    // Countdowns read the estimated server clock
+    gameState.setTimeSource(() => this.getServerTime());
+
+    // Subscriptions live on the message bus, so they survive room changes
+    this.setupMessageHandlers();
+
     // Check for existing token on initialization
     this.checkExistingAuth();
 
@@ -234,8 +265,16 @@ class NetworkManager {
       this.debug = config.debug;
     }
 
+    if (config.offline !== undefined) {
+      this.offline = config.offline;
+    }
+
     if (this.debug) {
-      console.log(`NetworkManager initialized with server: ${this.serverUrl}`);
+      console.log(
+        this.offline
+          ? "NetworkManager initialized in offline mode"
+          : `NetworkManager initialized with server: ${this.serverUrl}`
+      );
       console.log(
         `Auth status: ${this.isAuthenticated ? "Authenticated" : "Guest"}`
       );
@@ -250,6 +289,10 @@ class NetworkManager {
    * @returns {Promise} - Promise resolving to the connected room
    */
   async connect(options = {}) {
+    if (this.offline) {
+      return this.connectOffline(options);
+    }
+
     try {
       if (!this.client) {
         this.client = new Client(this.serverUrl);
@@ -264,10 +307,24 @@ class NetworkManager {
         }
       }
 
+      // Resume a dropped session (e.g. after a page reload) instead of
+      // joining a fresh room and losing the match
+      if (this.getReconnectionData()) {
+        try {
+          return await this.reconnect();
+        } catch (error) {
+          console.warn("Could not resume previous session:", error);
+          this.clearReconnectionData();
+        }
+      }
+
       // Join or create room
-      this.room = await this.client.joinOrCreate(this.roomType, options);
+      this.room = this.instrumentRoom(
+        await this.client.joinOrCreate(this.roomType, options)
+      );
       this.connected = true;
       this.reconnectAttempts = 0;
+      this.saveReconnectionData();
 
       if (this.debug) {
         console.log(`Connected to room: ${this.room.id}`);
@@ -339,6 +396,138 @@ class NetworkManager {
     }
   }
 
+  /**
+   * Wrap a freshly joined room with the network simulator and telemetry
+   * @param {Room} room - Colyseus room
+   * @returns {Room} - The same room instance
+   * @private
+   */
+  instrumentRoom(room) {
+    // Telemetry counts on the far side of the conditioner in both
+    // directions - outbound underneath it, inbound on top - so simulated
+    // loss and delay show up in the counts. The recorder goes on top and
+    // sees messages exactly as the game does
+    networkTelemetry.countOutbound(room);
+    networkConditioner.attach(room);
+    networkTelemetry.countInbound(room);
+
+    return sessionRecorder.attach(room);
+  }
+
+  /**
+   * Join a local loopback room that stands in for the server
+   * @param {Object} options - Connection options
+   * @returns {Room} - The loopback room
+   * @private
+   */
+  connectOffline(options = {}) {
+    this.room = this.instrumentRoom(new LoopbackRoom(options));
+    this.connected = true;
+
+    if (this.debug) {
+      console.log(`Connected to offline room as ${this.room.sessionId}`);
+    }
+
+    this.setupRoomHandlers();
+
+    return this.room;
+  }
+
+  /**
+   * Rejoin the previous room using its stored reconnection token
+   * @returns {Promise} - Promise resolving to the restored room
+   */
+  async reconnect() {
+    const reconnectionData = this.getReconnectionData();
+    if (!reconnectionData) {
+      throw new Error("No reconnection token available");
+    }
+
+    if (!this.client) {
+      this.client = new Client(this.serverUrl);
+    }
+
+    const token = localStorage.getItem("auth_token");
+    if (token) {
+      this.client.auth.token = token;
+    }
+
+    this.room = this.instrumentRoom(
+      await this.client.reconnect(reconnectionData.token)
+    );
+    this.connected = true;
+    this.reconnectAttempts = 0;
+
+    // The server issues a fresh token on every successful reconnect
+    this.saveReconnectionData();
+
+    if (this.debug) {
+      console.log(
+        `Reconnected to room: ${this.room.id} as ${this.room.sessionId}`
+      );
+    }
+
+    this.setupRoomHandlers();
+
+    // Let scenes rebind to the restored room
+    window.dispatchEvent(
+      new CustomEvent("roomReconnected", {
+        detail: {
+          room: this.room,
+        },
+      })
+    );
+
+    return this.room;
+  }
+
+  /**
+   * Store the current room's reconnection token so the session survives
+   * a dropped connection or a full page reload
+   * @private
+   */
+  saveReconnectionData() {
+    if (!this.room || !this.room.reconnectionToken) return;
+
+    sessionStorage.setItem(
+      "reconnection_data",
+      JSON.stringify({
+        roomId: this.room.id,
+        sessionId: this.room.sessionId,
+        token: this.room.reconnectionToken,
+      })
+    );
+  }
+
+  /**
+   * Get the stored reconnection data for the last joined room
+   * @returns {Object|null} - { roomId, sessionId, token } or null if none stored
+   */
+  getReconnectionData() {
+    try {
+      const data = JSON.parse(sessionStorage.getItem("reconnection_data"));
+      return data && data.token ? data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check if a previous session can be resumed
+   * @returns {boolean} - True if a reconnection token is stored
+   */
+  hasReconnectionData() {
+    return this.getReconnectionData() !== null;
+  }
+
+  /**
+   * Forget the stored reconnection token
+   * @private
+   */
+  clearReconnectionData() {
+    sessionStorage.removeItem("reconnection_data");
+  }
+
   /**
    * Login an existing user
    * @param {string} email - User's email address
@@ -563,6 +752,12 @@ class NetworkManager {
 
     console.log("Setting up room handlers");
 
+    // Route this room's messages to every subscriber
+    messageBus.attach(this.room);
+
+    // Keep the server clock estimate fresh
+    this.startClockSync();
+
     // Listen for state changes
     this.room.onStateChange((state) => {
       //console.log("State changed", state);
@@ -601,6 +796,13 @@ class NetworkManager {
           gameState.removePlayer(sessionId);
         };
 
+        // Drop players that left while we were disconnected
+        gameState.getAllPlayers().forEach((player, sessionId) => {
+          if (!this.room.state.players.has(sessionId)) {
+            gameState.removePlayer(sessionId);
+          }
+        });
+
         // Handle existing players (that joined before we set up handlers)
         this.room.state.players.forEach((player, sessionId) => {
           console.log(
@@ -640,20 +842,31 @@ class NetworkManager {
     });
 
     // Set up disconnect handler
-    this.room.onLeave((code) => {
-      this.debug && console.log(`Left room: ${this.room.id}, code: ${code}`);
+    const room = this.room;
+    room.onLeave((code) => {
+      this.debug && console.log(`Left room: ${room.id}, code: ${code}`);
+
+      // Ignore stale rooms that were already replaced by a reconnect
+      if (this.room !== room) return;
+
       this.connected = false;
       this.room = null;
+      messageBus.detach();
+      this.stopClockSync();
 
       // Attempt reconnection if disconnected unexpectedly
-      if (code !== 1000) {
-        // Normal closure
+      // (1000 = normal closure, 4000 = consented leave)
+      if (code !== 1000 && code !== 4000 && this.hasReconnectionData()) {
+        window.dispatchEvent(
+          new CustomEvent("roomConnectionLost", {
+            detail: {
+              code,
+            },
+          })
+        );
         this.attemptReconnection();
       }
     });
-
-    // Set up standard message handlers
-    this.setupMessageHandlers();
   }
 
   /**
@@ -671,12 +884,16 @@ class NetworkManager {
       );
 
       setTimeout(() => {
-        this.connect().catch((error) => {
+        this.reconnect().catch((error) => {
           console.error("Reconnection failed:", error);
+          this.attemptReconnection();
         });
       }, delay);
     } else {
       console.error("Max reconnection attempts reached");
+      this.clearReconnectionData();
+
+      window.dispatchEvent(new CustomEvent("roomReconnectFailed"));
     }
   }
 
@@ -686,64 +903,77 @@ class NetworkManager {
    */
   setupMessageHandlers() {
     // Countdown messages
-    this.addMessageHandler("countdownStarted", (message) => {
+    messageBus.subscribe("countdownStarted", (message) => {
       if (this.debug) {
         console.log("Countdown started:", message);
       }
+      this.syncTimer("countdown", message.endsAt, message.seconds * 1000);
     });
 
-    this.addMessageHandler("countdownUpdate", (message) => {
+    messageBus.subscribe("countdownUpdate", (message) => {
       if (this.debug) {
         console.log("Countdown update:", message);
       }
+      this.syncTimer("countdown", message.endsAt, message.seconds * 1000);
+    });
+
+    messageBus.subscribe("countdownCancelled", () => {
+      gameState.clearTimer("countdown");
     });
 
-    this.addMessageHandler("gameStarted", () => {
+    messageBus.subscribe("gameStarted", (message) => {
       if (this.debug) {
         console.log("Game started");
       }
+      gameState.clearTimer("countdown");
+      if (message && message.gameEndsAt !== undefined) {
+        gameState.setTimer("game", message.gameEndsAt);
+      }
       gameState.setPhase("dungeon");
     });
 
-    this.addMessageHandler("dungeonGenerated", (message) => {
+    messageBus.subscribe("dungeonGenerated", (message) => {
       if (this.debug) {
         console.log("Dungeon generated:", message);
       }
     });
 
-    this.addMessageHandler("leaderboardUpdate", (message) => {
+    messageBus.subscribe("leaderboardUpdate", (message) => {
       if (this.debug) {
         //console.log("Leaderboard update:", message);
       }
       // Update player scores
     });
 
-    this.addMessageHandler("globalEvent", (message) => {
+    messageBus.subscribe("globalEvent", (message) => {
       if (this.debug) {
         console.log("Global event:", message);
       }
     });
 
-    this.addMessageHandler("gameEnded", (message) => {
+    messageBus.subscribe("gameEnded", (message) => {
       if (this.debug) {
         console.log("Game ended:", message);
       }
       gameState.endGame(message);
+
+      // The match is over, nothing left to resume
+      this.clearReconnectionData();
     });
 
-    this.addMessageHandler("playerJoined", (message) => {
+    messageBus.subscribe("playerJoined", (message) => {
       if (this.debug) {
         console.log("Player joined:", message);
       }
     });
 
-    this.addMessageHandler("playerLeft", (message) => {
+    messageBus.subscribe("playerLeft", (message) => {
       if (this.debug) {
         console.log("Player left:", message);
       }
     });
 
-    this.addMessageHandler("playerMoved", (message) => {
+    messageBus.subscribe("playerMoved", (message) => {
       return;
       if (this.debug) {
         console.log("Player moved:", message);
@@ -758,31 +988,199 @@ class NetworkManager {
       }
     });
 
-    this.addMessageHandler("phaseChange", (message) => {
+    messageBus.subscribe("phaseChange", (message) => {
       if (this.debug) {
         console.log("Phase change:", message);
       }
+
+      gameState.clearTimer("countdown");
+      gameState.clearTimer("collapse");
+      this.syncTimer("phase", message.endsAt);
+      if (message.gameEndsAt !== undefined) {
+        gameState.setTimer("game", message.gameEndsAt);
+      }
+
       gameState.setPhase(message.phase);
     });
+
+    messageBus.subscribe("floorCollapsing", (message) => {
+      this.syncTimer("collapse", message.endsAt, message.timeLeft * 1000);
+    });
+
+    // Clock sync
+    messageBus.subscribe("pong", (message) => this.handlePong(message));
   }
 
   /**
-   * Add a message handler
-   * @param {string} type - Message type
-   * @param {Function} handler - Message handler function
+   * Start a countdown from a server end timestamp
+   * Older servers only send the time left, so fall back to anchoring that
+   * on our estimate of the server clock
+   * @param {string} name - Timer name
+   * @param {number} endsAt - End time in server ms
+   * @param {number} fallbackDuration - Time left in ms if no end time was sent
+   * @private
    */
-  addMessageHandler(type, handler) {
-    this.messageHandlers.set(type, handler);
+  syncTimer(name, endsAt, fallbackDuration) {
+    if (typeof endsAt === "number") {
+      gameState.setTimer(name, endsAt);
+    } else if (typeof fallbackDuration === "number") {
+      gameState.setTimer(name, this.getServerTime() + fallbackDuration);
+    } else {
+      gameState.clearTimer(name);
+    }
+  }
 
-    if (this.room) {
-      this.room.onMessage(type, (message) => {
-        try {
-          handler(message);
-        } catch (error) {
-          console.error(`Error in ${type} message handler:`, error);
-        }
-      });
+  /**
+   * Start pinging the server to estimate RTT and clock offset
+   * @private
+   */
+  startClockSync() {
+    this.stopClockSync();
+
+    this.clockSamples = [];
+    this.pendingPings.clear();
+    this.sendPing();
+    this.clockSyncTimer = setInterval(
+      () => this.sendPing(),
+      this.clockSyncInterval
+    );
+  }
+
+  /**
+   * Stop pinging the server
+   * @private
+   */
+  stopClockSync() {
+    if (this.clockSyncTimer) {
+      clearInterval(this.clockSyncTimer);
+      this.clockSyncTimer = null;
+    }
+  }
+
+  /**
+   * Send a clock sync ping
+   * @private
+   */
+  sendPing() {
+    if (!this.room) return;
+
+    const now = Date.now();
+
+    // Pings that were never answered count as lost
+    this.pendingPings.forEach((pending, clientTime) => {
+      if (now - clientTime > this.pingTimeout) {
+        this.pendingPings.delete(clientTime);
+        this.recordPingResult(false);
+      }
+    });
+
+    this.pendingPings.set(now, true);
+    this.room.send("ping", { clientTime: now });
+  }
+
+  /**
+   * Remember whether a ping was answered
+   * @param {boolean} answered - True if a pong arrived
+   * @private
+   */
+  recordPingResult(answered) {
+    this.pingResults.push(answered);
+    if (this.pingResults.length > this.maxPingResults) {
+      this.pingResults.shift();
+    }
+  }
+
+  /**
+   * Update RTT and clock offset from a pong
+   * @param {Object} message - { clientTime, serverTime }
+   * @private
+   */
+  handlePong(message) {
+    // Ignore duplicates and pongs for pings already counted as lost
+    if (!this.pendingPings.delete(message.clientTime)) return;
+    this.recordPingResult(true);
+
+    const now = Date.now();
+    const rtt = Math.max(0, now - message.clientTime);
+
+    // Interarrival jitter estimate, as in RTP (RFC 3550)
+    if (this.lastRttSample !== null) {
+      this.jitter += (Math.abs(rtt - this.lastRttSample) - this.jitter) / 16;
     }
+    this.lastRttSample = rtt;
+
+    // Assume the reply took half the round trip to reach us
+    const offset = message.serverTime + rtt / 2 - now;
+
+    this.clockSamples.push({ rtt, offset });
+    if (this.clockSamples.length > this.maxClockSamples) {
+      this.clockSamples.shift();
+    }
+
+    this.rtt =
+      this.rtt === null ? rtt : this.rtt + (rtt - this.rtt) * this.rttSmoothing;
+
+    // The fastest round trip has the least room for asymmetric delay, so
+    // its offset is the most trustworthy
+    const best = this.clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+
+    if (this.clockSynced) {
+      this.clockOffset += (best.offset - this.clockOffset) * this.offsetSmoothing;
+    } else {
+      this.clockOffset = best.offset;
+      this.clockSynced = true;
+    }
+  }
+
+  /**
+   * Get the estimated current server time
+   * @returns {number} - Server time in ms
+   */
+  getServerTime() {
+    return Date.now() + this.clockOffset;
+  }
+
+  /**
+   * Get the smoothed round trip time
+   * @returns {number|null} - RTT in ms or null before the first pong
+   */
+  getRTT() {
+    return this.rtt;
+  }
+
+  /**
+   * Get the smoothed RTT variation
+   * @returns {number} - Jitter in ms
+   */
+  getJitter() {
+    return this.jitter;
+  }
+
+  /**
+   * Get the share of recent pings that went unanswered
+   * @returns {number} - Loss between 0 and 1
+   */
+  getPacketLoss() {
+    if (this.pingResults.length === 0) return 0;
+
+    const lost = this.pingResults.filter((answered) => !answered).length;
+    return lost / this.pingResults.length;
+  }
+
+  /**
+   * Get the estimated offset between server and client clocks
+   * @returns {number} - serverTime - Date.now() in ms
+   */
+  getClockOffset() {
+    return this.clockOffset;
+  }
+
+  /**
+   * Check if at least one clock sync sample has arrived
+   * @returns {boolean} - True if the server clock estimate is usable
+   */
+  isClockSynced() {
+    return this.clockSynced;
   }
 
   /**
@@ -842,11 +1240,16 @@ class NetworkManager {
    * Disconnect from the server
    */
   disconnect() {
+    // Intentional leave, don't try to resume this session later
+    this.clearReconnectionData();
+
     if (this.room) {
       this.room.leave();
       this.room = null;
     }
 
+    messageBus.detach();
+    this.stopClockSync();
     this.connected = false;
   }
 
@@ -0,0 +1,115 @@
+// src/systems/NetworkTelemetry.js
+
+/**
+ * NetworkTelemetry - Counts messages and bytes going through a room
+ * Byte counts are estimated from the JSON size of each payload, which is
+ * close enough to spot spikes even though Colyseus encodes with msgpack
+ */
+class NetworkTelemetry {
+  constructor() {
+    this.totals = {
+      messagesIn: 0,
+      messagesOut: 0,
+      bytesIn: 0,
+      bytesOut: 0,
+    };
+  }
+
+  /**
+   * Wrap a room so all of its traffic is counted
+   * With the network conditioner, use countOutbound and countInbound on
+   * either side of it instead (see NetworkManager.instrumentRoom)
+   * @param {Room} room - Colyseus room
+   * @returns {Room} - The same room instance
+   */
+  attach(room) {
+    return this.countInbound(this.countOutbound(room));
+  }
+
+  /**
+   * Count messages the room sends
+   * Attach before the network conditioner so dropped messages aren't counted
+   * and delayed ones are counted when they actually leave
+   * @param {Room} room - Colyseus room
+   * @returns {Room} - The same room instance
+   */
+  countOutbound(room) {
+    if (!room || room._telemetryOutbound) return room;
+
+    const send = room.send.bind(room);
+
+    room.send = (type, message) => {
+      this.record("Out", type, message);
+      return send(type, message);
+    };
+
+    room._telemetryOutbound = true;
+    return room;
+  }
+
+  /**
+   * Count messages the room receives
+   * Attach after the network conditioner so counts reflect what actually
+   * reaches the game
+   * @param {Room} room - Colyseus room
+   * @returns {Room} - The same room instance
+   */
+  countInbound(room) {
+    if (!room || room._telemetryInbound) return room;
+
+    const onMessage = room.onMessage.bind(room);
+
+    room.onMessage = (type, handler) =>
+      onMessage(type, (message) => {
+        this.record("In", type, message);
+        handler(message);
+      });
+
+    room._telemetryInbound = true;
+    return room;
+  }
+
+  /**
+   * Count a single message
+   * @param {string} direction - "In" or "Out"
+   * @param {string} type - Message type
+   * @param {*} message - Message payload
+   * @private
+   */
+  record(direction, type, message) {
+    this.totals[`messages${direction}`]++;
+    this.totals[`bytes${direction}`] += this.estimateSize(type, message);
+  }
+
+  /**
+   * Estimate the wire size of a message
+   * @param {string} type - Message type
+   * @param {*} message - Message payload
+   * @returns {number} - Size in bytes
+   * @private
+   */
+  estimateSize(type, message) {
+    if (message === undefined) return type.length;
+    if (ArrayBuffer.isView(message)) return type.length + message.byteLength;
+
+    try {
+      return type.length + JSON.stringify(message).length;
+    } catch (error) {
+      return type.length;
+    }
+  }
+
+  /**
+   * Get the running totals, stamped with the current time
+   * Diff two snapshots to get rates
+   * @returns {Object} - { time, messagesIn, messagesOut, bytesIn, bytesOut }
+   */
+  snapshot() {
+    return { time: performance.now(), ...this.totals };
+  }
+}
+
+// Create a singleton instance
+const networkTelemetry = new NetworkTelemetry();
+
+export default networkTelemetry;
@@ -0,0 +1,644 @@
+// src/systems/Pathfinding.js
+import { sweepCircle } from "./CollisionSystem.js";
+import { getTileBehavior } from "./TileBehaviors.js";
+
+// Cost of a diagonal step between tile centers
+const SQRT2 = Math.SQRT2;
+
+// Time a slice of an async search may run before yielding to the frame
+const DEFAULT_SLICE_MS = 2;
+
+// How far a blocked start or goal may be moved to the nearest open tile
+const MAX_SNAP_TILES = 4;
+
+/**
+ * Pathfinder - Jump point search over a collision map
+ * Works on any collision data with { collisionMap, tileKinds, tileSize,
+ * playerRadius, bufferZone } - the client's CollisionSystem or the server's
+ * collision object. A tile is open when a player circle centered on it
+ * touches no wall or hole; diagonal steps never cut corners. The grid is
+ * rebuilt whenever the collision map changes (e.g. a new floor)
+ */
+export class Pathfinder {
+  /**
+   * Create a new pathfinder
+   * @param {Object} collision - Collision data or CollisionSystem
+   * @param {Object} options - Configuration options
+   * @param {number} options.radius - Collision radius (defaults to the player radius)
+   */
+  constructor(collision, options = {}) {
+    this.collision = collision;
+    this.radius = options.radius;
+    this.grid = null;
+  }
+
+  /**
+   * Find a path between two world positions
+   * @param {Object} start - Start position {x, y}
+   * @param {Object} goal - Goal position {x, y}
+   * @param {Object} options - Search options
+   * @param {boolean} options.smooth - Remove waypoints the player can skip (default true)
+   * @param {number} options.maxIterations - Give up after this many expanded tiles
+   * @returns {Array|null} - World waypoints [{x, y}] from start to goal, or
+   *   null if there is no path
+   */
+  findPath(start, goal, options = {}) {
+    const search = this.createSearch(start, goal);
+    if (!search) return null;
+
+    search.run(Infinity, options.maxIterations);
+    return this.finishSearch(search, options);
+  }
+
+  /**
+   * Find a path without blocking the frame
+   * The search runs in slices of a few ms, yielding between them
+   * @param {Object} start - Start position {x, y}
+   * @param {Object} goal - Goal position {x, y}
+   * @param {Object} options - Search options (see findPath)
+   * @param {number} options.sliceMs - Time per slice in ms
+   * @param {AbortSignal} options.signal - Stops the search, resolving null
+   * @returns {Promise<Array|null>} - Resolves with the waypoints or null
+   */
+  findPathAsync(start, goal, options = {}) {
+    const search = this.createSearch(start, goal);
+    if (!search) return Promise.resolve(null);
+
+    const sliceMs = options.sliceMs || DEFAULT_SLICE_MS;
+
+    return new Promise((resolve) => {
+      const runSlice = () => {
+        if (options.signal && options.signal.aborted) {
+          resolve(null);
+          return;
+        }
+
+        if (search.run(Date.now() + sliceMs, options.maxIterations)) {
+          resolve(this.finishSearch(search, options));
+        } else {
+          setTimeout(runSlice, 0);
+        }
+      };
+
+      runSlice();
+    });
+  }
+
+  /**
+   * Check if a player can stand at a world position
+   * @param {number} x - World X position
+   * @param {number} y - World Y position
+   * @returns {boolean} - True on an open tile
+   */
+  isWalkableAt(x, y) {
+    const grid = this.getGrid();
+    if (!grid) return false;
+
+    return grid.isOpen(
+      Math.floor(x / grid.tileSize),
+      Math.floor(y / grid.tileSize)
+    );
+  }
+
+  /**
+   * Check if a player can move straight between two points
+   * @param {Object} from - Start position {x, y}
+   * @param {Object} to - End position {x, y}
+   * @returns {boolean} - True if no wall or hole is in the way
+   */
+  hasLineOfSight(from, to) {
+    const grid = this.getGrid();
+    if (!grid) return false;
+
+    return !sweepCircle(
+      grid.blocked,
+      from.x,
+      from.y,
+      to.x - from.x,
+      to.y - from.y,
+      grid.effectiveRadius
+    ).hit;
+  }
+
+  /**
+   * Drop waypoints the player can skip by walking straight past them
+   * @param {Array} path - World waypoints [{x, y}]
+   * @returns {Array} - Smoothed waypoints, keeping the first and last
+   */
+  smoothPath(path) {
+    if (path.length <= 2) return path.slice();
+
+    const smoothed = [path[0]];
+    let anchor = 0;
+
+    while (anchor < path.length - 1) {
+      // Farthest waypoint in a straight, clear line from the anchor
+      let next = anchor + 1;
+      for (let i = path.length - 1; i > next; i--) {
+        if (this.hasLineOfSight(path[anchor], path[i])) {
+          next = i;
+          break;
+        }
+      }
+
+      smoothed.push(path[next]);
+      anchor = next;
+    }
+
+    return smoothed;
+  }
+
+  /**
+   * Get the navigation grid, rebuilding it for a new collision map
+   * @returns {Object|null} - Navigation grid, or null without a map
+   * @private
+   */
+  getGrid() {
+    const { collisionMap } = this.collision;
+    if (!collisionMap) return null;
+
+    if (!this.grid || this.grid.source !== collisionMap) {
+      this.grid = createNavGrid(this.collision, this.radius);
+    }
+
+    return this.grid;
+  }
+
+  /**
+   * Set up a search between two world positions
+   * @param {Object} start - Start position {x, y}
+   * @param {Object} goal - Goal position {x, y}
+   * @returns {JumpPointSearch|null} - Search, or null if either end is
+   *   nowhere near an open tile
+   * @private
+   */
+  createSearch(start, goal) {
+    const grid = this.getGrid();
+    if (!grid) return null;
+
+    const startTile = grid.findOpenTile(start.x, start.y);
+    const goalTile = grid.findOpenTile(goal.x, goal.y);
+    if (!startTile || !goalTile) return null;
+
+    const search = new JumpPointSearch(grid, startTile, goalTile);
+    search.start = start;
+    search.goal = goal;
+    search.goalSnapped = !grid.isOpen(
+      Math.floor(goal.x / grid.tileSize),
+      Math.floor(goal.y / grid.tileSize)
+    );
+
+    return search;
+  }
+
+  /**
+   * Turn a finished search into world waypoints
+   * @param {JumpPointSearch} search - Finished search
+   * @param {Object} options - Search options (see findPath)
+   * @returns {Array|null} - Waypoints or null if no path was found
+   * @private
+   */
+  finishSearch(search, options) {
+    const tiles = search.getPath();
+    if (!tiles) return null;
+
+    const { grid } = search;
+    const path = [{ x: search.start.x, y: search.start.y }];
+
+    // Tile centers the start or goal sits exactly on are not waypoints
+    const addWaypoint = (point) => {
+      const last = path[path.length - 1];
+      if (point.x !== last.x || point.y !== last.y) path.push(point);
+    };
+
+    tiles.forEach((tile) => addWaypoint(grid.getTileCenter(tile.x, tile.y)));
+
+    // A goal inside a wall ends at the closest open tile instead
+    if (!search.goalSnapped) {
+      addWaypoint({ x: search.goal.x, y: search.goal.y });
+    }
+
+    if (options.smooth === false) return path;
+    return this.smoothPath(path);
+  }
+}
+
+/**
+ * Build the open/blocked grid the search runs on
+ * @param {Object} collision - Collision data
+ * @param {number} radius - Collision radius, or undefined for the player's
+ * @returns {Object} - Navigation grid
+ * @private
+ */
+function createNavGrid(collision, radius = collision.playerRadius || 20) {
+  const { collisionMap, tileKinds, tileSize } = collision;
+  const height = collisionMap.length;
+  const width = height > 0 ? collisionMap[0].length : 0;
+
+  // Walls and holes both keep the player out
+  const blockedMap = collisionMap.map((row, y) =>
+    row.map((solid, x) =>
+      solid || (tileKinds ? getTileBehavior(tileKinds[y][x]).fallThrough : false)
+    )
+  );
+
+  // Open tiles and line of sight test the same circle: the radius plus the
+  // collision buffer, so the buffer is folded in here and not added again
+  const effectiveRadius = radius + (collision.bufferZone || 0);
+  const blocked = {
+    collisionMap: blockedMap,
+    tileSize,
+    bufferZone: 0,
+  };
+
+  // A tile is open when the player circle fits at its center
+  const open = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      open[y * width + x] = circleFits(
+        blockedMap,
+        (x + 0.5) * tileSize,
+        (y + 0.5) * tileSize,
+        effectiveRadius,
+        tileSize
+      ) ? 1 : 0;
+    }
+  }
+
+  return {
+    source: collisionMap,
+    blocked,
+    radius,
+    effectiveRadius,
+    width,
+    height,
+    tileSize,
+    open,
+
+    isOpen(x, y) {
+      return x >= 0 && y >= 0 && x < width && y < height && open[y * width + x] === 1;
+    },
+
+    getTileCenter(x, y) {
+      return { x: (x + 0.5) * tileSize, y: (y + 0.5) * tileSize };
+    },
+
+    // The open tile nearest a world position, searching outward ring by ring
+    findOpenTile(worldX, worldY) {
+      const tileX = Math.floor(worldX / tileSize);
+      const tileY = Math.floor(worldY / tileSize);
+      let best = null;
+      let bestDistance = Infinity;
+
+      for (let ring = 0; ring <= MAX_SNAP_TILES && !best; ring++) {
+        for (let y = tileY - ring; y <= tileY + ring; y++) {
+          for (let x = tileX - ring; x <= tileX + ring; x++) {
+            const onRing = Math.max(Math.abs(x - tileX), Math.abs(y - tileY)) === ring;
+            if (!onRing || !this.isOpen(x, y)) continue;
+
+            const center = this.getTileCenter(x, y);
+            const distance = (center.x - worldX) ** 2 + (center.y - worldY) ** 2;
+            if (distance < bestDistance) {
+              best = { x, y };
+              bestDistance = distance;
+            }
+          }
+        }
+      }
+
+      return best;
+    },
+  };
+}
+
+/**
+ * Check if a circle touches no blocked tile
+ * @param {Array<Array<boolean>>} blockedMap - Blocked tiles
+ * @param {number} x - Circle center X
+ * @param {number} y - Circle center Y
+ * @param {number} radius - Circle radius
+ * @param {number} tileSize - Tile size in pixels
+ * @returns {boolean} - True if the circle is clear
+ * @private
+ */
+function circleFits(blockedMap, x, y, radius, tileSize) {
+  const minTileX = Math.floor((x - radius) / tileSize);
+  const maxTileX = Math.floor((x + radius) / tileSize);
+  const minTileY = Math.floor((y - radius) / tileSize);
+  const maxTileY = Math.floor((y + radius) / tileSize);
+
+  for (let tileY = minTileY; tileY <= maxTileY; tileY++) {
+    for (let tileX = minTileX; tileX <= maxTileX; tileX++) {
+      const row = blockedMap[tileY];
+      const isBlocked = !row || row[tileX] === undefined || row[tileX];
+      if (!isBlocked) continue;
+
+      const closestX = Math.max(tileX * tileSize, Math.min(x, (tileX + 1) * tileSize));
+      const closestY = Math.max(tileY * tileSize, Math.min(y, (tileY + 1) * tileSize));
+      if ((x - closestX) ** 2 + (y - closestY) ** 2 < radius * radius) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Octile distance between two tiles, exact for 8-way grid moves
+ * @private
+ */
+function octile(x1, y1, x2, y2) {
+  const dx = Math.abs(x1 - x2);
+  const dy = Math.abs(y1 - y2);
+  return dx < dy ? SQRT2 * dx + (dy - dx) : SQRT2 * dy + (dx - dy);
+}
+
+/**
+ * One jump point search from a start tile to a goal tile
+ * Jump points skip the long runs of open floor in our rooms and corridors,
+ * so only tiles where the path may turn are put in the open list. Runs in
+ * steps so it can be spread over frames
+ * @private
+ */
+class JumpPointSearch {
+  /**
+   * @param {Object} grid - Navigation grid
+   * @param {Object} startTile - Start tile {x, y}
+   * @param {Object} goalTile - Goal tile {x, y}
+   */
+  constructor(grid, startTile, goalTile) {
+    const size = grid.width * grid.height;
+
+    this.grid = grid;
+    this.goalX = goalTile.x;
+    this.goalY = goalTile.y;
+    this.startIndex = startTile.y * grid.width + startTile.x;
+    this.goalIndex = goalTile.y * grid.width + goalTile.x;
+
+    this.gScore = new Float64Array(size).fill(Infinity);
+    this.parent = new Int32Array(size).fill(-1);
+    this.closed = new Uint8Array(size);
+    this.openList = new MinHeap();
+    this.iterations = 0;
+    this.done = false;
+    this.found = false;
+
+    this.gScore[this.startIndex] = 0;
+    this.openList.push(this.startIndex, octile(startTile.x, startTile.y, this.goalX, this.goalY));
+  }
+
+  /**
+   * Expand tiles until the search ends or the deadline passes
+   * @param {number} deadline - Date.now() value to stop at
+   * @param {number} maxIterations - Expansions allowed in total
+   * @returns {boolean} - True once the search has ended
+   */
+  run(deadline, maxIterations = Infinity) {
+    const { grid } = this;
+    const width = grid.width;
+
+    while (!this.done) {
+      const current = this.openList.pop();
+
+      if (current === undefined || this.iterations >= maxIterations) {
+        this.done = true;
+        break;
+      }
+
+      if (this.closed[current]) continue;
+      this.closed[current] = 1;
+      this.iterations++;
+
+      if (current === this.goalIndex) {
+        this.done = true;
+        this.found = true;
+        break;
+      }
+
+      const x = current % width;
+      const y = (current - x) / width;
+
+      this.getNeighbors(x, y).forEach(([nx, ny]) => {
+        const jumpPoint = this.jump(nx, ny, nx - x, ny - y);
+        if (!jumpPoint) return;
+
+        const [jx, jy] = jumpPoint;
+        const index = jy * width + jx;
+        if (this.closed[index]) return;
+
+        const g = this.gScore[current] + octile(x, y, jx, jy);
+        if (g < this.gScore[index]) {
+          this.gScore[index] = g;
+          this.parent[index] = current;
+          this.openList.push(index, g + octile(jx, jy, this.goalX, this.goalY));
+        }
+      });
+
+      // Check the clock every few expansions
+      if ((this.iterations & 15) === 0 && Date.now() >= deadline) break;
+    }
+
+    return this.done;
+  }
+
+  /**
+   * Get every tile along the found path, start to goal
+   * @returns {Array|null} - Tiles [{x, y}] or null if no path was found
+   */
+  getPath() {
+    if (!this.found) return null;
+
+    const { width } = this.grid;
+    const jumpPoints = [];
+    for (let index = this.goalIndex; index !== -1; index = this.parent[index]) {
+      jumpPoints.unshift({ x: index % width, y: Math.floor(index / width) });
+    }
+
+    // Fill in the straight runs between jump points
+    const tiles = [jumpPoints[0]];
+    for (let i = 1; i < jumpPoints.length; i++) {
+      const from = jumpPoints[i - 1];
+      const to = jumpPoints[i];
+      const dx = Math.sign(to.x - from.x);
+      const dy = Math.sign(to.y - from.y);
+      let x = from.x;
+      let y = from.y;
+
+      while (x !== to.x || y !== to.y) {
+        x += dx;
+        y += dy;
+        tiles.push({ x, y });
+      }
+    }
+
+    return tiles;
+  }
+
+  /**
+   * Get the directions worth exploring from a tile, pruned by where the
+   * search came from
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @returns {Array} - Neighbor tiles [[x, y]]
+   */
+  getNeighbors(x, y) {
+    const { grid } = this;
+    const parentIndex = this.parent[y * grid.width + x];
+    const neighbors = [];
+
+    // The start explores every open direction
+    if (parentIndex === -1) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          if (!grid.isOpen(x + dx, y + dy)) continue;
+          if (dx !== 0 && dy !== 0 && !(grid.isOpen(x + dx, y) && grid.isOpen(x, y + dy))) continue;
+          neighbors.push([x + dx, y + dy]);
+        }
+      }
+
+      return neighbors;
+    }
+
+    const parentX = parentIndex % grid.width;
+    const parentY = (parentIndex - parentX) / grid.width;
+    const dx = Math.sign(x - parentX);
+    const dy = Math.sign(y - parentY);
+
+    if (dx !== 0 && dy !== 0) {
+      const openX = grid.isOpen(x + dx, y);
+      const openY = grid.isOpen(x, y + dy);
+
+      if (openY) neighbors.push([x, y + dy]);
+      if (openX) neighbors.push([x + dx, y]);
+      if (openX && openY) neighbors.push([x + dx, y + dy]);
+    } else if (dx !== 0) {
+      const openUp = grid.isOpen(x, y - 1);
+      const openDown = grid.isOpen(x, y + 1);
+
+      if (grid.isOpen(x + dx, y)) {
+        neighbors.push([x + dx, y]);
+        if (openUp) neighbors.push([x + dx, y - 1]);
+        if (openDown) neighbors.push([x + dx, y + 1]);
+      }
+      if (openUp) neighbors.push([x, y - 1]);
+      if (openDown) neighbors.push([x, y + 1]);
+    } else {
+      const openLeft = grid.isOpen(x - 1, y);
+      const openRight = grid.isOpen(x + 1, y);
+
+      if (grid.isOpen(x, y + dy)) {
+        neighbors.push([x, y + dy]);
+        if (openLeft) neighbors.push([x - 1, y + dy]);
+        if (openRight) neighbors.push([x + 1, y + dy]);
+      }
+      if (openLeft) neighbors.push([x - 1, y]);
+      if (openRight) neighbors.push([x + 1, y]);
+    }
+
+    return neighbors;
+  }
+
+  /**
+   * Travel in one direction until reaching a tile where the path may turn
+   * @param {number} x - First tile X
+   * @param {number} y - First tile Y
+   * @param {number} dx - Step along X (-1, 0 or 1)
+   * @param {number} dy - Step along Y (-1, 0 or 1)
+   * @returns {Array|null} - Jump point [x, y] or null at a dead end
+   */
+  jump(x, y, dx, dy) {
+    const { grid } = this;
+
+    while (grid.isOpen(x, y)) {
+      if (x === this.goalX && y === this.goalY) return [x, y];
+
+      if (dx !== 0 && dy !== 0) {
+        // A diagonal stops where a straight run from it finds something
+        if (this.jump(x + dx, y, dx, 0) || this.jump(x, y + dy, 0, dy)) {
+          return [x, y];
+        }
+      } else if (dx !== 0) {
+        // A wall behind an open side tile opens a new way around it
+        if ((grid.isOpen(x, y - 1) && !grid.isOpen(x - dx, y - 1)) ||
+            (grid.isOpen(x, y + 1) && !grid.isOpen(x - dx, y + 1))) {
+          return [x, y];
+        }
+      } else if ((grid.isOpen(x - 1, y) && !grid.isOpen(x - 1, y - dy)) ||
+                 (grid.isOpen(x + 1, y) && !grid.isOpen(x + 1, y - dy))) {
+        return [x, y];
+      }
+
+      // No squeezing diagonally between two walls
+      if (!(grid.isOpen(x + dx, y) && grid.isOpen(x, y + dy))) return null;
+
+      x += dx;
+      y += dy;
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Binary min-heap of tile indices keyed by score
+ * @private
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+    this.scores = [];
+  }
+
+  push(item, score) {
+    const { items, scores } = this;
+    let index = items.length;
+    items.push(item);
+    scores.push(score);
+
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (scores[parent] <= score) break;
+
+      items[index] = items[parent];
+      scores[index] = scores[parent];
+      index = parent;
+    }
+
+    items[index] = item;
+    scores[index] = score;
+  }
+
+  pop() {
+    const { items, scores } = this;
+    if (items.length === 0) return undefined;
+
+    const top = items[0];
+    const lastItem = items.pop();
+    const lastScore = scores.pop();
+
+    if (items.length > 0) {
+      let index = 0;
+      const length = items.length;
+
+      for (;;) {
+        const left = index * 2 + 1;
+        if (left >= length) break;
+
+        const right = left + 1;
+        const child = right < length && scores[right] < scores[left] ? right : left;
+        if (scores[child] >= lastScore) break;
+
+        items[index] = items[child];
+        scores[index] = scores[child];
+        index = child;
+      }
+
+      items[index] = lastItem;
+      scores[index] = lastScore;
+    }
+
+    return top;
+  }
+}
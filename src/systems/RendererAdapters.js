@@ -0,0 +1,338 @@
+// src/systems/RendererAdapters.js
+import { DungeonRenderer as LegacyDungeonRenderer } from "../managers/DungeonRenderer.js";
+import { DungeonRenderer as StructureDungeonRenderer } from "../dungeonRenderer/DungeonRenderer.js";
+import { DungeonRenderer as StreamingDungeonRenderer } from "../dungeonRenderer2/core/DungeonRenderer.js";
+import gameState from "./GameState.js";
+
+export const DEFAULT_RENDERER = "dungeonRenderer";
+
+/**
+ * RendererAdapter - The contract the game scene renders the dungeon through
+ * Each dungeon renderer sits behind a subclass that maps this API onto its
+ * own, so renderers can be swapped (see createDungeonRenderer) and compared
+ * on the same map. Features a renderer lacks are no-ops; check supports()
+ * when the difference matters.
+ *
+ * Lifecycle: preload() in the scene's preload, init() once in create,
+ * loadMap() per map, update() every frame, resize() on window resize,
+ * destroy() on shutdown.
+ */
+export class RendererAdapter {
+  /**
+   * @param {Phaser.Scene} scene - Scene to render into
+   * @param {Object} renderer - Wrapped renderer instance
+   * @param {Array<string>} features - Optional features the renderer has
+   */
+  constructor(scene, renderer, features = []) {
+    this.scene = scene;
+    this.renderer = renderer;
+    this.features = new Set(features);
+    this.name = "";
+  }
+
+  /**
+   * Check if the renderer has an optional feature
+   * @param {string} feature - "fog", "discovery", "pings" or "structures"
+   * @returns {boolean} - True if supported
+   */
+  supports(feature) {
+    return this.features.has(feature);
+  }
+
+  /**
+   * Size of a tile in pixels for the current map
+   * @returns {number} - Tile size
+   */
+  get tileSize() {
+    return this.renderer.tileSize;
+  }
+
+  /**
+   * Whether debug output is on
+   * @returns {boolean} - Debug state
+   */
+  get debug() {
+    return !!this.renderer.debug;
+  }
+
+  /**
+   * Check if a map has been loaded
+   * @returns {boolean} - True once loadMap has run
+   */
+  hasMap() {
+    return !!this.renderer.mapData;
+  }
+
+  /**
+   * Queue or generate textures - call from the scene's preload
+   */
+  preload() {
+    this.renderer.preloadTileAssets();
+  }
+
+  /**
+   * Set up the renderer
+   * @param {Object} options - Renderer options (debug, minimapSize, ...)
+   */
+  init(options = {}) {
+    this.renderer.init(options);
+    return this;
+  }
+
+  /**
+   * Render a map, replacing the current one
+   * @param {Object} mapData - Map data from server
+   * @returns {Promise} - Resolves once the map is on screen
+   */
+  loadMap(mapData) {
+    this.renderer.renderMap(mapData);
+    return Promise.resolve();
+  }
+
+  /**
+   * Per-frame update
+   * @param {number} playerX - Local player X position
+   * @param {number} playerY - Local player Y position
+   */
+  update(playerX, playerY) {
+    if (!this.hasMap()) return;
+    this.renderer.update(playerX, playerY);
+  }
+
+  /**
+   * Follow a new screen size
+   * @param {number} width - New screen width
+   * @param {number} height - New screen height
+   */
+  resize(width, height) {
+    this.renderer.handleResize(width, height);
+  }
+
+  /**
+   * Use the local player's vision for fog of war
+   * @param {FieldOfView} fieldOfView - Field of view
+   */
+  setFieldOfView(fieldOfView) {}
+
+  /**
+   * Only show explored areas on the minimap
+   * @param {DiscoveryMap} discovery - Discovery mask
+   */
+  setDiscovery(discovery) {}
+
+  /**
+   * Show map pings on the minimap
+   * @param {Array} pings - Active pings from MapPings
+   */
+  drawMinimapPings(pings) {}
+
+  /**
+   * Get every rendered structure with its visibility, for debug views
+   * @returns {Array} - Structures {id, type, bounds, visible}, bounds in tiles
+   */
+  getStructures() {
+    return [];
+  }
+
+  /**
+   * Turn debug output on or off
+   * @param {boolean} enabled - Debug state
+   */
+  setDebug(enabled) {
+    this.renderer.debug = enabled;
+  }
+
+  /**
+   * Counters for the debug overlay's Renderer line, e.g. to compare
+   * renderers on the same map
+   * @returns {Object} - Renderer-specific counters
+   */
+  getDebugStats() {
+    return {};
+  }
+
+  /**
+   * Remove the current map
+   */
+  clear() {
+    this.renderer.clearMap();
+  }
+
+  /**
+   * Clean up everything the renderer created
+   */
+  destroy() {
+    this.renderer.destroy();
+  }
+}
+
+/**
+ * Describe the structures of a renderer that keeps them by ID
+ * @param {Object} structures - Map of ID to {type, bounds}
+ * @param {Set} visibleIds - IDs of visible structures
+ * @returns {Array} - Structures {id, type, bounds, visible}
+ */
+function listStructures(structures, visibleIds) {
+  return Object.entries(structures).map(([id, structure]) => ({
+    id,
+    type: structure.type,
+    bounds: structure.bounds,
+    visible: visibleIds.has(id),
+  }));
+}
+
+/**
+ * Adapter for src/managers/DungeonRenderer.js
+ * Culls individual tiles and draws its own minimap
+ */
+export class LegacyRendererAdapter extends RendererAdapter {
+  constructor(scene) {
+    super(scene, new LegacyDungeonRenderer(scene));
+    this.name = "legacy";
+  }
+
+  resize(width, height) {
+    // No resize handling of its own - keep the minimap in the top-right corner
+    const { minimapContainer, minimapSize } = this.renderer;
+    if (minimapContainer) {
+      minimapContainer.setPosition(width - minimapSize - 20, 20);
+    }
+  }
+
+  getDebugStats() {
+    return { visibleTiles: this.renderer.visibleTiles.size };
+  }
+}
+
+/**
+ * Adapter for src/dungeonRenderer/DungeonRenderer.js
+ * Structure-based culling with fog of war, explored-area minimap and pings
+ */
+export class StructureRendererAdapter extends RendererAdapter {
+  constructor(scene) {
+    super(scene, new StructureDungeonRenderer(scene), [
+      "fog",
+      "discovery",
+      "pings",
+      "structures",
+    ]);
+    this.name = "dungeonRenderer";
+  }
+
+  setFieldOfView(fieldOfView) {
+    this.renderer.setFieldOfView(fieldOfView);
+  }
+
+  setDiscovery(discovery) {
+    this.renderer.setDiscovery(discovery);
+  }
+
+  drawMinimapPings(pings) {
+    this.renderer.drawMinimapPings(pings);
+  }
+
+  getStructures() {
+    const { structures, visibleStructures } = this.renderer.structureRenderer;
+    return listStructures(structures, visibleStructures);
+  }
+
+  getDebugStats() {
+    const { structureRenderer, propRenderer, monsterRenderer } = this.renderer;
+
+    return {
+      structures: structureRenderer.getVisibleCount(),
+      totalStructures: Object.keys(structureRenderer.structures).length,
+      props: propRenderer.getVisibleCount(),
+      monsters: monsterRenderer.getVisibleCount(),
+    };
+  }
+}
+
+/**
+ * Adapter for src/dungeonRenderer2/core/DungeonRenderer.js
+ * Preloads every structure behind a loading screen; no fog of war
+ */
+export class StreamingRendererAdapter extends RendererAdapter {
+  constructor(scene) {
+    super(scene, new StreamingDungeonRenderer(scene), [
+      "discovery",
+      "pings",
+      "structures",
+    ]);
+    this.name = "dungeonRenderer2";
+  }
+
+  hasMap() {
+    return this.renderer.isMapLoaded;
+  }
+
+  loadMap(mapData) {
+    // Drop the previous map first - loadMap itself only adds
+    this.renderer.clearMap();
+    return this.renderer.loadMap(mapData);
+  }
+
+  setDiscovery(discovery) {
+    this.renderer.setDiscovery(discovery);
+  }
+
+  drawMinimapPings(pings) {
+    this.renderer.drawMinimapPings(pings);
+  }
+
+  getStructures() {
+    const { structures, visibleStructures } = this.renderer.structureManager;
+    return listStructures(structures, visibleStructures);
+  }
+
+  getDebugStats() {
+    const { structureManager } = this.renderer;
+
+    return {
+      structures: structureManager.getVisibleCount(),
+      totalStructures: Object.keys(structureManager.structures).length,
+    };
+  }
+}
+
+/**
+ * Renderers that can be chosen by name
+ */
+export const RENDERERS = {
+  legacy: LegacyRendererAdapter,
+  dungeonRenderer: StructureRendererAdapter,
+  dungeonRenderer2: StreamingRendererAdapter,
+};
+
+/**
+ * Get the name of the renderer to use
+ * ?renderer=<name> in the URL wins over gameConfig.renderer
+ * @returns {string} - A key of RENDERERS
+ */
+export function getRendererName() {
+  const requested =
+    new URLSearchParams(window.location.search).get("renderer") ||
+    gameState.gameConfig.renderer ||
+    DEFAULT_RENDERER;
+
+  if (!RENDERERS[requested]) {
+    console.warn(
+      `Unknown renderer "${requested}", using ${DEFAULT_RENDERER}. ` +
+        `Available: ${Object.keys(RENDERERS).join(", ")}`
+    );
+    return DEFAULT_RENDERER;
+  }
+
+  return requested;
+}
+
+/**
+ * Create the configured dungeon renderer
+ * @param {Phaser.Scene} scene - Scene to render into
+ * @param {string} name - Renderer name, defaults to the configured one
+ * @returns {RendererAdapter} - Renderer behind the common contract
+ */
+export function createDungeonRenderer(scene, name = getRendererName()) {
+  const Adapter = RENDERERS[name] || RENDERERS[DEFAULT_RENDERER];
+  return new Adapter(scene);
+}
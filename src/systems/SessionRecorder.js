@@ -0,0 +1,233 @@
+// src/systems/SessionRecorder.js
+
+export const RECORDING_VERSION = 1;
+
+/**
+ * SessionRecorder - Captures room traffic for reproducing netcode bugs
+ * Every outgoing message (inputs, dashes) and every incoming message is
+ * stored with its time since the recording started, together with the map
+ * and local player state at that moment. See SessionReplay for playback.
+ */
+class SessionRecorder {
+  constructor() {
+    this.recording = null;
+    this.startTime = 0;
+  }
+
+  /**
+   * Wrap a room so its traffic can be recorded
+   * Attach on top of the conditioner and telemetry so messages are stored
+   * as the game sent and received them
+   * @param {Room} room - Colyseus room
+   * @returns {Room} - The same room instance
+   */
+  attach(room) {
+    if (!room || room._sessionRecorder) return room;
+
+    const send = room.send.bind(room);
+    const onMessage = room.onMessage.bind(room);
+
+    room.send = (type, message) => {
+      this.record("out", type, message);
+      return send(type, message);
+    };
+
+    room.onMessage = (type, handler) =>
+      onMessage(type, (message) => {
+        this.record("in", type, message);
+        handler(message);
+      });
+
+    room._sessionRecorder = true;
+    return room;
+  }
+
+  /**
+   * Start a new recording, discarding any unfinished one
+   * @param {Object} initialState - State needed to replay from this point
+   * @param {Object} initialState.mapData - Current map data
+   * @param {string} initialState.playerId - Local player ID
+   * @param {Object} initialState.position - Local player position {x, y}
+   * @param {number} initialState.inputSequence - Next input sequence number
+   * @param {Object} initialState.players - Remote players {id: {x, y, name}}
+   * @param {Array} initialState.dashCharges - Local dash charges [{available}]
+   */
+  start(initialState = {}) {
+    this.startTime = performance.now();
+    this.recording = {
+      version: RECORDING_VERSION,
+      recordedAt: new Date().toISOString(),
+      mapData: initialState.mapData || null,
+      playerId: initialState.playerId || null,
+      position: initialState.position || null,
+      inputSequence: initialState.inputSequence || 0,
+      players: initialState.players || {},
+      dashCharges: initialState.dashCharges || null,
+      events: [],
+    };
+
+    console.log("Session recording started");
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object|null} - The finished recording
+   */
+  stop() {
+    const recording = this.recording;
+    this.recording = null;
+
+    if (recording) {
+      recording.duration = performance.now() - this.startTime;
+      console.log(`Session recording stopped (${recording.events.length} events)`);
+    }
+
+    return recording;
+  }
+
+  /**
+   * Check if a recording is in progress
+   * @returns {boolean} - True while recording
+   */
+  isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Store one message
+   * @param {string} direction - "in" or "out"
+   * @param {string} type - Message type
+   * @param {*} message - Message payload
+   * @private
+   */
+  record(direction, type, message) {
+    if (!this.recording) return;
+
+    this.recording.events.push({
+      time: performance.now() - this.startTime,
+      direction,
+      type,
+      message: serializeMessage(message),
+    });
+  }
+}
+
+/**
+ * Make a payload JSON safe
+ * Binary payloads (packed inputs) are stored as {bytes: [...]}
+ * @param {*} message - Message payload
+ * @returns {*} - JSON safe copy
+ * @private
+ */
+function serializeMessage(message) {
+  if (message === undefined) return null;
+
+  if (ArrayBuffer.isView(message)) {
+    const bytes = new Uint8Array(message.buffer, message.byteOffset, message.byteLength);
+    return { bytes: Array.from(bytes) };
+  }
+
+  // Copy so later mutations by handlers don't change the recording
+  return JSON.parse(JSON.stringify(message));
+}
+
+/**
+ * Reverse serializeMessage()
+ * @param {*} message - Recorded payload
+ * @returns {*} - Payload as originally sent or received
+ */
+export function deserializeMessage(message) {
+  if (message && Array.isArray(message.bytes)) {
+    return Uint8Array.from(message.bytes);
+  }
+
+  return message === null ? undefined : message;
+}
+
+/**
+ * Offer a recording as a file download
+ * @param {Object} recording - Recording from sessionRecorder.stop()
+ */
+export function downloadRecording(recording) {
+  const blob = new Blob([JSON.stringify(recording)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+
+  link.href = url;
+  link.download = `session-${recording.recordedAt.replace(/[:.]/g, "-")}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+}
+
+// How long to wait for a change event after the window regains focus
+// before treating the file dialog as cancelled
+const DIALOG_CANCEL_GRACE = 500; // ms
+
+/**
+ * Ask the user for a recording file
+ * Settles once in every case: browsers fire "cancel" when the dialog is
+ * dismissed, and older ones only give the window its focus back
+ * @returns {Promise<Object|null>} - Parsed recording, or null if cancelled
+ */
+export function pickRecordingFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+
+    let settled = false;
+    let focusTimer = null;
+
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+
+      clearTimeout(focusTimer);
+      window.removeEventListener("focus", handleWindowFocus);
+      callback(value);
+    };
+
+    // Focus returns just before change fires, so give change a moment
+    const handleWindowFocus = () => {
+      clearTimeout(focusTimer);
+      focusTimer = setTimeout(() => {
+        if (!input.files || input.files.length === 0) settle(resolve, null);
+      }, DIALOG_CANCEL_GRACE);
+    };
+
+    input.addEventListener("cancel", () => settle(resolve, null));
+
+    input.addEventListener("change", async () => {
+      const file = input.files && input.files[0];
+      if (!file) {
+        settle(resolve, null);
+        return;
+      }
+
+      try {
+        const recording = JSON.parse(await file.text());
+
+        if (recording.version !== RECORDING_VERSION || !Array.isArray(recording.events)) {
+          throw new Error("Not a session recording");
+        }
+
+        settle(resolve, recording);
+      } catch (error) {
+        settle(reject, error);
+      }
+    });
+
+    // The dialog takes focus as it opens, so listen only after that
+    setTimeout(() => window.addEventListener("focus", handleWindowFocus), 0);
+
+    input.click();
+  });
+}
+
+// Create a singleton instance
+const sessionRecorder = new SessionRecorder();
+
+export default sessionRecorder;
@@ -0,0 +1,307 @@
+// src/systems/SessionReplay.js
+import messageBus from "./MessageBus.js";
+import networkManager from "./NetworkManager.js";
+import gameState from "./GameState.js";
+import { decodeInputBatch } from "./InputCodec.js";
+import { deserializeMessage } from "./SessionRecorder.js";
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Incoming messages fed back through the message bus. Match flow messages
+// (phases, countdowns, gameEnded) stay in the file for reading but are not
+// replayed, since they would end or restart the live match.
+const REPLAYED_MESSAGE_TYPES = new Set([
+  "inputAck",
+  "playerMoved",
+  "playerJoined",
+  "playerLeft",
+  "playerDashed",
+  "dashResult",
+  "dashChargeRestored",
+  "playerFell",
+  "teleported",
+  "mapPinged",
+]);
+
+/**
+ * SessionReplay - Plays a recording back through the game scene
+ * Recorded inputs drive the InputHandler's prediction and recorded server
+ * messages go through the message bus to the NetworkHandler, so the same
+ * client code runs as in the original session. The live room is cut out
+ * of the loop until the replay is stopped.
+ */
+export class SessionReplay {
+  /**
+   * Create a replay for a game scene
+   * @param {Phaser.Scene} scene - Game scene
+   * @param {Object} recording - Recording from SessionRecorder
+   */
+  constructor(scene, recording) {
+    this.scene = scene;
+    this.recording = recording;
+    this.events = recording.events;
+    this.duration =
+      recording.duration ||
+      (this.events.length > 0 ? this.events[this.events.length - 1].time : 0);
+
+    this.time = 0;
+    this.eventIndex = 0;
+    this.speedIndex = REPLAY_SPEEDS.indexOf(1);
+    this.paused = false;
+    this.lastInputSeq = -1;
+    this.active = false;
+
+    // Live state restored when the replay stops
+    this.liveState = null;
+  }
+
+  /**
+   * Disconnect the scene from the live room and load the recorded state
+   */
+  start() {
+    const { playerManager, inputHandler, networkHandler } = this.scene;
+
+    this.liveState = {
+      mapData: gameState.getMapData(),
+      playerId: networkHandler.playerId,
+      inputSequence: inputHandler.inputSequence,
+      dashCharges: inputHandler.dashCharges,
+    };
+
+    // Live messages and outgoing inputs would mix with the recording
+    messageBus.detach();
+    networkHandler.setRoom(null);
+    networkHandler.playerSequenceNumbers.clear();
+    if (this.recording.playerId) {
+      networkHandler.playerId = this.recording.playerId;
+    }
+
+    inputHandler.replaying = true;
+    inputHandler.clearPendingInputs();
+    inputHandler.inputSequence = this.recording.inputSequence;
+
+    // From here on charges only change through recorded server messages.
+    // Recordings made before charges were stored start with all of them
+    const charges =
+      this.recording.dashCharges ||
+      inputHandler.dashCharges.map(() => ({ available: true }));
+    inputHandler.dashCharges = charges.map((charge) => ({
+      available: charge.available,
+      cooldownEndTime: 0,
+    }));
+
+    if (this.recording.mapData) {
+      this.scene.loadMap(this.recording.mapData);
+    }
+
+    this.resetPlayers(this.recording.players);
+
+    if (this.recording.position) {
+      playerManager.setPlayerPosition(
+        this.recording.position.x,
+        this.recording.position.y
+      );
+      playerManager.clearVisualCorrection();
+    }
+
+    this.active = true;
+    console.log(
+      `Replaying ${this.events.length} events (${(this.duration / 1000).toFixed(1)}s)`
+    );
+  }
+
+  /**
+   * Stop the replay and hand control back to the live room
+   */
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+
+    const { inputHandler, networkHandler } = this.scene;
+
+    inputHandler.replaying = false;
+    inputHandler.clearPendingInputs();
+
+    // The server has seen the live sequence, never go below it
+    inputHandler.inputSequence = Math.max(
+      inputHandler.inputSequence,
+      this.liveState.inputSequence
+    );
+
+    // Live cooldowns kept running on the server clock and refresh locally
+    inputHandler.dashCharges = this.liveState.dashCharges;
+
+    networkHandler.playerId = this.liveState.playerId;
+    networkHandler.playerSequenceNumbers.clear();
+    networkHandler.setRoom(networkManager.getRoom());
+    messageBus.attach(networkManager.getRoom());
+
+    if (this.liveState.mapData && this.liveState.mapData !== this.recording.mapData) {
+      this.scene.loadMap(this.liveState.mapData);
+    }
+
+    // Live players reappear with their next update
+    this.resetPlayers({});
+
+    console.log("Replay stopped");
+  }
+
+  /**
+   * Replace all remote players
+   * @param {Object} players - Players {id: {x, y, name}}
+   * @private
+   */
+  resetPlayers(players) {
+    const playerManager = this.scene.playerManager;
+
+    Object.keys(playerManager.otherPlayers).forEach((id) =>
+      playerManager.removeOtherPlayer(id)
+    );
+
+    Object.entries(players).forEach(([id, player]) =>
+      playerManager.updateOtherPlayer(id, player.x, player.y, player.name)
+    );
+  }
+
+  /**
+   * Advance the replay clock
+   * @param {number} delta - Time since last update in ms
+   */
+  update(delta) {
+    if (!this.active || this.paused || this.isFinished()) return;
+
+    this.time = Math.min(this.duration, this.time + delta * this.getSpeed());
+
+    while (
+      this.eventIndex < this.events.length &&
+      this.events[this.eventIndex].time <= this.time
+    ) {
+      this.playEvent(this.events[this.eventIndex++]);
+    }
+  }
+
+  /**
+   * Pause and play exactly one event
+   */
+  step() {
+    if (!this.active || this.isFinished()) return;
+
+    this.paused = true;
+
+    const event = this.events[this.eventIndex++];
+    this.time = event.time;
+    this.playEvent(event);
+  }
+
+  /**
+   * Pause or resume
+   * @param {boolean} paused - True to pause
+   */
+  setPaused(paused) {
+    this.paused = paused;
+  }
+
+  /**
+   * Switch to the next playback speed, wrapping around
+   * @returns {number} - New speed multiplier
+   */
+  cycleSpeed() {
+    this.speedIndex = (this.speedIndex + 1) % REPLAY_SPEEDS.length;
+    return this.getSpeed();
+  }
+
+  /**
+   * Get the playback speed multiplier
+   * @returns {number} - Speed multiplier
+   */
+  getSpeed() {
+    return REPLAY_SPEEDS[this.speedIndex];
+  }
+
+  /**
+   * Check if every event has been played
+   * @returns {boolean} - True when finished
+   */
+  isFinished() {
+    return this.eventIndex >= this.events.length;
+  }
+
+  /**
+   * Get playback progress
+   * @returns {Object} - { time, duration, eventIndex, eventCount }
+   */
+  getProgress() {
+    return {
+      time: this.time,
+      duration: this.duration,
+      eventIndex: this.eventIndex,
+      eventCount: this.events.length,
+    };
+  }
+
+  /**
+   * Feed one recorded event back into the game
+   * @param {Object} event - Recorded event
+   * @private
+   */
+  playEvent(event) {
+    const message = deserializeMessage(event.message);
+
+    if (event.direction === "out") {
+      this.playOutgoing(event.type, message);
+    } else if (REPLAYED_MESSAGE_TYPES.has(event.type)) {
+      // Recorded server timestamps are on the original session's clock;
+      // without them snapshots are stamped as they are played back
+      if (message && typeof message === "object" && "serverTime" in message) {
+        delete message.serverTime;
+      }
+
+      messageBus.publish(event.type, message);
+    }
+  }
+
+  /**
+   * Re-run a recorded outgoing message through the InputHandler
+   * @param {string} type - Message type
+   * @param {*} message - Message payload
+   * @private
+   */
+  playOutgoing(type, message) {
+    const inputHandler = this.scene.inputHandler;
+
+    switch (type) {
+      case "playerInputPacked":
+        this.playInputs(decodeInputBatch(message).inputs);
+        break;
+
+      case "playerInputBatch":
+        this.playInputs(message.inputs || []);
+        break;
+
+      case "playerInput":
+        if (message.type === "dash") {
+          this.lastInputSeq = Math.max(this.lastInputSeq, message.seq);
+          inputHandler.replayDash(message);
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Predict recorded inputs, skipping ones already replayed
+   * Each input is sent several times for redundancy but must run once
+   * @param {Array} inputs - Recorded inputs
+   * @private
+   */
+  playInputs(inputs) {
+    for (const input of inputs) {
+      if (input.seq <= this.lastInputSeq) continue;
+
+      this.lastInputSeq = input.seq;
+      this.scene.inputHandler.replayInput(input);
+    }
+  }
+}
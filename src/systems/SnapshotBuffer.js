@@ -0,0 +1,115 @@
+// src/systems/SnapshotBuffer.js
+
+/**
+ * SnapshotBuffer - Timestamped position history for a single remote entity
+ * Sampled a fixed delay behind the newest data so motion stays smooth
+ * regardless of frame rate or packet timing
+ */
+export class SnapshotBuffer {
+  /**
+   * Create a new snapshot buffer
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxSnapshots - Number of snapshots to keep
+   * @param {number} options.maxExtrapolation - Max ms to extrapolate past the newest snapshot
+   */
+  constructor(options = {}) {
+    this.snapshots = [];
+    this.maxSnapshots = options.maxSnapshots || 30;
+    this.maxExtrapolation =
+      options.maxExtrapolation !== undefined ? options.maxExtrapolation : 200;
+  }
+
+  /**
+   * Add a snapshot
+   * @param {number} time - Snapshot time in ms
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   */
+  push(time, x, y) {
+    const last = this.snapshots[this.snapshots.length - 1];
+
+    // Keep snapshots in time order even if messages arrive in a burst
+    if (last && time <= last.time) {
+      time = last.time + 1;
+    }
+
+    this.snapshots.push({ time, x, y });
+
+    if (this.snapshots.length > this.maxSnapshots) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * Drop all history and jump to a position (e.g. teleports)
+   * @param {number} time - Snapshot time in ms
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   */
+  reset(time, x, y) {
+    this.snapshots = [{ time, x, y }];
+  }
+
+  /**
+   * Get the time of the newest snapshot
+   * @returns {number|null} - Newest snapshot time or null if empty
+   */
+  getLatestTime() {
+    const last = this.snapshots[this.snapshots.length - 1];
+    return last ? last.time : null;
+  }
+
+  /**
+   * Sample the buffered position at a given render time
+   * @param {number} renderTime - Time to sample in ms
+   * @returns {Object|null} - { x, y, extrapolating } or null if empty
+   */
+  sample(renderTime) {
+    const count = this.snapshots.length;
+    if (count === 0) return null;
+
+    const first = this.snapshots[0];
+    const last = this.snapshots[count - 1];
+
+    // Not enough history yet, hold the oldest position
+    if (renderTime <= first.time || count === 1) {
+      const snapshot = renderTime <= first.time ? first : last;
+      return { x: snapshot.x, y: snapshot.y, extrapolating: false };
+    }
+
+    // Packets are late, extrapolate along the last segment for a bounded time
+    if (renderTime > last.time) {
+      const prev = this.snapshots[count - 2];
+      const span = last.time - prev.time;
+      const ahead = Math.min(renderTime - last.time, this.maxExtrapolation);
+      const t = span > 0 ? ahead / span : 0;
+
+      return {
+        x: last.x + (last.x - prev.x) * t,
+        y: last.y + (last.y - prev.y) * t,
+        extrapolating: ahead > 0,
+      };
+    }
+
+    // Find the pair of snapshots surrounding the render time
+    let index = count - 1;
+    while (index > 0 && this.snapshots[index - 1].time > renderTime) {
+      index--;
+    }
+
+    const from = this.snapshots[index - 1];
+    const to = this.snapshots[index];
+    const t = (renderTime - from.time) / (to.time - from.time);
+
+    // Discard history older than the interpolation window
+    if (index > 1) {
+      this.snapshots.splice(0, index - 1);
+    }
+
+    return {
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t,
+      extrapolating: false,
+    };
+  }
+}
@@ -0,0 +1,59 @@
+// src/systems/TileBehaviors.js
+
+/**
+ * How each kind of tile affects movement
+ * Pure data so the server can build its collision map from the same table
+ *   solid           - blocks movement
+ *   speedMultiplier - scales movement speed while standing on the tile
+ *   fallThrough     - the player falls when their center is over the tile
+ */
+export const TILE_BEHAVIORS = {
+  walkable: { solid: false, speedMultiplier: 1, fallThrough: false },
+  solid: { solid: true, speedMultiplier: 1, fallThrough: false },
+  slow: { solid: false, speedMultiplier: 0.5, fallThrough: false },
+  fall: { solid: false, speedMultiplier: 1, fallThrough: true },
+};
+
+// Tile values with their own kind (see TextureRegistry). Any other value
+// above 0 is a wall and the rest is floor
+export const TILE_VALUE_KINDS = {
+  "-2": "fall", // Deep hole
+  "-1": "slow", // Crumbling edge around a hole
+};
+
+/**
+ * Get the kind of a tile value
+ * @param {number} value - Tile value from the map's tiles layer
+ * @returns {string} - Tile kind, a key of TILE_BEHAVIORS
+ */
+export function getTileKind(value) {
+  if (TILE_VALUE_KINDS[value] !== undefined) {
+    return TILE_VALUE_KINDS[value];
+  }
+
+  return value > 0 ? "solid" : "walkable";
+}
+
+/**
+ * Get the behavior of a tile kind
+ * @param {string} kind - Tile kind
+ * @returns {Object} - Behavior {solid, speedMultiplier, fallThrough}
+ */
+export function getTileBehavior(kind) {
+  return TILE_BEHAVIORS[kind] || TILE_BEHAVIORS.walkable;
+}
+
+/**
+ * Build the collision layers for a tiles layer
+ * @param {Array<Array<number>>} tiles - Tile values
+ * @returns {Object} - { collisionMap, tileKinds } where collisionMap holds
+ *   true for solid tiles and tileKinds the kind of every tile
+ */
+export function createCollisionLayers(tiles) {
+  const tileKinds = tiles.map((row) => row.map(getTileKind));
+  const collisionMap = tileKinds.map((row) =>
+    row.map((kind) => getTileBehavior(kind).solid)
+  );
+
+  return { collisionMap, tileKinds };
+}
@@ -1,4 +1,5 @@
 // src/ui/DashUI.js
+import gameState from '../systems/GameState.js';
 
 /**
  * Creates a UI component for dash charges
@@ -74,8 +75,8 @@ export function createDashUI(scene, inputHandler) {
           // Unavailable charge - show cooldown
           indicator.setFillStyle(0xff0000); // Red
           
-          // Calculate cooldown progress (0-1)
-          const now = Date.now();
+          // Calculate cooldown progress (0-1) on the server clock
+          const now = gameState.now();
           const endTime = charge.cooldownEndTime;
           const totalCooldown = inputHandler.dashCooldown * 1000;
           const elapsed = now - (endTime - totalCooldown);
@@ -0,0 +1,258 @@
+// src/ui/KeyBindingsPanel.js
+import keyBindings, { KEY_ACTIONS, BINDING_SLOTS } from '../systems/KeyBindings.js';
+
+// Layout
+const PANEL_WIDTH = 460;
+const ROW_HEIGHT = 22;
+const HEADER_HEIGHT = 50;
+const FOOTER_HEIGHT = 70;
+const SLOT_WIDTH = 110;
+
+const SLOT_STYLE = {
+  fontSize: '13px',
+  fill: '#ffffff',
+  backgroundColor: '#444444',
+  padding: { x: 6, y: 2 }
+};
+
+/**
+ * Creates the key bindings settings screen
+ * Click a key slot, then press the new key (Esc cancels, Backspace clears).
+ * Keys already used by another action are refused.
+ * @param {Phaser.Scene} scene - The scene to add UI to
+ * @returns {Object} - Key bindings panel object
+ */
+export function createKeyBindingsPanel(scene) {
+  const container = scene.add.container(0, 0);
+  container.setScrollFactor(0);
+  container.setDepth(2000);
+  container.setVisible(false);
+
+  // One row per group heading and per action
+  const rows = [];
+  let lastGroup = null;
+  Object.entries(KEY_ACTIONS).forEach(([action, definition]) => {
+    if (definition.group !== lastGroup) {
+      rows.push({ heading: definition.group });
+      lastGroup = definition.group;
+    }
+    rows.push({ action, label: definition.label });
+  });
+
+  const panelHeight = HEADER_HEIGHT + rows.length * ROW_HEIGHT + FOOTER_HEIGHT;
+  const left = -PANEL_WIDTH / 2;
+  const top = -panelHeight / 2;
+
+  const background = scene.add.rectangle(0, 0, PANEL_WIDTH, panelHeight, 0x000000, 0.85)
+    .setStrokeStyle(2, 0x888888);
+
+  const title = scene.add.text(0, top + 14, 'KEY BINDINGS', {
+    fontSize: '18px',
+    fill: '#ffffff'
+  }).setOrigin(0.5, 0);
+
+  container.add([background, title]);
+
+  // Action rows with a clickable text per binding slot
+  const slotTexts = {};
+  rows.forEach((row, index) => {
+    const y = top + HEADER_HEIGHT + index * ROW_HEIGHT;
+
+    if (row.heading) {
+      container.add(scene.add.text(left + 16, y, row.heading.toUpperCase(), {
+        fontSize: '12px',
+        fill: '#ffcc00'
+      }));
+      return;
+    }
+
+    container.add(scene.add.text(left + 28, y, row.label, {
+      fontSize: '13px',
+      fill: '#dddddd'
+    }));
+
+    slotTexts[row.action] = [];
+    for (let slot = 0; slot < BINDING_SLOTS; slot++) {
+      const slotText = scene.add.text(left + 200 + slot * (SLOT_WIDTH + 12), y, '', SLOT_STYLE)
+        .setInteractive({ useHandCursor: true });
+      slotText.on('pointerdown', () => startCapture(row.action, slot));
+
+      slotTexts[row.action].push(slotText);
+      container.add(slotText);
+    }
+  });
+
+  const statusText = scene.add.text(0, top + panelHeight - FOOTER_HEIGHT + 8, '', {
+    fontSize: '13px',
+    fill: '#ff6666'
+  }).setOrigin(0.5, 0);
+
+  const createButton = (x, label, onClick) => {
+    const button = scene.add.text(x, top + panelHeight - 20, label, {
+      fontSize: '14px',
+      backgroundColor: '#555555',
+      padding: { x: 10, y: 5 }
+    }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+    button.on('pointerdown', onClick);
+    return button;
+  };
+
+  const resetButton = createButton(-80, 'Reset to defaults', () => {
+    cancelCapture();
+    keyBindings.resetToDefaults();
+    statusText.setText('');
+  });
+
+  const closeButton = createButton(100, 'Close', () => panel.close());
+
+  container.add([statusText, resetButton, closeButton]);
+
+  // Button that opens the panel, next to the debug buttons
+  const openButton = scene.add.text(700, 515, 'Keys', {
+    fontSize: '14px',
+    backgroundColor: '#555555',
+    padding: { x: 10, y: 5 }
+  }).setOrigin(0.5).setInteractive({ useHandCursor: true })
+    .setScrollFactor(0).setDepth(1000);
+  openButton.on('pointerdown', () => panel.toggle());
+
+  let capture = null; // { action, slot } while waiting for a key
+
+  /**
+   * Refresh every slot from the current bindings
+   */
+  function refreshSlots() {
+    Object.entries(slotTexts).forEach(([action, texts]) => {
+      const keys = keyBindings.getKeys(action);
+
+      texts.forEach((text, slot) => {
+        const waiting = capture && capture.action === action && capture.slot === slot;
+        text.setText(waiting ? 'press a key...' : keys[slot] || '-');
+        text.setBackgroundColor(waiting ? '#aa7700' : '#444444');
+      });
+    });
+  }
+
+  /**
+   * Wait for a key for one slot
+   * @param {string} action - Action name
+   * @param {number} slot - Slot index
+   */
+  function startCapture(action, slot) {
+    capture = { action, slot };
+    keyBindings.setCapturing(true);
+    statusText.setColor('#aaaaaa');
+    statusText.setText('Press a key - Esc cancels, Backspace clears');
+    refreshSlots();
+  }
+
+  /**
+   * Stop waiting for a key
+   */
+  function cancelCapture() {
+    capture = null;
+
+    // Resume actions after this key event has reached every listener, so
+    // the key that was just bound doesn't also trigger its new action
+    setTimeout(() => keyBindings.setCapturing(false), 0);
+    refreshSlots();
+  }
+
+  /**
+   * Handle key presses while the panel is open
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  function handleKeyDown(event) {
+    if (!container.visible) return;
+
+    const keyCodes = Phaser.Input.Keyboard.KeyCodes;
+
+    if (!capture) {
+      if (event.keyCode === keyCodes.ESC) panel.close();
+      return;
+    }
+
+    const { action, slot } = capture;
+
+    if (event.keyCode === keyCodes.ESC) {
+      statusText.setText('');
+      cancelCapture();
+      return;
+    }
+
+    let keyName = null;
+    if (event.keyCode !== keyCodes.BACKSPACE) {
+      keyName = keyBindings.getKeyName(event);
+
+      // Keep waiting if Phaser has no name for this key
+      if (!keyName) return;
+    }
+
+    const result = keyBindings.setKey(action, slot, keyName);
+
+    if (result.ok) {
+      statusText.setText('');
+    } else {
+      statusText.setColor('#ff6666');
+      statusText.setText(`${keyName} is already used by "${KEY_ACTIONS[result.conflict].label}"`);
+    }
+
+    cancelCapture();
+  }
+
+  const handleBindingsChanged = () => refreshSlots();
+
+  scene.input.keyboard.on('keydown', handleKeyDown);
+  window.addEventListener('keyBindingsChanged', handleBindingsChanged);
+
+  const panel = {
+    container,
+
+    open() {
+      statusText.setText('');
+      refreshSlots();
+      container.setVisible(true);
+    },
+
+    close() {
+      if (capture) cancelCapture();
+      container.setVisible(false);
+    },
+
+    toggle() {
+      if (container.visible) {
+        panel.close();
+      } else {
+        panel.open();
+      }
+    },
+
+    isOpen() {
+      return container.visible;
+    },
+
+    /**
+     * Keep the panel centered
+     * @param {number} width - New screen width
+     * @param {number} height - New screen height
+     */
+    handleResize(width, height) {
+      container.setPosition(Math.round(width / 2), Math.round(height / 2));
+    },
+
+    /**
+     * Clean up
+     */
+    destroy() {
+      if (capture) keyBindings.setCapturing(false);
+      scene.input.keyboard.off('keydown', handleKeyDown);
+      window.removeEventListener('keyBindingsChanged', handleBindingsChanged);
+      container.destroy();
+      openButton.destroy();
+    }
+  };
+
+  panel.handleResize(scene.cameras.main.width, scene.cameras.main.height);
+
+  return panel;
+}
@@ -0,0 +1,439 @@
+// src/ui/MapOverlay.js
+import gameState from '../systems/GameState.js';
+import keyBindings from '../systems/KeyBindings.js';
+import { drawPingIcon, getPingAlpha } from './PingMarkers.js';
+
+// Zoom limits, relative to the zoom that fits the whole dungeon on screen
+const MIN_ZOOM_FACTOR = 0.5;
+const MAX_ZOOM_FACTOR = 8;
+const WHEEL_ZOOM_STEP = 1.2;
+
+// Pointer travel (screen pixels) below which a press counts as a click
+const CLICK_DISTANCE = 5;
+
+const ROOM_LABEL_STYLE = {
+  fontSize: '12px',
+  fill: '#ffffff',
+  backgroundColor: '#00000088',
+  padding: { x: 3, y: 1 }
+};
+
+/**
+ * Creates the full-screen map
+ * Drawn from the same map data as the minimap (and the same discovery
+ * mask), with wheel zoom around the cursor and drag to pan. Clicking places
+ * a "go here" ping. The game keeps running underneath while it is open
+ * @param {Phaser.Scene} scene - The scene to add UI to
+ * @returns {Object} - Map overlay object
+ */
+export function createMapOverlay(scene) {
+  const container = scene.add.container(0, 0);
+  container.setScrollFactor(0);
+  container.setDepth(1500); // Above the minimap, below the key bindings screen
+  container.setVisible(false);
+
+  // Catches clicks, drags and the wheel so they don't reach the world
+  const background = scene.add.rectangle(0, 0, 10, 10, 0x000000, 0.88)
+    .setOrigin(0)
+    .setInteractive();
+
+  const graphics = scene.add.graphics();
+  const labelLayer = scene.add.container(0, 0);
+
+  const floorText = scene.add.text(0, 16, '', {
+    fontSize: '22px',
+    fill: '#ffffff'
+  }).setOrigin(0.5, 0);
+
+  const hintText = scene.add.text(0, 0, '', {
+    fontSize: '13px',
+    fill: '#aaaaaa'
+  }).setOrigin(0.5, 1);
+
+  container.add([background, graphics, labelLayer, floorText, hintText]);
+
+  let screenWidth = scene.cameras.main.width;
+  let screenHeight = scene.cameras.main.height;
+
+  // View: the world point at the screen center and screen pixels per world pixel
+  const view = { focusX: 0, focusY: 0, zoom: 1, fitZoom: 1 };
+
+  // Room labels for the current map, rebuilt when the map changes
+  let labels = [];
+  let labelledMap = null;
+
+  let drag = null; // { pointerX, pointerY, focusX, focusY } while dragging
+
+  /**
+   * Convert a world position to screen space
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @returns {Object} - Screen position {x, y}
+   */
+  function toScreen(x, y) {
+    return {
+      x: screenWidth / 2 + (x - view.focusX) * view.zoom,
+      y: screenHeight / 2 + (y - view.focusY) * view.zoom
+    };
+  }
+
+  /**
+   * Convert a screen position to world space
+   * @param {number} x - Screen X
+   * @param {number} y - Screen Y
+   * @returns {Object} - World position {x, y}
+   */
+  function toWorld(x, y) {
+    return {
+      x: view.focusX + (x - screenWidth / 2) / view.zoom,
+      y: view.focusY + (y - screenHeight / 2) / view.zoom
+    };
+  }
+
+  /**
+   * Check if a structure should be shown
+   * @param {string} type - Structure type
+   * @param {Object} structure - Structure data
+   * @returns {boolean} - True if discovered (or nothing is tracked)
+   */
+  function isDiscovered(type, structure) {
+    const discovery = scene.discoveryMap;
+    return !discovery || discovery.isStructureDiscovered(type, structure);
+  }
+
+  /**
+   * Create a label per room and spawn room of a map
+   * @param {Object} mapData - Map data
+   */
+  function buildLabels(mapData) {
+    labels.forEach(label => label.text.destroy());
+    labels = [];
+    labelledMap = mapData;
+
+    const structural = mapData.structural || {};
+    const add = (type, list, fallbackName) => {
+      (list || []).forEach((structure, index) => {
+        const name = structure.name || `${fallbackName} ${index + 1}`;
+        const text = scene.add.text(0, 0, name, ROOM_LABEL_STYLE).setOrigin(0.5);
+
+        labelLayer.add(text);
+        labels.push({ type, structure, text });
+      });
+    };
+
+    add('room', structural.rooms, 'Room');
+    add('spawnRoom', structural.spawnRooms, 'Spawn');
+  }
+
+  /**
+   * Fill a structure's rectangle
+   * @param {Object} structure - Structure in tiles
+   * @param {number} tileSize - Tile size in pixels
+   */
+  function fillStructure(structure, tileSize) {
+    const topLeft = toScreen(structure.x * tileSize, structure.y * tileSize);
+    graphics.fillRect(
+      topLeft.x,
+      topLeft.y,
+      structure.width * tileSize * view.zoom,
+      structure.height * tileSize * view.zoom
+    );
+  }
+
+  /**
+   * Draw an arrow-tipped player icon
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @param {number} facing - Facing angle in radians
+   * @param {number} color - Icon color
+   */
+  function drawPlayerIcon(x, y, facing, color) {
+    const center = toScreen(x, y);
+    const tipX = center.x + Math.cos(facing) * 12;
+    const tipY = center.y + Math.sin(facing) * 12;
+    const sideX = Math.cos(facing + Math.PI / 2) * 5;
+    const sideY = Math.sin(facing + Math.PI / 2) * 5;
+
+    graphics.fillStyle(color, 1);
+    graphics.fillCircle(center.x, center.y, 6);
+    graphics.fillTriangle(
+      tipX, tipY,
+      center.x + sideX, center.y + sideY,
+      center.x - sideX, center.y - sideY
+    );
+  }
+
+  /**
+   * Redraw the map for the current view
+   */
+  function draw() {
+    const mapData = gameState.getMapData();
+    graphics.clear();
+
+    if (!mapData) {
+      floorText.setText('No map loaded');
+      return;
+    }
+
+    if (mapData !== labelledMap) {
+      buildLabels(mapData);
+    }
+
+    const tileSize = mapData.tileSize || 64;
+    const structural = mapData.structural || {};
+
+    floorText.setText(`Floor ${mapData.floorLevel || 1}`);
+
+    // Dungeon area
+    const origin = toScreen(0, 0);
+    graphics.fillStyle(0x222222, 1);
+    graphics.fillRect(
+      origin.x,
+      origin.y,
+      mapData.dungeonTileWidth * tileSize * view.zoom,
+      mapData.dungeonTileHeight * tileSize * view.zoom
+    );
+
+    // Structures, in the minimap's colors
+    const layers = [
+      { type: 'corridor', list: structural.corridors, color: 0x555555, alpha: 1 },
+      { type: 'room', list: structural.rooms, color: 0x444444, alpha: 1 },
+      { type: 'spawnRoom', list: structural.spawnRooms, color: 0x8800ff, alpha: 0.7 }
+    ];
+
+    layers.forEach(({ type, list, color, alpha }) => {
+      graphics.fillStyle(color, alpha);
+      (list || []).forEach(structure => {
+        if (isDiscovered(type, structure)) fillStructure(structure, tileSize);
+      });
+    });
+
+    // Room labels at room centers
+    labels.forEach(({ type, structure, text }) => {
+      const center = toScreen(
+        (structure.x + structure.width / 2) * tileSize,
+        (structure.y + structure.height / 2) * tileSize
+      );
+      text.setPosition(Math.round(center.x), Math.round(center.y));
+      text.setVisible(isDiscovered(type, structure));
+    });
+
+    // Markers
+    const discovery = scene.discoveryMap;
+    graphics.fillStyle(0xffff00, 1);
+    (mapData.spawnPoints || []).forEach(spawn => {
+      if (discovery && !discovery.isDiscoveredAt(spawn.x, spawn.y)) return;
+
+      const position = toScreen(spawn.x, spawn.y);
+      graphics.fillTriangle(
+        position.x, position.y - 6,
+        position.x + 5, position.y + 4,
+        position.x - 5, position.y + 4
+      );
+    });
+
+    // Pings
+    if (scene.mapPings) {
+      const now = Date.now();
+      scene.mapPings.getActive(now).forEach(ping => {
+        const position = toScreen(ping.x, ping.y);
+        drawPingIcon(graphics, ping.type, position.x, position.y, 9, getPingAlpha(ping, now));
+      });
+    }
+
+    // Players - remote ones only while they are in sight
+    const playerManager = scene.playerManager;
+    if (playerManager) {
+      Object.entries(playerManager.otherPlayers).forEach(([id, player]) => {
+        if (!player.visible) return;
+
+        const facing = playerManager.remoteFacing[id];
+        drawPlayerIcon(player.x, player.y, facing ? facing.current : Math.PI / 2, 0x00aaff);
+      });
+
+      const position = playerManager.getRenderedPosition();
+      drawPlayerIcon(position.x, position.y, playerManager.localFacing, 0x00ff00);
+    }
+  }
+
+  /**
+   * Fit the whole dungeon on screen, centered on the player
+   */
+  function resetView() {
+    const mapData = gameState.getMapData();
+    if (!mapData) return;
+
+    const tileSize = mapData.tileSize || 64;
+    const widthPx = mapData.dungeonTileWidth * tileSize;
+    const heightPx = mapData.dungeonTileHeight * tileSize;
+
+    view.fitZoom = Math.min(
+      (screenWidth * 0.9) / widthPx,
+      (screenHeight * 0.8) / heightPx
+    );
+    view.zoom = view.fitZoom;
+
+    const position = scene.playerManager
+      ? scene.playerManager.getRenderedPosition()
+      : { x: widthPx / 2, y: heightPx / 2 };
+    view.focusX = position.x;
+    view.focusY = position.y;
+  }
+
+  /**
+   * Zoom in or out, keeping the world point under the cursor in place
+   * @param {Phaser.Input.Pointer} pointer - Pointer
+   * @param {Array} gameObjects - Objects under the pointer
+   * @param {number} deltaX - Horizontal wheel delta
+   * @param {number} deltaY - Vertical wheel delta
+   */
+  function handleWheel(pointer, gameObjects, deltaX, deltaY) {
+    if (!container.visible || deltaY === 0) return;
+
+    const before = toWorld(pointer.x, pointer.y);
+
+    const zoom = deltaY > 0 ? view.zoom / WHEEL_ZOOM_STEP : view.zoom * WHEEL_ZOOM_STEP;
+    view.zoom = Math.min(
+      Math.max(zoom, view.fitZoom * MIN_ZOOM_FACTOR),
+      view.fitZoom * MAX_ZOOM_FACTOR
+    );
+
+    view.focusX = before.x - (pointer.x - screenWidth / 2) / view.zoom;
+    view.focusY = before.y - (pointer.y - screenHeight / 2) / view.zoom;
+    draw();
+  }
+
+  function handlePointerDown(pointer) {
+    drag = {
+      pointerX: pointer.x,
+      pointerY: pointer.y,
+      focusX: view.focusX,
+      focusY: view.focusY
+    };
+  }
+
+  function handlePointerMove(pointer) {
+    if (!drag || !container.visible) return;
+
+    if (!pointer.isDown) {
+      drag = null;
+      return;
+    }
+
+    view.focusX = drag.focusX - (pointer.x - drag.pointerX) / view.zoom;
+    view.focusY = drag.focusY - (pointer.y - drag.pointerY) / view.zoom;
+    draw();
+  }
+
+  function handlePointerUp(pointer) {
+    if (!drag || !container.visible) return;
+
+    const moved = Math.hypot(pointer.x - drag.pointerX, pointer.y - drag.pointerY);
+    drag = null;
+
+    if (moved < CLICK_DISTANCE && scene.placePing) {
+      const point = toWorld(pointer.x, pointer.y);
+      scene.placePing('goHere', point.x, point.y);
+    }
+  }
+
+  /**
+   * Close on Escape, unless a key is being rebound
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  function handleKeyDown(event) {
+    if (!container.visible || keyBindings.capturing) return;
+
+    if (event.keyCode === Phaser.Input.Keyboard.KeyCodes.ESC) {
+      overlay.close();
+    }
+  }
+
+  background.on('pointerdown', handlePointerDown);
+  scene.input.on('pointermove', handlePointerMove);
+  scene.input.on('pointerup', handlePointerUp);
+  scene.input.on('wheel', handleWheel);
+  scene.input.keyboard.on('keydown', handleKeyDown);
+
+  const unbindToggleKey = keyBindings.bindAction(scene, 'toggleMap', () => overlay.toggle());
+
+  const overlay = {
+    container,
+
+    open() {
+      hintText.setText(
+        `Wheel: zoom   Drag: pan   Click: ping   ${keyBindings.getLabel('toggleMap')} / ESC: close`
+      );
+      resetView();
+      container.setVisible(true);
+      draw();
+    },
+
+    close() {
+      drag = null;
+      container.setVisible(false);
+    },
+
+    toggle() {
+      if (container.visible) {
+        overlay.close();
+      } else {
+        overlay.open();
+      }
+    },
+
+    isOpen() {
+      return container.visible;
+    },
+
+    /**
+     * Get the world position shown at a screen position
+     * @param {number} x - Screen X
+     * @param {number} y - Screen Y
+     * @returns {Object} - World position {x, y}
+     */
+    getWorldPoint(x, y) {
+      return toWorld(x, y);
+    },
+
+    /**
+     * Follow moving players while open - call every frame
+     */
+    update() {
+      if (container.visible) draw();
+    },
+
+    /**
+     * Cover the new screen size
+     * @param {number} width - New screen width
+     * @param {number} height - New screen height
+     */
+    handleResize(width, height) {
+      screenWidth = width;
+      screenHeight = height;
+
+      background.setSize(width, height);
+      background.input.hitArea.setTo(0, 0, width, height);
+      floorText.setX(width / 2);
+      hintText.setPosition(width / 2, height - 12);
+
+      if (container.visible) draw();
+    },
+
+    /**
+     * Clean up
+     */
+    destroy() {
+      unbindToggleKey();
+      scene.input.off('pointermove', handlePointerMove);
+      scene.input.off('pointerup', handlePointerUp);
+      scene.input.off('wheel', handleWheel);
+      scene.input.keyboard.off('keydown', handleKeyDown);
+      container.destroy();
+    }
+  };
+
+  overlay.handleResize(screenWidth, screenHeight);
+
+  return overlay;
+}
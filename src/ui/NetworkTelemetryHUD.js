@@ -0,0 +1,292 @@
+// src/ui/NetworkTelemetryHUD.js
+import networkManager from '../systems/NetworkManager.js';
+import networkTelemetry from '../systems/NetworkTelemetry.js';
+
+// Graph layout
+const GRAPH_WIDTH = 180;
+const GRAPH_HEIGHT = 44;
+const GRAPH_GAP = 8;
+const LABEL_HEIGHT = 14;
+const MAX_COLUMNS = 3;
+
+// One sample every 250ms, 30 seconds of history
+const SAMPLE_INTERVAL = 250;
+const HISTORY_LENGTH = 120;
+
+// Each graph plots one or two series against an auto-scaled y axis that
+// never drops below minScale
+const GRAPHS = [
+  {
+    label: 'RTT / jitter',
+    unit: 'ms',
+    minScale: 100,
+    series: [
+      { key: 'rtt', color: 0x00ff00 },
+      { key: 'jitter', color: 0xffaa00 },
+    ],
+  },
+  {
+    label: 'Msgs/s in / out',
+    unit: '',
+    minScale: 30,
+    series: [
+      { key: 'messagesIn', color: 0x00aaff },
+      { key: 'messagesOut', color: 0xff66cc },
+    ],
+  },
+  {
+    label: 'Bytes/s in / out',
+    unit: 'B',
+    minScale: 2000,
+    series: [
+      { key: 'bytesIn', color: 0x00aaff },
+      { key: 'bytesOut', color: 0xff66cc },
+    ],
+  },
+  {
+    label: 'Pending inputs',
+    unit: '',
+    minScale: 10,
+    series: [{ key: 'pendingInputs', color: 0xffff00 }],
+  },
+  {
+    label: 'Reconciliations/s',
+    unit: '',
+    minScale: 5,
+    series: [{ key: 'reconciliations', color: 0xff4444 }],
+  },
+];
+
+/**
+ * Creates the network telemetry overlay
+ * Always shows a compact ping/loss readout; the expanded mode adds rolling
+ * graphs for diagnosing rubber-banding reports
+ * @param {Phaser.Scene} scene - Game scene (reads inputHandler and reconciliationManager)
+ * @returns {Object} - Telemetry HUD object
+ */
+export function createNetworkTelemetryHUD(scene) {
+  // Compact always-on readout
+  const compactText = scene.add.text(10, scene.cameras.main.height - 10, 'Ping -- | Loss --', {
+    fontSize: '14px',
+    fill: '#ffffff',
+    backgroundColor: '#00000099',
+    padding: { x: 6, y: 3 }
+  }).setOrigin(0, 1).setScrollFactor(0).setDepth(1000);
+
+  // Expanded graphs
+  const container = scene.add.container(0, 0);
+  container.setScrollFactor(0);
+  container.setDepth(1000);
+  container.setVisible(false);
+
+  const graphics = scene.add.graphics();
+  container.add(graphics);
+
+  const labels = GRAPHS.map(() => {
+    const label = scene.add.text(0, 0, '', {
+      fontSize: '11px',
+      fill: '#ffffff'
+    });
+    container.add(label);
+    return label;
+  });
+
+  const history = [];
+  let lastTraffic = networkTelemetry.snapshot();
+  let lastReconciliationCount = null;
+  let lastSampleTime = 0;
+  let columns = MAX_COLUMNS;
+  let expanded = false;
+
+  /**
+   * Record one sample of every series
+   */
+  function takeSample() {
+    const traffic = networkTelemetry.snapshot();
+    const seconds = Math.max(0.001, (traffic.time - lastTraffic.time) / 1000);
+
+    const reconciliation = scene.reconciliationManager;
+    const reconciliationCount = reconciliation ? reconciliation.getReconciliationCount() : 0;
+    const newReconciliations = lastReconciliationCount === null
+      ? 0
+      : reconciliationCount - lastReconciliationCount;
+
+    history.push({
+      rtt: networkManager.getRTT() || 0,
+      jitter: networkManager.getJitter(),
+      messagesIn: (traffic.messagesIn - lastTraffic.messagesIn) / seconds,
+      messagesOut: (traffic.messagesOut - lastTraffic.messagesOut) / seconds,
+      bytesIn: (traffic.bytesIn - lastTraffic.bytesIn) / seconds,
+      bytesOut: (traffic.bytesOut - lastTraffic.bytesOut) / seconds,
+      pendingInputs: scene.inputHandler?.pendingInputs?.length || 0,
+      reconciliations: newReconciliations / seconds,
+    });
+
+    if (history.length > HISTORY_LENGTH) {
+      history.shift();
+    }
+
+    lastTraffic = traffic;
+    lastReconciliationCount = reconciliationCount;
+  }
+
+  /**
+   * Format a value for a graph label
+   * @param {number} value - Value
+   * @param {string} unit - Unit suffix
+   * @returns {string} - Formatted value
+   */
+  function formatValue(value, unit) {
+    if (unit === 'B' && value >= 1024) {
+      return `${(value / 1024).toFixed(1)}KB`;
+    }
+
+    return `${Math.round(value)}${unit}`;
+  }
+
+  /**
+   * Redraw all graphs from the history
+   */
+  function drawGraphs() {
+    graphics.clear();
+
+    const latest = history[history.length - 1] || {};
+
+    GRAPHS.forEach((graph, index) => {
+      const x = (index % columns) * (GRAPH_WIDTH + GRAPH_GAP);
+      const y = Math.floor(index / columns) * (GRAPH_HEIGHT + LABEL_HEIGHT + GRAPH_GAP);
+      const top = y + LABEL_HEIGHT;
+
+      // Background
+      graphics.fillStyle(0x000000, 0.6);
+      graphics.fillRect(x, y, GRAPH_WIDTH, GRAPH_HEIGHT + LABEL_HEIGHT);
+
+      // Scale to the largest value in view
+      let max = graph.minScale;
+      history.forEach(sample => {
+        graph.series.forEach(series => {
+          max = Math.max(max, sample[series.key]);
+        });
+      });
+
+      // Lines
+      graph.series.forEach(series => {
+        if (history.length < 2) return;
+
+        graphics.lineStyle(1, series.color, 1);
+        graphics.beginPath();
+
+        history.forEach((sample, i) => {
+          const px = x + (i / (HISTORY_LENGTH - 1)) * GRAPH_WIDTH;
+          const py = top + GRAPH_HEIGHT - (sample[series.key] / max) * GRAPH_HEIGHT;
+
+          if (i === 0) {
+            graphics.moveTo(px, py);
+          } else {
+            graphics.lineTo(px, py);
+          }
+        });
+
+        graphics.strokePath();
+      });
+
+      const values = graph.series
+        .map(series => formatValue(latest[series.key] || 0, graph.unit))
+        .join(' / ');
+
+      labels[index].setPosition(x + 4, y + 1);
+      labels[index].setText(`${graph.label}: ${values} (max ${formatValue(max, graph.unit)})`);
+    });
+  }
+
+  /**
+   * Update the compact readout
+   */
+  function updateCompact() {
+    const rtt = networkManager.getRTT();
+    const loss = networkManager.getPacketLoss() * 100;
+
+    compactText.setText(
+      `Ping ${rtt === null ? '--' : Math.round(rtt) + 'ms'} | Loss ${loss.toFixed(1)}%`
+    );
+    compactText.setColor((rtt !== null && rtt > 150) || loss > 2 ? '#ff8844' : '#ffffff');
+  }
+
+  const hud = {
+    compactText,
+    container,
+
+    /**
+     * Sample telemetry and redraw at a fixed rate
+     */
+    update() {
+      const now = performance.now();
+      if (now - lastSampleTime < SAMPLE_INTERVAL) return;
+      lastSampleTime = now;
+
+      takeSample();
+      updateCompact();
+
+      if (expanded) {
+        drawGraphs();
+      }
+    },
+
+    /**
+     * Show or hide the graphs
+     * @param {boolean} value - True to show the graphs
+     */
+    setExpanded(value) {
+      expanded = value;
+      container.setVisible(value);
+
+      if (value) {
+        drawGraphs();
+      }
+    },
+
+    /**
+     * Show or hide the compact readout
+     * @param {boolean} value - True to show ping and loss
+     */
+    setCompactVisible(value) {
+      compactText.setVisible(value);
+    },
+
+    /**
+     * Keep the overlay anchored to the bottom of the screen
+     * @param {number} width - New screen width
+     * @param {number} height - New screen height
+     */
+    handleResize(width, height) {
+      columns = Math.max(1, Math.min(MAX_COLUMNS,
+        Math.floor((width - 20 + GRAPH_GAP) / (GRAPH_WIDTH + GRAPH_GAP))));
+
+      const rows = Math.ceil(GRAPHS.length / columns);
+      const panelWidth = columns * (GRAPH_WIDTH + GRAPH_GAP) - GRAPH_GAP;
+      const panelHeight = rows * (GRAPH_HEIGHT + LABEL_HEIGHT + GRAPH_GAP) - GRAPH_GAP;
+
+      compactText.setPosition(10, height - 10);
+      container.setPosition(
+        Math.round((width - panelWidth) / 2),
+        height - panelHeight - 40
+      );
+
+      if (expanded) {
+        drawGraphs();
+      }
+    },
+
+    /**
+     * Clean up
+     */
+    destroy() {
+      compactText.destroy();
+      container.destroy();
+    }
+  };
+
+  hud.handleResize(scene.cameras.main.width, scene.cameras.main.height);
+
+  return hud;
+}
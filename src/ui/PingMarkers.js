@@ -0,0 +1,199 @@
+// src/ui/PingMarkers.js
+import { PING_TYPES } from '../systems/MapPings.js';
+
+// Pings fade out over their last second
+const FADE_TIME = 1000; // ms
+
+// Distance of off-screen arrows from the screen edge
+const ARROW_MARGIN = 28;
+
+/**
+ * Draw the icon for a ping type
+ * @param {Phaser.GameObjects.Graphics} graphics - Graphics to draw into
+ * @param {string} type - Ping type
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {number} size - Icon half size in pixels
+ * @param {number} alpha - Opacity
+ */
+export function drawPingIcon(graphics, type, x, y, size, alpha = 1) {
+  const { color } = PING_TYPES[type];
+
+  graphics.fillStyle(color, alpha);
+  graphics.lineStyle(2, 0x000000, alpha);
+
+  if (type === 'danger') {
+    // Warning triangle
+    graphics.fillTriangle(x, y - size, x + size, y + size * 0.8, x - size, y + size * 0.8);
+    graphics.strokeTriangle(x, y - size, x + size, y + size * 0.8, x - size, y + size * 0.8);
+  } else if (type === 'loot') {
+    // Diamond
+    const points = [
+      { x, y: y - size },
+      { x: x + size * 0.75, y },
+      { x, y: y + size },
+      { x: x - size * 0.75, y }
+    ];
+    graphics.fillPoints(points, true);
+    graphics.strokePoints(points, true);
+  } else {
+    // Map pin
+    graphics.fillCircle(x, y - size * 0.3, size * 0.6);
+    graphics.fillTriangle(x - size * 0.5, y, x + size * 0.5, y, x, y + size);
+    graphics.strokeCircle(x, y - size * 0.3, size * 0.6);
+  }
+}
+
+/**
+ * Get how visible a ping still is
+ * @param {Object} ping - Ping from MapPings
+ * @param {number} now - Current time in ms
+ * @returns {number} - Opacity from 0 to 1
+ */
+export function getPingAlpha(ping, now) {
+  return Math.max(0, Math.min(1, (ping.expiresAt - now) / FADE_TIME));
+}
+
+/**
+ * Creates the in-world ping markers and the arrows pointing at off-screen pings
+ * @param {Phaser.Scene} scene - The scene to add markers to
+ * @returns {Object} - Ping markers object
+ */
+export function createPingMarkers(scene) {
+  // Above the fog, so pings in unseen areas still show
+  const worldGraphics = scene.add.graphics();
+  worldGraphics.setDepth(40);
+
+  // Edge arrows, fixed to the camera and below the minimap
+  const arrowGraphics = scene.add.graphics();
+  arrowGraphics.setScrollFactor(0);
+  arrowGraphics.setDepth(950);
+
+  // Label per ping ID
+  const labels = new Map();
+
+  /**
+   * Get or create a ping's label
+   * @param {Object} ping - Ping
+   * @returns {Phaser.GameObjects.Text} - Label
+   */
+  function getLabel(ping) {
+    let label = labels.get(ping.id);
+
+    if (!label) {
+      const { label: typeLabel } = PING_TYPES[ping.type];
+      const text = ping.name ? `${typeLabel} (${ping.name})` : typeLabel;
+
+      label = scene.add.text(ping.x, ping.y - 36, text, {
+        fontSize: '13px',
+        fill: '#ffffff',
+        backgroundColor: '#00000099',
+        padding: { x: 3, y: 1 }
+      }).setOrigin(0.5, 1).setDepth(41);
+
+      labels.set(ping.id, label);
+    }
+
+    return label;
+  }
+
+  /**
+   * Draw a ping where it is in the world
+   * @param {Object} ping - Ping
+   * @param {number} now - Current time in ms
+   * @param {number} alpha - Opacity
+   */
+  function drawWorldPing(ping, now, alpha) {
+    const { color } = PING_TYPES[ping.type];
+    const pulse = ((now - ping.createdAt) % 1000) / 1000;
+
+    // Expanding ring
+    worldGraphics.lineStyle(3, color, alpha * (1 - pulse));
+    worldGraphics.strokeCircle(ping.x, ping.y, 12 + pulse * 28);
+
+    drawPingIcon(worldGraphics, ping.type, ping.x, ping.y, 14, alpha);
+  }
+
+  /**
+   * Draw an arrow at the screen edge pointing at an off-screen ping
+   * @param {Object} ping - Ping
+   * @param {Phaser.Cameras.Scene2D.Camera} camera - Main camera
+   * @param {number} alpha - Opacity
+   */
+  function drawEdgeArrow(ping, camera, alpha) {
+    const view = camera.worldView;
+    const halfWidth = camera.width / 2;
+    const halfHeight = camera.height / 2;
+
+    // Direction from the screen center, in screen pixels
+    const dx = (ping.x - (view.x + view.width / 2)) * camera.zoom;
+    const dy = (ping.y - (view.y + view.height / 2)) * camera.zoom;
+
+    // Scale the direction until it meets the inset screen edge
+    const scale = Math.min(
+      (halfWidth - ARROW_MARGIN) / Math.max(Math.abs(dx), 1e-6),
+      (halfHeight - ARROW_MARGIN) / Math.max(Math.abs(dy), 1e-6)
+    );
+    const x = halfWidth + dx * scale;
+    const y = halfHeight + dy * scale;
+
+    const angle = Math.atan2(dy, dx);
+    const { color } = PING_TYPES[ping.type];
+    const tipX = x + Math.cos(angle) * 16;
+    const tipY = y + Math.sin(angle) * 16;
+    const sideX = Math.cos(angle + Math.PI / 2) * 9;
+    const sideY = Math.sin(angle + Math.PI / 2) * 9;
+
+    arrowGraphics.fillStyle(color, alpha);
+    arrowGraphics.fillTriangle(tipX, tipY, x + sideX, y + sideY, x - sideX, y - sideY);
+    drawPingIcon(arrowGraphics, ping.type, x - Math.cos(angle) * 6, y - Math.sin(angle) * 6, 7, alpha);
+  }
+
+  return {
+    /**
+     * Redraw all pings - call every frame
+     * @param {Array} pings - Active pings from MapPings
+     */
+    update(pings) {
+      const now = Date.now();
+      const camera = scene.cameras.main;
+      const view = camera.worldView;
+      const seen = new Set();
+
+      worldGraphics.clear();
+      arrowGraphics.clear();
+
+      pings.forEach(ping => {
+        const alpha = getPingAlpha(ping, now);
+        seen.add(ping.id);
+
+        drawWorldPing(ping, now, alpha);
+
+        const label = getLabel(ping);
+        label.setAlpha(alpha);
+
+        if (!view.contains(ping.x, ping.y)) {
+          drawEdgeArrow(ping, camera, alpha);
+        }
+      });
+
+      // Drop labels of expired pings
+      labels.forEach((label, id) => {
+        if (!seen.has(id)) {
+          label.destroy();
+          labels.delete(id);
+        }
+      });
+    },
+
+    /**
+     * Clean up
+     */
+    destroy() {
+      labels.forEach(label => label.destroy());
+      labels.clear();
+      worldGraphics.destroy();
+      arrowGraphics.destroy();
+    }
+  };
+}
@@ -0,0 +1,95 @@
+// src/ui/ReplayControls.js
+
+const BUTTON_STYLE = {
+  fontSize: '14px',
+  backgroundColor: '#555555',
+  padding: { x: 10, y: 5 }
+};
+
+/**
+ * Creates the playback bar shown while a session replay runs
+ * @param {Phaser.Scene} scene - The scene to add UI to
+ * @param {SessionReplay} replay - Replay to control
+ * @param {Function} onStop - Called when the Stop button is pressed
+ * @returns {Object} - Replay controls object
+ */
+export function createReplayControls(scene, replay, onStop) {
+  const container = scene.add.container(0, 0);
+  container.setScrollFactor(0);
+  container.setDepth(1001);
+
+  const background = scene.add.rectangle(0, 0, 460, 64, 0x000000, 0.7);
+  background.setOrigin(0.5, 0);
+
+  const statusText = scene.add.text(0, 6, '', {
+    fontSize: '14px',
+    fill: '#ff6666'
+  }).setOrigin(0.5, 0);
+
+  const createButton = (x, label, onClick) => {
+    const button = scene.add.text(x, 40, label, BUTTON_STYLE)
+      .setOrigin(0.5)
+      .setInteractive({ useHandCursor: true });
+    button.on('pointerdown', onClick);
+    return button;
+  };
+
+  const pauseButton = createButton(-150, 'Pause', () => {
+    replay.setPaused(!replay.paused);
+    controls.update();
+  });
+
+  const stepButton = createButton(-55, 'Step', () => {
+    replay.step();
+    controls.update();
+  });
+
+  const speedButton = createButton(40, 'x1', () => {
+    replay.cycleSpeed();
+    controls.update();
+  });
+
+  const stopButton = createButton(140, 'Stop', () => onStop());
+
+  container.add([background, statusText, pauseButton, stepButton, speedButton, stopButton]);
+
+  const controls = {
+    container,
+
+    /**
+     * Refresh the status line and button labels
+     */
+    update() {
+      const progress = replay.getProgress();
+      const state = replay.isFinished() ? 'FINISHED' : replay.paused ? 'PAUSED' : 'PLAYING';
+
+      statusText.setText(
+        `REPLAY ${state}  ${(progress.time / 1000).toFixed(1)}s / ` +
+        `${(progress.duration / 1000).toFixed(1)}s  ` +
+        `event ${progress.eventIndex}/${progress.eventCount}`
+      );
+      pauseButton.setText(replay.paused ? 'Play' : 'Pause');
+      speedButton.setText(`x${replay.getSpeed()}`);
+    },
+
+    /**
+     * Keep the bar centered at the top of the screen
+     * @param {number} width - New screen width
+     */
+    handleResize(width) {
+      container.setPosition(Math.round(width / 2), 10);
+    },
+
+    /**
+     * Clean up
+     */
+    destroy() {
+      container.destroy();
+    }
+  };
+
+  controls.handleResize(scene.cameras.main.width);
+  controls.update();
+
+  return controls;
+}
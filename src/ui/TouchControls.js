@@ -0,0 +1,214 @@
+// src/ui/TouchControls.js
+
+// Joystick size in pixels and the radial deadzone (0-1)
+const JOYSTICK_RADIUS = 60;
+const THUMB_RADIUS = 26;
+const JOYSTICK_DEADZONE = 0.15;
+
+// Dash button size range, scaled with the smaller screen side
+const DASH_MIN_RADIUS = 36;
+const DASH_MAX_RADIUS = 56;
+const DASH_MARGIN = 30;
+
+/**
+ * Check if the game is running on a touch device
+ * @param {Phaser.Scene} scene - Any scene
+ * @returns {boolean} - True if touch input is available
+ */
+export function isTouchDevice(scene) {
+  return !!scene.sys.game.device.input.touch;
+}
+
+/**
+ * Creates an on-screen floating joystick and dash button
+ * Touching anywhere on the left half of the screen places the joystick
+ * under the finger; the dash button sits in the bottom-right corner. Each
+ * control tracks its own pointer so both can be used at once.
+ * @param {Phaser.Scene} scene - The scene to add controls to
+ * @returns {Object} - Touch controls object
+ */
+export function createTouchControls(scene) {
+  // Room for two thumbs plus a stray touch
+  scene.input.addPointer(2);
+
+  const base = scene.add.circle(0, 0, JOYSTICK_RADIUS, 0xffffff, 0.15)
+    .setStrokeStyle(2, 0xffffff, 0.4)
+    .setScrollFactor(0).setDepth(1000).setVisible(false);
+
+  const thumb = scene.add.circle(0, 0, THUMB_RADIUS, 0xffffff, 0.4)
+    .setScrollFactor(0).setDepth(1001).setVisible(false);
+
+  const dashButton = scene.add.circle(0, 0, DASH_MAX_RADIUS, 0x00aaff, 0.35)
+    .setStrokeStyle(2, 0xffffff, 0.6)
+    .setScrollFactor(0).setDepth(1000);
+
+  const dashLabel = scene.add.text(0, 0, 'DASH', {
+    fontSize: '16px',
+    fill: '#ffffff'
+  }).setOrigin(0.5).setScrollFactor(0).setDepth(1001);
+
+  let joystickPointerId = null;
+  let dashPointerId = null;
+  let vector = { x: 0, y: 0 };
+  let screenWidth = scene.cameras.main.width;
+  const dashCallbacks = [];
+
+  /**
+   * Check if a screen position is on the dash button
+   * @param {number} x - Screen X
+   * @param {number} y - Screen Y
+   * @returns {boolean} - True if inside the button
+   */
+  function hitsDashButton(x, y) {
+    const dx = x - dashButton.x;
+    const dy = y - dashButton.y;
+    return dx * dx + dy * dy <= dashButton.radius * dashButton.radius;
+  }
+
+  /**
+   * Move the thumb and recompute the joystick vector
+   * @param {Phaser.Input.Pointer} pointer - Joystick pointer
+   */
+  function moveThumb(pointer) {
+    let dx = pointer.x - base.x;
+    let dy = pointer.y - base.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    // Keep the thumb inside the base
+    if (distance > JOYSTICK_RADIUS) {
+      dx = (dx / distance) * JOYSTICK_RADIUS;
+      dy = (dy / distance) * JOYSTICK_RADIUS;
+    }
+
+    thumb.setPosition(base.x + dx, base.y + dy);
+
+    const strength = Math.min(1, distance / JOYSTICK_RADIUS);
+    if (strength < JOYSTICK_DEADZONE) {
+      vector = { x: 0, y: 0 };
+      return;
+    }
+
+    const scaled = (strength - JOYSTICK_DEADZONE) / (1 - JOYSTICK_DEADZONE);
+    vector = { x: (dx / distance) * scaled, y: (dy / distance) * scaled };
+  }
+
+  /**
+   * Claim a new touch for the dash button or the joystick
+   * @param {Phaser.Input.Pointer} pointer - Pointer that went down
+   * @param {Array} currentlyOver - Interactive objects under the pointer
+   */
+  function handlePointerDown(pointer, currentlyOver) {
+    // Mouse clicks and taps on other UI are left alone
+    if (!pointer.wasTouch || currentlyOver.length > 0) return;
+
+    if (dashPointerId === null && hitsDashButton(pointer.x, pointer.y)) {
+      dashPointerId = pointer.id;
+      dashButton.setFillStyle(0x00aaff, 0.7);
+      dashCallbacks.forEach(callback => callback());
+      return;
+    }
+
+    if (joystickPointerId === null && pointer.x < screenWidth / 2) {
+      joystickPointerId = pointer.id;
+      base.setPosition(pointer.x, pointer.y).setVisible(true);
+      thumb.setPosition(pointer.x, pointer.y).setVisible(true);
+      vector = { x: 0, y: 0 };
+    }
+  }
+
+  /**
+   * Follow the joystick finger
+   * @param {Phaser.Input.Pointer} pointer - Pointer that moved
+   */
+  function handlePointerMove(pointer) {
+    if (pointer.id === joystickPointerId) {
+      moveThumb(pointer);
+    }
+  }
+
+  /**
+   * Release whichever control the pointer was holding
+   * @param {Phaser.Input.Pointer} pointer - Pointer that was released
+   */
+  function handlePointerUp(pointer) {
+    if (pointer.id === joystickPointerId) {
+      joystickPointerId = null;
+      vector = { x: 0, y: 0 };
+      base.setVisible(false);
+      thumb.setVisible(false);
+    }
+
+    if (pointer.id === dashPointerId) {
+      dashPointerId = null;
+      dashButton.setFillStyle(0x00aaff, 0.35);
+    }
+  }
+
+  scene.input.on('pointerdown', handlePointerDown);
+  scene.input.on('pointermove', handlePointerMove);
+  scene.input.on('pointerup', handlePointerUp);
+  scene.input.on('pointerupoutside', handlePointerUp);
+
+  const controls = {
+    /**
+     * Get the joystick deflection
+     * @returns {Object} - Vector {x, y} with length 0-1
+     */
+    getVector() {
+      return { ...vector };
+    },
+
+    /**
+     * Check if the dash button is held
+     * @returns {boolean} - True while a finger is on the button
+     */
+    isDashDown() {
+      return dashPointerId !== null;
+    },
+
+    /**
+     * Register a callback for dash button presses
+     * @param {Function} callback - Called when the button is pressed
+     */
+    onDash(callback) {
+      dashCallbacks.push(callback);
+    },
+
+    /**
+     * Keep the dash button in the bottom-right corner
+     * @param {number} width - New screen width
+     * @param {number} height - New screen height
+     */
+    handleResize(width, height) {
+      screenWidth = width;
+
+      const radius = Phaser.Math.Clamp(
+        Math.round(Math.min(width, height) * 0.09), DASH_MIN_RADIUS, DASH_MAX_RADIUS
+      );
+      const x = width - DASH_MARGIN - radius;
+      const y = height - DASH_MARGIN - radius;
+
+      dashButton.setRadius(radius).setPosition(x, y);
+      dashLabel.setPosition(x, y);
+    },
+
+    /**
+     * Clean up
+     */
+    destroy() {
+      scene.input.off('pointerdown', handlePointerDown);
+      scene.input.off('pointermove', handlePointerMove);
+      scene.input.off('pointerup', handlePointerUp);
+      scene.input.off('pointerupoutside', handlePointerUp);
+
+      base.destroy();
+      thumb.destroy();
+      dashButton.destroy();
+      dashLabel.destroy();
+    }
+  };
+
+  controls.handleResize(scene.cameras.main.width, scene.cameras.main.height);
+
+  return controls;
+}
@@ -1,41 +1,214 @@
 // src/utils/controls.js
+import { createTouchControls, isTouchDevice } from '../ui/TouchControls.js';
+import keyBindings from '../systems/KeyBindings.js';
+
+// Stick deflection below this (0-1) is treated as no input
+export const GAMEPAD_DEADZONE = 0.2;
+
+// Gamepad buttons that trigger a dash: A / Cross and right bumper
+export const GAMEPAD_DASH_BUTTONS = [0, 5];
+
+// A stick direction counts as holding a direction once its component
+// passes sin(22.5deg), which splits the circle into 8 equal sectors
+const DIRECTION_THRESHOLD = Math.sin(Math.PI / 8);
 
 /**
- * Creates a controls handler for player movement
+ * Creates a controls handler for player movement and aiming
+ * Keyboard and mouse, gamepad and (on touch devices) an on-screen joystick
+ * work side by side; whichever was used last is the active device, and a
+ * held movement key wins over the stick, which wins over the joystick
  * @param {Phaser.Scene} scene - The scene to add controls to
  * @returns {Object} - Controls object
  */
 export function createControls(scene) {
-  // Set up cursor keys
-  const cursors = scene.input.keyboard.createCursorKeys();
-  
-  // Set up WASD keys
-  const wasd = {
-    up: scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.W),
-    down: scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.S),
-    left: scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.A),
-    right: scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.D)
+  // Gamepad plugin is only present when enabled in the game config
+  const gamepadInput = scene.input.gamepad || null;
+  
+  // On-screen joystick and dash button, only on touch devices
+  const touch = isTouchDevice(scene) ? createTouchControls(scene) : null;
+  
+  let activeDevice = 'keyboard';
+  const dashCallbacks = [];
+  
+  // Last mouse position on screen, null until the mouse has moved
+  let mousePosition = null;
+  
+  /**
+   * Get the first connected gamepad
+   * @returns {Phaser.Input.Gamepad.Gamepad|null} - Gamepad or null
+   */
+  function getPad() {
+    if (!gamepadInput || gamepadInput.total === 0) return null;
+    return gamepadInput.getAll().find(pad => pad && pad.connected) || null;
+  }
+  
+  /**
+   * Read a stick with a radial deadzone
+   * The remaining range is rescaled so output starts at 0 past the deadzone
+   * @param {string} stickName - 'leftStick' (movement) or 'rightStick' (aim)
+   * @returns {Object} - Stick vector {x, y} with length 0-1
+   */
+  function readStick(stickName = 'leftStick') {
+    const pad = getPad();
+    if (!pad || !pad[stickName]) return { x: 0, y: 0 };
+    
+    const { x, y } = pad[stickName];
+    const length = Math.sqrt(x * x + y * y);
+    if (length < GAMEPAD_DEADZONE) return { x: 0, y: 0 };
+    
+    const scaled = Math.min(1, (length - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE));
+    return { x: (x / length) * scaled, y: (y / length) * scaled };
+  }
+  
+  /**
+   * Read the keys bound to the movement actions
+   * @returns {Object} - Direction booleans
+   */
+  function readKeyboard() {
+    return {
+      up: keyBindings.isDown(scene, 'moveUp'),
+      down: keyBindings.isDown(scene, 'moveDown'),
+      left: keyBindings.isDown(scene, 'moveLeft'),
+      right: keyBindings.isDown(scene, 'moveRight')
+    };
+  }
+  
+  /**
+   * Snap an analog vector to direction booleans
+   * @param {Object} vector - Analog vector {x, y}
+   * @returns {Object} - Direction booleans
+   */
+  function toDirections(vector) {
+    const length = Math.sqrt(vector.x * vector.x + vector.y * vector.y);
+    const x = length > 0 ? vector.x / length : 0;
+    const y = length > 0 ? vector.y / length : 0;
+    
+    return {
+      up: y < -DIRECTION_THRESHOLD,
+      down: y > DIRECTION_THRESHOLD,
+      left: x < -DIRECTION_THRESHOLD,
+      right: x > DIRECTION_THRESHOLD
+    };
+  }
+  
+  /**
+   * Read the gamepad as direction booleans (stick or d-pad)
+   * @returns {Object} - Direction booleans
+   */
+  function readGamepad() {
+    const pad = getPad();
+    const stick = toDirections(readStick());
+    
+    return {
+      up: stick.up || (!!pad && pad.up),
+      down: stick.down || (!!pad && pad.down),
+      left: stick.left || (!!pad && pad.left),
+      right: stick.right || (!!pad && pad.right)
+    };
+  }
+  
+  /**
+   * Get the analog vector of the active device
+   * @returns {Object} - Vector {x, y} with length 0-1
+   */
+  function readAnalog() {
+    if (activeDevice === 'gamepad') return readStick();
+    if (activeDevice === 'touch' && touch) return touch.getVector();
+    return { x: 0, y: 0 };
+  }
+  
+  /**
+   * Check if any dash button is held on the gamepad
+   * @returns {boolean} - True if a dash button is pressed
+   */
+  function isDashButtonDown() {
+    const pad = getPad();
+    return !!pad && GAMEPAD_DASH_BUTTONS.some(index => pad.buttons[index]?.pressed);
+  }
+  
+  /**
+   * Check if a direction state holds any direction
+   * @param {Object} state - Direction booleans
+   * @returns {boolean} - True if any direction is held
+   */
+  function anyDirection(state) {
+    return state.up || state.down || state.left || state.right;
+  }
+  
+  // Track the last used device so the two can be swapped at any time
+  const handleKeyDown = () => {
+    activeDevice = 'keyboard';
   };
+  scene.input.keyboard.on('keydown', handleKeyDown);
   
-  // Set up dash key (spacebar)
-  const dashKey = scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
+  // Touches steer the joystick, only the mouse aims
+  const handlePointerMove = pointer => {
+    if (pointer.wasTouch) return;
+    
+    mousePosition = { x: pointer.x, y: pointer.y };
+    activeDevice = 'keyboard';
+  };
+  scene.input.on('pointermove', handlePointerMove);
   
-  return {
-    cursors,
-    wasd,
-    dashKey,
+  const unbindDash = keyBindings.bindAction(scene, 'dash', () => {
+    dashCallbacks.forEach(callback => callback());
+  });
+  
+  if (touch) {
+    touch.onDash(() => {
+      activeDevice = 'touch';
+      dashCallbacks.forEach(callback => callback());
+    });
+  }
+  
+  if (gamepadInput) {
+    gamepadInput.on('down', (pad, button) => {
+      activeDevice = 'gamepad';
+      
+      if (GAMEPAD_DASH_BUTTONS.includes(button.index)) {
+        dashCallbacks.forEach(callback => callback());
+      }
+    });
+    
+    gamepadInput.on('connected', pad => {
+      console.log(`Gamepad connected: ${pad.id}`);
+    });
     
+    gamepadInput.on('disconnected', pad => {
+      console.log(`Gamepad disconnected: ${pad.id}`);
+      if (!getPad()) activeDevice = 'keyboard';
+    });
+  }
+  
+  return {
     /**
      * Get current input state
+     * Stick input is snapped to 8 directions, the same set the keyboard
+     * produces, so prediction matches the server's simulation
      * @returns {Object} - Current input state
      */
     getInputState() {
+      let state = readKeyboard();
+      
+      if (anyDirection(state)) {
+        activeDevice = 'keyboard';
+      } else {
+        state = readGamepad();
+        
+        if (anyDirection(state)) {
+          activeDevice = 'gamepad';
+        } else if (touch) {
+          state = toDirections(touch.getVector());
+          if (anyDirection(state)) activeDevice = 'touch';
+        }
+      }
+      
       return {
-        up: cursors.up.isDown || wasd.up.isDown,
-        down: cursors.down.isDown || wasd.down.isDown,
-        left: cursors.left.isDown || wasd.left.isDown,
-        right: cursors.right.isDown || wasd.right.isDown,
-        dash: dashKey.isDown
+        up: state.up,
+        down: state.down,
+        left: state.left,
+        right: state.right,
+        dash: this.isDashKeyDown()
       };
     },
     
@@ -44,18 +217,28 @@ export function createControls(scene) {
      * @returns {boolean} - True if any movement key is pressed
      */
     isMoving() {
-      const state = this.getInputState();
-      return state.up || state.down || state.left || state.right;
+      return anyDirection(this.getInputState());
     },
     
     /**
      * Returns input as a direction vector
+     * Sticks give their exact angle; either way the vector has length 1
+     * while moving
      * @returns {Object} - Direction vector {x, y}
      */
     getDirectionVector() {
       const state = this.getInputState();
       const vector = { x: 0, y: 0 };
       
+      if (activeDevice !== 'keyboard') {
+        const analog = readAnalog();
+        const length = Math.sqrt(analog.x * analog.x + analog.y * analog.y);
+        
+        if (length > 0) {
+          return { x: analog.x / length, y: analog.y / length };
+        }
+      }
+      
       if (state.left) vector.x -= 1;
       if (state.right) vector.x += 1;
       if (state.up) vector.y -= 1;
@@ -71,12 +254,72 @@ export function createControls(scene) {
       return vector;
     },
     
+    /**
+     * Get the angle the player is aiming at
+     * The mouse aims from the given world position, a gamepad with its
+     * right stick; touch has no aim
+     * @param {Object} origin - World position to aim from {x, y}
+     * @returns {number|null} - Angle in radians, or null without aim input
+     */
+    getAimAngle(origin) {
+      if (activeDevice === 'gamepad') {
+        const stick = readStick('rightStick');
+        return stick.x !== 0 || stick.y !== 0 ? Math.atan2(stick.y, stick.x) : null;
+      }
+      
+      if (activeDevice === 'keyboard' && mousePosition) {
+        const point = scene.cameras.main.getWorldPoint(mousePosition.x, mousePosition.y);
+        const dx = point.x - origin.x;
+        const dy = point.y - origin.y;
+        
+        return dx !== 0 || dy !== 0 ? Math.atan2(dy, dx) : null;
+      }
+      
+      return null;
+    },
+    
     /**
      * Check if dash key is pressed
-     * @returns {boolean} - True if dash key is pressed
+     * @returns {boolean} - True if dash key or a dash button is pressed
      */
     isDashKeyDown() {
-      return dashKey.isDown;
+      return keyBindings.isDown(scene, 'dash') || isDashButtonDown() ||
+        (!!touch && touch.isDashDown());
+    },
+    
+    /**
+     * Register a callback for dash presses from any device
+     * @param {Function} callback - Called when dash is pressed
+     */
+    onDash(callback) {
+      dashCallbacks.push(callback);
+    },
+    
+    /**
+     * Get the device used most recently
+     * @returns {string} - 'keyboard' (with mouse), 'gamepad' or 'touch'
+     */
+    getActiveDevice() {
+      return activeDevice;
+    },
+    
+    /**
+     * Keep on-screen controls in place when the screen size changes
+     * @param {number} width - New screen width
+     * @param {number} height - New screen height
+     */
+    handleResize(width, height) {
+      if (touch) touch.handleResize(width, height);
+    },
+    
+    /**
+     * Remove listeners and on-screen controls
+     */
+    destroy() {
+      unbindDash();
+      scene.input.keyboard.off('keydown', handleKeyDown);
+      scene.input.off('pointermove', handlePointerMove);
+      if (touch) touch.destroy();
     }
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,217 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  sweepCircle,
+  resolveMapCollision,
+  checkMapCollision,
+} from "../src/systems/CollisionSystem.js";
+import { createCollisionLayers } from "../src/systems/TileBehaviors.js";
+
+const TILE = 64;
+const RADIUS = 20;
+const BUFFER = 2;
+const REACH = RADIUS + BUFFER;
+const SKIN = 0.01;
+const EPSILON = 1e-6;
+
+/**
+ * Build collision data from tile rows (# wall, . floor, ~ slow, o hole)
+ * @param {Array<string>} rows - Map rows
+ * @returns {Object} - Collision data
+ */
+function createCollision(rows) {
+  const values = { "#": 1, ".": 0, "~": -1, o: -2 };
+  const tiles = rows.map((row) => [...row].map((char) => values[char]));
+
+  return {
+    ...createCollisionLayers(tiles),
+    tileSize: TILE,
+    bufferZone: BUFFER,
+  };
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < EPSILON, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// A single wall tile (column 3) between two open rooms
+const thinWall = createCollision([
+  "#######",
+  "#..#..#",
+  "#..#..#",
+  "#..#..#",
+  "#######",
+]);
+
+// An open room with a pillar tile at (3, 2)
+const pillar = createCollision([
+  "#######",
+  "#.....#",
+  "#..#..#",
+  "#.....#",
+  "#######",
+]);
+
+describe("sweepCircle", () => {
+  it("returns the full move when nothing is hit", () => {
+    const sweep = sweepCircle(thinWall, 100, 150, 30, 10, RADIUS);
+
+    assert.equal(sweep.hit, false);
+    assert.equal(sweep.time, 1);
+    assert.deepEqual({ x: sweep.x, y: sweep.y }, { x: 130, y: 160 });
+    assert.equal(sweep.normal, null);
+  });
+
+  it("finds the time of impact and stops a skin off the wall", () => {
+    // Wall face at x = 192, contact once the center is REACH away
+    const sweep = sweepCircle(thinWall, 100, 150, 100, 0, RADIUS);
+    const contactX = 3 * TILE - REACH;
+
+    assert.equal(sweep.hit, true);
+    assertClose(sweep.time, (contactX - 100) / 100, "time");
+    assertClose(sweep.x, contactX - SKIN, "x");
+    assert.equal(sweep.y, 150);
+    assert.deepEqual(sweep.normal, { x: -1, y: 0 });
+    assert.deepEqual({ tileX: sweep.tileX, tileKind: sweep.tileKind }, { tileX: 3, tileKind: "solid" });
+  });
+
+  it("does not tunnel through a one tile wall however far the move", () => {
+    const sweep = sweepCircle(thinWall, 100, 150, 10000, 0, RADIUS);
+
+    assert.equal(sweep.hit, true);
+    assert.equal(sweep.tileX, 3);
+    assert.ok(sweep.x < 3 * TILE - REACH);
+  });
+
+  it("reports the normal of the face that was hit", () => {
+    const fromRight = sweepCircle(thinWall, 300, 150, -100, 0, RADIUS);
+    const fromBelow = sweepCircle(pillar, 224, 250, 0, -100, RADIUS);
+
+    assert.deepEqual(fromRight.normal, { x: 1, y: 0 });
+    assert.deepEqual(fromBelow.normal, { x: 0, y: 1 });
+    assertClose(fromBelow.y, 3 * TILE + REACH + SKIN, "y");
+  });
+
+  it("rounds the corners of wall tiles", () => {
+    // Heading diagonally at the pillar's bottom-right corner (256, 192)
+    const sweep = sweepCircle(pillar, 300, 236, -40, -40, RADIUS);
+    const normalLength = Math.hypot(sweep.normal.x, sweep.normal.y);
+
+    assert.equal(sweep.hit, true);
+    assertClose(normalLength, 1, "normal length");
+    assert.ok(sweep.normal.x > 0 && sweep.normal.y > 0, "normal points away from the corner");
+
+    // The contact point is exactly REACH from the corner
+    const contactX = 300 - 40 * sweep.time;
+    const contactY = 236 - 40 * sweep.time;
+    assertClose(Math.hypot(contactX - 256, contactY - 192), REACH, "distance to corner");
+  });
+
+  it("reaches further past a corner than past a flat face", () => {
+    // Off the pillar's side by 18px, so contact is with the rounded corner
+    // (256, 192) rather than the grown box's flat bottom at y = 214
+    const sweep = sweepCircle(pillar, 274, 240, 0, -100, RADIUS);
+
+    assert.equal(sweep.hit, true);
+    assertClose(240 - 100 * sweep.time, 192 + Math.sqrt(REACH ** 2 - 18 ** 2), "contact y");
+  });
+
+  it("lets a circle that overlaps a wall move away but not further in", () => {
+    const inside = 3 * TILE - REACH + 5;
+
+    assert.equal(sweepCircle(thinWall, inside, 150, -10, 0, RADIUS).hit, false);
+
+    const into = sweepCircle(thinWall, inside, 150, 10, 0, RADIUS);
+    assert.equal(into.hit, true);
+    assert.equal(into.time, 0);
+    assert.equal(into.x, inside);
+  });
+
+  it("keeps the part of the move that runs along the wall as slide", () => {
+    const sweep = sweepCircle(thinWall, 100, 150, 100, 40, RADIUS);
+
+    assertClose(sweep.slide.x, 0, "slide x");
+    assertClose(sweep.slide.y, 40 * (1 - sweep.time), "slide y");
+  });
+
+  it("treats the area outside the map as wall", () => {
+    const sweep = sweepCircle({ ...thinWall, collisionMap: [[false]], tileKinds: [["walkable"]] }, 32, 32, 100, 0, 10);
+
+    assert.equal(sweep.hit, true);
+    assert.equal(sweep.tileKind, "solid");
+  });
+});
+
+describe("resolveMapCollision", () => {
+  it("moves freely in open space", () => {
+    const result = resolveMapCollision(pillar, 100, 100, 120, 110, RADIUS);
+
+    assert.deepEqual(result, {
+      x: 120,
+      y: 110,
+      collided: false,
+      normal: null,
+      wallKind: null,
+      groundKind: "walkable",
+    });
+  });
+
+  it("slides along a wall instead of stopping", () => {
+    const result = resolveMapCollision(thinWall, 160, 150, 200, 190, RADIUS);
+
+    assert.equal(result.collided, true);
+    assertClose(result.x, 3 * TILE - REACH - SKIN, "x");
+    assertClose(result.y, 190, "y");
+    assert.deepEqual(result.normal, { x: -1, y: 0 });
+    assert.equal(result.wallKind, "solid");
+  });
+
+  it("slides into a room corner and stops against both walls", () => {
+    const result = resolveMapCollision(thinWall, 100, 100, 40, 30, RADIUS);
+
+    assert.equal(result.collided, true);
+    assert.ok(result.x >= TILE + REACH - EPSILON, `x ${result.x} is in the left wall`);
+    assert.ok(result.y >= TILE + REACH - EPSILON, `y ${result.y} is in the top wall`);
+    assert.equal(checkMapCollision(thinWall, result.x, result.y, RADIUS), false);
+  });
+
+  it("slides around a pillar corner", () => {
+    // Clipping the pillar's top-left corner while moving right
+    const result = resolveMapCollision(pillar, 150, 120, 260, 120, RADIUS);
+
+    assert.equal(result.collided, true);
+    assert.ok(result.y < 120, "pushed up around the corner");
+    assert.equal(checkMapCollision(pillar, result.x, result.y, RADIUS), false);
+  });
+
+  it("never ends inside a wall", () => {
+    const moves = [
+      [100, 100, 400, 300],
+      [300, 150, 100, 150],
+      [150, 150, 150, -50],
+      [300, 250, 150, 100],
+    ];
+
+    for (const [startX, startY, targetX, targetY] of moves) {
+      for (const collision of [thinWall, pillar]) {
+        const result = resolveMapCollision(collision, startX, startY, targetX, targetY, RADIUS);
+        assert.equal(
+          checkMapCollision(collision, result.x, result.y, RADIUS),
+          false,
+          `move (${startX}, ${startY}) -> (${targetX}, ${targetY}) ended at (${result.x}, ${result.y})`
+        );
+      }
+    }
+  });
+
+  it("reports the ground under the end position", () => {
+    const ground = createCollision([
+      "#####",
+      "#.~o#",
+      "#####",
+    ]);
+
+    assert.equal(resolveMapCollision(ground, 96, 96, 160, 96, RADIUS).groundKind, "slow");
+    assert.equal(resolveMapCollision(ground, 96, 96, 224, 96, RADIUS).groundKind, "fall");
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeScene } from "./fixtures/fakeScene.js";
+
+// The network manager reads the URL and saved auth when it is first imported
+globalThis.window = {
+  location: { search: "", hostname: "localhost", protocol: "http:" },
+  addEventListener: () => {},
+  removeEventListener: () => {},
+  dispatchEvent: () => true,
+};
+globalThis.localStorage = {
+  getItem: () => null,
+  setItem: () => {},
+  removeItem: () => {},
+};
+
+const { DebugManager } = await import("../src/managers/DebugManager.js");
+const { default: networkManager } = await import("../src/systems/NetworkManager.js");
+
+describe("DebugManager", () => {
+  before(() => {
+    // Nothing to refresh without a server, and the timer keeps the run alive
+    clearInterval(networkManager.tokenRefreshInterval);
+  });
+
+  after(() => {
+    delete globalThis.window;
+    delete globalThis.localStorage;
+  });
+
+  it("initializes and binds its debug keys", () => {
+    const scene = createFakeScene();
+    const debugManager = new DebugManager(scene);
+
+    debugManager.initialize();
+
+    assert.ok(debugManager.keyUnbinders.length > 0);
+    assert.ok(scene.input.keyboard.listenerCount("keydown") > 0);
+
+    debugManager.destroy();
+  });
+
+  it("removes every key listener on destroy", () => {
+    const scene = createFakeScene();
+    const debugManager = new DebugManager(scene);
+
+    debugManager.initialize();
+    debugManager.destroy();
+
+    assert.equal(scene.input.keyboard.listenerCount("keydown"), 0);
+    assert.deepEqual(debugManager.keyUnbinders, []);
+  });
+
+  it("can be destroyed before it was initialized", () => {
+    const debugManager = new DebugManager(createFakeScene());
+
+    assert.doesNotThrow(() => debugManager.destroy());
+  });
+});
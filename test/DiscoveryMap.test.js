@@ -0,0 +1,182 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { DiscoveryMap } from "../src/systems/DiscoveryMap.js";
+import { FieldOfView } from "../src/systems/LineOfSight.js";
+import { createCollisionLayers } from "../src/systems/TileBehaviors.js";
+
+const TILE = 64;
+
+// Two rooms joined by a corridor, with a wall between them that blocks sight
+//   room A (1,1)-(3,3), corridor (4,2)-(6,2), room B (7,1)-(9,3)
+const TILES = [
+  "###########",
+  "#...###...#",
+  "#.........#",
+  "#...###...#",
+  "###########",
+].map((row) => [...row].map((char) => (char === "#" ? 1 : 0)));
+
+const ROOM_A = { x: 1, y: 1, width: 3, height: 3 };
+const CORRIDOR = { x: 4, y: 2, width: 3, height: 1 };
+const ROOM_B = { x: 7, y: 1, width: 3, height: 3 };
+
+const mapData = {
+  tileSize: TILE,
+  layers: { tiles: TILES },
+  structural: {
+    rooms: [ROOM_B],
+    corridors: [CORRIDOR],
+    spawnRooms: [ROOM_A],
+  },
+};
+
+function createVision(radius = 2) {
+  const collision = { ...createCollisionLayers(TILES), tileSize: TILE };
+  return new FieldOfView(collision, { radius });
+}
+
+function center(tileX, tileY) {
+  return [(tileX + 0.5) * TILE, (tileY + 0.5) * TILE];
+}
+
+describe("DiscoveryMap", () => {
+  const originalStorage = globalThis.localStorage;
+
+  afterEach(() => {
+    globalThis.localStorage = originalStorage;
+  });
+
+  it("starts with nothing discovered", () => {
+    const discovery = new DiscoveryMap();
+    discovery.reset(mapData);
+
+    assert.equal(discovery.isTileDiscovered(2, 2), false);
+    assert.equal(discovery.isStructureDiscovered("spawnRoom", ROOM_A), false);
+  });
+
+  it("discovers the tiles and structures the player sees", () => {
+    const discovery = new DiscoveryMap();
+    const vision = createVision();
+    discovery.reset(mapData);
+
+    vision.update(...center(2, 2));
+    discovery.discoverVisible(vision);
+
+    assert.equal(discovery.isTileDiscovered(2, 2), true);
+    assert.equal(discovery.isDiscoveredAt(...center(4, 2)), true);
+    assert.equal(discovery.isStructureDiscovered("spawnRoom", ROOM_A), true);
+    assert.equal(discovery.isStructureDiscovered("corridor", CORRIDOR), true);
+    assert.equal(discovery.isStructureDiscovered("room", ROOM_B), false);
+    assert.equal(discovery.isTileDiscovered(8, 2), false);
+  });
+
+  it("keeps what was seen after the player moves on", () => {
+    const discovery = new DiscoveryMap();
+    const vision = createVision();
+    discovery.reset(mapData);
+
+    vision.update(...center(2, 2));
+    discovery.discoverVisible(vision);
+    vision.update(...center(8, 2));
+    discovery.discoverVisible(vision);
+
+    assert.equal(discovery.isTileDiscovered(1, 1), true);
+    assert.equal(discovery.isStructureDiscovered("room", ROOM_B), true);
+  });
+
+  it("matches structures by type and position", () => {
+    const discovery = new DiscoveryMap();
+    const vision = createVision();
+    discovery.reset(mapData);
+
+    vision.update(...center(2, 2));
+    discovery.discoverVisible(vision);
+
+    assert.equal(discovery.isStructureDiscovered("room", ROOM_A), false);
+    assert.equal(discovery.isStructureDiscovered("spawnRoom", { ...ROOM_A }), true);
+  });
+
+  it("only bumps its version when something new is discovered", () => {
+    const discovery = new DiscoveryMap();
+    const vision = createVision();
+    discovery.reset(mapData);
+
+    vision.update(...center(2, 2));
+    discovery.discoverVisible(vision);
+    const version = discovery.version;
+
+    // The same vision again, then a recomputed vision with nothing new
+    discovery.discoverVisible(vision);
+    vision.update(...center(1, 2));
+    vision.update(...center(2, 2));
+    discovery.discoverVisible(vision);
+    assert.equal(discovery.version, version);
+
+    vision.update(...center(4, 2));
+    discovery.discoverVisible(vision);
+    assert.equal(discovery.version, version + 1);
+  });
+
+  it("ignores vision for a different map size", () => {
+    const discovery = new DiscoveryMap();
+    discovery.reset({ ...mapData, layers: { tiles: [[0, 0], [0, 0]] } });
+
+    const vision = createVision();
+    vision.update(...center(2, 2));
+    discovery.discoverVisible(vision);
+
+    assert.equal(discovery.isTileDiscovered(0, 0), false);
+  });
+
+  it("forgets everything on reset", () => {
+    const discovery = new DiscoveryMap();
+    const vision = createVision();
+    discovery.reset(mapData);
+
+    vision.update(...center(2, 2));
+    discovery.discoverVisible(vision);
+    discovery.reset(mapData);
+
+    assert.equal(discovery.isTileDiscovered(2, 2), false);
+    assert.equal(discovery.isStructureDiscovered("spawnRoom", ROOM_A), false);
+  });
+
+  it("reveals rooms teammates stand in only when enabled", () => {
+    const discovery = new DiscoveryMap();
+    discovery.reset(mapData);
+
+    discovery.revealTeammateRooms = false;
+    discovery.discoverTeammateRoom(...center(8, 2));
+    assert.equal(discovery.isStructureDiscovered("room", ROOM_B), false);
+
+    discovery.revealTeammateRooms = true;
+    discovery.discoverTeammateRoom(...center(8, 2));
+    assert.equal(discovery.isStructureDiscovered("room", ROOM_B), true);
+
+    // Teammates reveal the room, not the tiles the local player saw
+    assert.equal(discovery.isTileDiscovered(8, 2), false);
+  });
+
+  it("does not reveal corridors teammates walk through", () => {
+    const discovery = new DiscoveryMap();
+    discovery.reset(mapData);
+    discovery.revealTeammateRooms = true;
+
+    discovery.discoverTeammateRoom(...center(5, 2));
+    discovery.discoverTeammateRoom(-100, -100);
+
+    assert.equal(discovery.isStructureDiscovered("corridor", CORRIDOR), false);
+  });
+
+  it("saves the teammate setting", () => {
+    const stored = new Map();
+    globalThis.localStorage = {
+      getItem: (key) => (stored.has(key) ? stored.get(key) : null),
+      setItem: (key, value) => stored.set(key, String(value)),
+    };
+
+    new DiscoveryMap().setRevealTeammateRooms(true);
+
+    assert.equal(new DiscoveryMap().revealTeammateRooms, true);
+  });
+});
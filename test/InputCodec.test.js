@@ -0,0 +1,172 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  encodeInputBatch,
+  decodeInputBatch,
+  INPUT_BATCH_VERSION,
+  INPUT_FLAGS,
+} from "../src/systems/InputCodec.js";
+import { TICK_MS } from "../src/systems/MovementSimulation.js";
+
+const BATCH_TIME = 1700000000000;
+
+function roundTrip(inputs, timestamp = BATCH_TIME) {
+  return decodeInputBatch(encodeInputBatch(inputs, timestamp));
+}
+
+describe("InputCodec", () => {
+  it("round-trips sequence, directions and timestamps", () => {
+    const inputs = [
+      { seq: 10, up: true, down: false, left: true, right: false, dash: false, timestamp: BATCH_TIME - 40 },
+      { seq: 11, up: false, down: true, left: false, right: true, dash: false, timestamp: BATCH_TIME - 23 },
+      { seq: 12, up: false, down: false, left: false, right: false, dash: true, timestamp: BATCH_TIME - 7 },
+    ];
+
+    const decoded = roundTrip(inputs);
+
+    assert.equal(decoded.timestamp, BATCH_TIME);
+    assert.deepEqual(
+      decoded.inputs,
+      inputs.map((input) => ({ ...input, delta: TICK_MS }))
+    );
+  });
+
+  it("round-trips an empty batch", () => {
+    assert.deepEqual(roundTrip([]), { timestamp: BATCH_TIME, inputs: [] });
+  });
+
+  it("keeps sequence gaps, out-of-order timestamps and large numbers", () => {
+    const inputs = [
+      { seq: 2 ** 40, timestamp: BATCH_TIME + 5 },
+      { seq: 2 ** 40 + 7, timestamp: BATCH_TIME - 100 },
+      { seq: 2 ** 40 + 3, timestamp: BATCH_TIME },
+    ];
+
+    const decoded = roundTrip(inputs);
+
+    assert.deepEqual(
+      decoded.inputs.map(({ seq, timestamp }) => ({ seq, timestamp })),
+      inputs
+    );
+  });
+
+  it("stores a delta only when it differs from the tick", () => {
+    const plain = encodeInputBatch([{ seq: 1, delta: TICK_MS }], BATCH_TIME);
+    const custom = encodeInputBatch([{ seq: 1, delta: 12.5 }], BATCH_TIME);
+
+    assert.equal(custom.length, plain.length + 8);
+    assert.equal(decodeInputBatch(custom).inputs[0].delta, 12.5);
+    assert.equal(decodeInputBatch(plain).inputs[0].delta, TICK_MS);
+  });
+
+  it("drops client-side extras", () => {
+    const [input] = roundTrip([
+      { seq: 1, right: true, predicted: { x: 1, y: 2 }, sendCount: 2 },
+    ]).inputs;
+
+    assert.equal(input.predicted, undefined);
+    assert.equal(input.sendCount, undefined);
+  });
+
+  it("round-trips facing exactly, including angles outside one turn", () => {
+    const inputs = [0, 1, Math.PI, -Math.PI / 2, 7 * Math.PI, 0.1 + 0.2].map(
+      (facing, i) => ({ seq: i, facing })
+    );
+
+    assert.deepEqual(
+      roundTrip(inputs).inputs.map(({ seq, facing }) => ({ seq, facing })),
+      inputs
+    );
+  });
+
+  it("writes facing only when it changes", () => {
+    const facing = 1.234;
+    const once = encodeInputBatch([{ seq: 1, facing }], BATCH_TIME);
+    const repeated = encodeInputBatch(
+      [
+        { seq: 1, facing },
+        { seq: 2, facing },
+        { seq: 3, facing: facing + 1e-9 },
+      ],
+      BATCH_TIME
+    );
+
+    // A repeat costs the 3 bytes of any input, a change 8 more
+    assert.equal(repeated.length, once.length + 3 + 11);
+
+    const [, second, third] = decodeInputBatch(repeated).inputs;
+    assert.equal(second.facing, facing);
+    assert.equal(third.facing, facing + 1e-9);
+  });
+
+  it("keeps inputs without facing without one", () => {
+    const [first, second, third] = roundTrip([
+      { seq: 1 },
+      { seq: 2, facing: 2 },
+      { seq: 3 },
+    ]).inputs;
+
+    assert.equal("facing" in first, false);
+    assert.equal(second.facing, 2);
+    assert.equal("facing" in third, false);
+  });
+
+  it("decodes version 2 batches, which pack facing into 16 bits", () => {
+    // seq 1 with a quarter turn of facing, seq 2 without
+    const bytes = new Uint8Array(9 + 2 + 2 * 3 + 2);
+    const view = new DataView(bytes.buffer);
+    view.setUint8(0, 2);
+    view.setFloat64(1, BATCH_TIME, true);
+    bytes.set([1, 2, 0, INPUT_FLAGS.FACING, 0], 9);
+    view.setUint16(14, 0x4000, true);
+    bytes.set([2, INPUT_FLAGS.UP, 0], 16);
+
+    const [first, second] = decodeInputBatch(bytes).inputs;
+    assert.equal(first.facing, Math.PI / 2);
+    assert.equal(second.seq, 2);
+    assert.equal(second.up, true);
+
+    // Version 2 carried facing forward into inputs that had none
+    assert.equal(second.facing, Math.PI / 2);
+  });
+
+  it("decodes version 1 batches, which never have facing", () => {
+    const bytes = encodeInputBatch([{ seq: 5, up: true }], BATCH_TIME);
+    bytes[0] = 1;
+
+    const [input] = decodeInputBatch(bytes).inputs;
+    assert.equal(input.seq, 5);
+    assert.equal(input.up, true);
+  });
+
+  it("rejects unknown versions", () => {
+    const bytes = encodeInputBatch([{ seq: 1 }], BATCH_TIME);
+    bytes[0] = INPUT_BATCH_VERSION + 1;
+
+    assert.throws(() => decodeInputBatch(bytes), /Unsupported input batch version/);
+  });
+
+  it("rejects truncated batches", () => {
+    const bytes = encodeInputBatch([{ seq: 1 }, { seq: 2 }], BATCH_TIME);
+
+    assert.throws(() => decodeInputBatch(bytes.slice(0, bytes.length - 1)));
+  });
+
+  it("rejects fractional timestamps", () => {
+    assert.throws(
+      () => encodeInputBatch([{ seq: 1 }], BATCH_TIME + 0.5),
+      /Batch timestamp must be whole milliseconds/
+    );
+    assert.throws(
+      () => encodeInputBatch([{ seq: 1, timestamp: BATCH_TIME - 0.25 }], BATCH_TIME),
+      /Timestamp of input 1 must be whole milliseconds/
+    );
+  });
+
+  it("accepts an ArrayBuffer", () => {
+    const bytes = encodeInputBatch([{ seq: 3, left: true }], BATCH_TIME);
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
+    assert.equal(decodeInputBatch(buffer).inputs[0].left, true);
+  });
+});
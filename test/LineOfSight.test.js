@@ -0,0 +1,186 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { computeVisibleTiles, FieldOfView } from "../src/systems/LineOfSight.js";
+
+const TILE = 64;
+
+/**
+ * Build collision data from tile rows (# wall, . floor)
+ * @param {Array<string>} rows - Map rows
+ * @returns {Object} - Collision data
+ */
+function createCollision(rows) {
+  return {
+    collisionMap: rows.map((row) => [...row].map((char) => char === "#")),
+    tileSize: TILE,
+  };
+}
+
+function visibleSet(collision, x, y, radius = 12) {
+  const seen = new Set();
+  computeVisibleTiles(collision, x, y, radius, (tileX, tileY) => seen.add(`${tileX},${tileY}`));
+  return seen;
+}
+
+/**
+ * Small deterministic PRNG so failures can be reproduced
+ * @param {number} seed - Seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const room = createCollision([
+  "#########",
+  "#.......#",
+  "#.......#",
+  "#...#...#",
+  "#.......#",
+  "#.......#",
+  "#########",
+]);
+
+describe("computeVisibleTiles", () => {
+  it("sees the whole of an open room and its walls", () => {
+    const open = createCollision([
+      "######",
+      "#....#",
+      "#....#",
+      "######",
+    ]);
+    const seen = visibleSet(open, 1, 1);
+
+    assert.equal(seen.size, 24);
+  });
+
+  it("includes the origin", () => {
+    assert.ok(visibleSet(room, 2, 2).has("2,2"));
+  });
+
+  it("hides the tile behind a pillar", () => {
+    // Looking east past the pillar at (4, 3)
+    const seen = visibleSet(room, 2, 3);
+
+    assert.ok(seen.has("4,3"), "the pillar itself is visible");
+    assert.equal(seen.has("5,3"), false);
+    assert.equal(seen.has("6,3"), false);
+    assert.ok(seen.has("6,1"), "tiles beside the shadow are visible");
+  });
+
+  it("stops at the view radius", () => {
+    const wide = createCollision(["#".repeat(30), "#" + ".".repeat(28) + "#", "#".repeat(30)]);
+    const seen = visibleSet(wide, 1, 1, 5);
+
+    assert.ok(seen.has("6,1"));
+    assert.equal(seen.has("7,1"), false);
+  });
+
+  it("never reports tiles outside the map", () => {
+    const edge = createCollision(["...", "...", "..."]);
+
+    for (const key of visibleSet(edge, 0, 0)) {
+      const [x, y] = key.split(",").map(Number);
+      assert.ok(x >= 0 && y >= 0 && x < 3 && y < 3, `tile ${key}`);
+    }
+  });
+
+  it("is symmetric between floor tiles", () => {
+    const random = mulberry32(21);
+    const size = 16;
+
+    for (let map = 0; map < 20; map++) {
+      const rows = [];
+      for (let y = 0; y < size; y++) {
+        let row = "";
+        for (let x = 0; x < size; x++) row += random() < 0.25 ? "#" : ".";
+        rows.push(row);
+      }
+
+      const collision = createCollision(rows);
+      const floor = [];
+      rows.forEach((row, y) => [...row].forEach((char, x) => char === "." && floor.push([x, y])));
+
+      const sight = new Map(floor.map(([x, y]) => [`${x},${y}`, visibleSet(collision, x, y, 8)]));
+
+      for (const [ax, ay] of floor) {
+        for (const key of sight.get(`${ax},${ay}`)) {
+          if (!sight.has(key)) continue; // Walls aren't viewers
+
+          assert.ok(
+            sight.get(key).has(`${ax},${ay}`),
+            `map ${map}: (${ax}, ${ay}) sees ${key} but not the other way round\n${rows.join("\n")}`
+          );
+        }
+      }
+    }
+  });
+});
+
+describe("FieldOfView", () => {
+  it("sees everything until a map is loaded", () => {
+    const fieldOfView = new FieldOfView({ collisionMap: null, tileSize: TILE });
+
+    assert.equal(fieldOfView.update(100, 100), false);
+    assert.equal(fieldOfView.isVisibleAt(5000, 5000), true);
+  });
+
+  it("answers in world positions", () => {
+    const fieldOfView = new FieldOfView(room);
+    fieldOfView.update(2.5 * TILE, 3.5 * TILE);
+
+    assert.equal(fieldOfView.isVisibleAt(3.5 * TILE, 3.5 * TILE), true);
+    assert.equal(fieldOfView.isVisibleAt(5.5 * TILE, 3.5 * TILE), false);
+    assert.equal(fieldOfView.isTileVisible(-1, 0), false);
+  });
+
+  it("only recomputes when the player changes tile", () => {
+    const fieldOfView = new FieldOfView(room);
+
+    assert.equal(fieldOfView.update(2.5 * TILE, 3.5 * TILE), true);
+    const version = fieldOfView.version;
+
+    assert.equal(fieldOfView.update(2.9 * TILE, 3.1 * TILE), false);
+    assert.equal(fieldOfView.version, version);
+
+    assert.equal(fieldOfView.update(1.5 * TILE, 3.5 * TILE), true);
+    assert.ok(fieldOfView.version > version);
+  });
+
+  it("recomputes for a new map on the same tile", () => {
+    const collision = { ...room };
+    const fieldOfView = new FieldOfView(collision);
+    fieldOfView.update(2.5 * TILE, 3.5 * TILE);
+
+    collision.collisionMap = createCollision([
+      "#########",
+      "#.......#",
+      "#.......#",
+      "#.......#",
+      "#.......#",
+      "#.......#",
+      "#########",
+    ]).collisionMap;
+
+    assert.equal(fieldOfView.update(2.5 * TILE, 3.5 * TILE), true);
+    assert.equal(fieldOfView.isTileVisible(6, 3), true);
+  });
+
+  it("sees everything while disabled", () => {
+    const fieldOfView = new FieldOfView(room);
+    fieldOfView.update(2.5 * TILE, 3.5 * TILE);
+    const version = fieldOfView.version;
+
+    fieldOfView.setEnabled(false);
+    assert.equal(fieldOfView.isTileVisible(6, 3), true);
+    assert.ok(fieldOfView.version > version);
+
+    fieldOfView.setEnabled(true);
+    assert.equal(fieldOfView.isTileVisible(6, 3), false);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MapPings,
+  PingRateLimiter,
+  PING_DURATION,
+  PING_RATE_LIMIT,
+} from "../src/systems/MapPings.js";
+
+describe("PingRateLimiter", () => {
+  it("allows the configured number of pings per window", () => {
+    const limiter = new PingRateLimiter({ count: 3, windowMs: 5000 });
+
+    assert.equal(limiter.tryConsume(0), true);
+    assert.equal(limiter.tryConsume(100), true);
+    assert.equal(limiter.tryConsume(200), true);
+    assert.equal(limiter.tryConsume(300), false);
+  });
+
+  it("frees a slot once the oldest ping leaves the window", () => {
+    const limiter = new PingRateLimiter({ count: 2, windowMs: 1000 });
+
+    limiter.tryConsume(0);
+    limiter.tryConsume(500);
+
+    assert.equal(limiter.tryConsume(999), false);
+    assert.equal(limiter.tryConsume(1000), true);
+    assert.equal(limiter.tryConsume(1200), false);
+    assert.equal(limiter.tryConsume(1500), true);
+  });
+
+  it("does not use up a slot for refused pings", () => {
+    const limiter = new PingRateLimiter({ count: 1, windowMs: 1000 });
+
+    limiter.tryConsume(0);
+    limiter.tryConsume(400);
+    limiter.tryConsume(800);
+
+    assert.equal(limiter.tryConsume(1000), true);
+  });
+
+  it("forgets previous pings on reset", () => {
+    const limiter = new PingRateLimiter({ count: 1, windowMs: 1000 });
+
+    limiter.tryConsume(0);
+    limiter.reset();
+
+    assert.equal(limiter.tryConsume(1), true);
+  });
+
+  it("uses the shared limit by default", () => {
+    const limiter = new PingRateLimiter();
+    let allowed = 0;
+
+    for (let i = 0; i < PING_RATE_LIMIT.count + 2; i++) {
+      if (limiter.tryConsume(i)) allowed++;
+    }
+
+    assert.equal(allowed, PING_RATE_LIMIT.count);
+  });
+});
+
+describe("MapPings", () => {
+  const message = { playerId: "p1", type: "danger", x: 100, y: 200, name: "Ann" };
+
+  it("adds pings from room messages", () => {
+    const pings = new MapPings();
+    const ping = pings.add(message, 1000);
+
+    assert.deepEqual(ping, {
+      id: 1,
+      type: "danger",
+      x: 100,
+      y: 200,
+      playerId: "p1",
+      name: "Ann",
+      createdAt: 1000,
+      expiresAt: 1000 + PING_DURATION,
+    });
+    assert.deepEqual(pings.getActive(1000), [ping]);
+  });
+
+  it("gives every ping its own id", () => {
+    const pings = new MapPings();
+
+    assert.notEqual(pings.add(message, 0).id, pings.add(message, 0).id);
+  });
+
+  it("drops unknown ping types", () => {
+    const pings = new MapPings();
+
+    assert.equal(pings.add({ ...message, type: "hack" }, 0), null);
+    assert.equal(pings.add({ ...message, type: "toString" }, 0), null);
+    assert.deepEqual(pings.getActive(0), []);
+  });
+
+  it("honors a duration sent with the ping", () => {
+    const pings = new MapPings();
+    const ping = pings.add({ ...message, duration: 500 }, 0);
+
+    assert.equal(ping.expiresAt, 500);
+  });
+
+  it("expires pings and bumps its version when they go", () => {
+    const pings = new MapPings({ duration: 1000 });
+    pings.add(message, 0);
+    pings.add({ ...message, type: "loot" }, 500);
+    const version = pings.version;
+
+    assert.equal(pings.getActive(999).length, 2);
+    assert.equal(pings.version, version);
+
+    assert.deepEqual(pings.getActive(1000).map((ping) => ping.type), ["loot"]);
+    assert.equal(pings.version, version + 1);
+
+    assert.deepEqual(pings.getActive(1500), []);
+  });
+
+  it("clears every ping", () => {
+    const pings = new MapPings();
+    pings.add(message, 0);
+    const version = pings.version;
+
+    pings.clear();
+    assert.deepEqual(pings.getActive(0), []);
+    assert.equal(pings.version, version + 1);
+
+    pings.clear();
+    assert.equal(pings.version, version + 1);
+  });
+
+  it("rate limits sending but not receiving", () => {
+    const pings = new MapPings();
+
+    const sent = [0, 1, 2, 3].map((now) => pings.requestSend("goHere", now));
+    assert.deepEqual(sent, [true, true, true, false]);
+
+    for (let i = 0; i < 5; i++) pings.add(message, 0);
+    assert.equal(pings.getActive(0).length, 5);
+  });
+
+  it("refuses to send unknown types without using up the limit", () => {
+    const pings = new MapPings();
+
+    assert.equal(pings.requestSend("hack", 0), false);
+    assert.equal(pings.requestSend("loot", 0), true);
+    assert.equal(pings.requestSend("loot", 0), true);
+    assert.equal(pings.requestSend("loot", 0), true);
+  });
+});
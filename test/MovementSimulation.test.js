@@ -0,0 +1,87 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { stepMovement, simulateInputs } from "../src/systems/MovementSimulation.js";
+import { createCollisionLayers } from "../src/systems/TileBehaviors.js";
+
+const corpus = JSON.parse(
+  readFileSync(new URL("./fixtures/movement-corpus.json", import.meta.url), "utf8")
+);
+
+// Positions are floats summed tick by tick
+const EPSILON = 1e-6;
+
+/**
+ * Build the collision data stepMovement expects from a corpus map
+ * @param {Object|undefined} map - Corpus map
+ * @returns {Object|null} - Collision data, or null without a map
+ */
+function createCollision(map) {
+  if (!map) return null;
+
+  const { collisionMap, tileKinds } = createCollisionLayers(map.tiles);
+
+  return {
+    collisionMap,
+    tileKinds,
+    tileSize: map.tileSize,
+    bufferZone: map.bufferZone,
+    playerRadius: map.playerRadius,
+  };
+}
+
+/**
+ * Expand inputs with a tick count into one input per tick
+ * @param {Array} inputs - Corpus inputs
+ * @returns {Array} - Inputs for simulateInputs
+ */
+function expandInputs(inputs) {
+  return inputs.flatMap(({ ticks = 1, ...input }) =>
+    Array.from({ length: ticks }, () => ({ ...input }))
+  );
+}
+
+function assertState(actual, expected) {
+  assert.ok(
+    Math.abs(actual.x - expected.x) < EPSILON &&
+      Math.abs(actual.y - expected.y) < EPSILON,
+    `expected (${expected.x}, ${expected.y}), got (${actual.x}, ${actual.y})`
+  );
+  assert.equal(actual.collided, expected.collided);
+  assert.equal(actual.groundKind, expected.groundKind);
+  assert.equal(actual.fell, expected.fell);
+}
+
+describe("movement corpus", () => {
+  for (const testCase of corpus.cases) {
+    const collision = createCollision(corpus.maps[testCase.map]);
+    const inputs = expandInputs(testCase.inputs);
+
+    it(`${testCase.name} (simulateInputs)`, () => {
+      assertState(simulateInputs(testCase.start, inputs, collision), testCase.expected);
+    });
+
+    it(`${testCase.name} (stepMovement)`, () => {
+      let state = { ...testCase.start };
+      for (const input of inputs) {
+        state = stepMovement(state, input, collision);
+      }
+
+      assertState(state, testCase.expected);
+    });
+  }
+});
+
+describe("stepMovement", () => {
+  it("moves one tick at 60Hz by default", () => {
+    const state = stepMovement({ x: 0, y: 0 }, { right: true }, null);
+    assert.ok(Math.abs(state.x - 5) < EPSILON);
+  });
+
+  it("does not move without input", () => {
+    const collision = createCollision(corpus.maps.room);
+    const state = stepMovement({ x: 150, y: 150 }, {}, collision);
+
+    assert.deepEqual({ x: state.x, y: state.y }, { x: 150, y: 150 });
+  });
+});
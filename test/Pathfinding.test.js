@@ -0,0 +1,258 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Pathfinder } from "../src/systems/Pathfinding.js";
+import { createCollisionLayers } from "../src/systems/TileBehaviors.js";
+
+const TILE = 64;
+
+/**
+ * Build collision data from tile rows (# wall, . floor, o hole)
+ * @param {Array<string>} rows - Map rows
+ * @returns {Object} - Collision data
+ */
+function createCollision(rows) {
+  const values = { "#": 1, ".": 0, o: -2 };
+  const tiles = rows.map((row) => [...row].map((char) => values[char]));
+
+  return {
+    ...createCollisionLayers(tiles),
+    tileSize: TILE,
+    playerRadius: 20,
+    bufferZone: 2,
+  };
+}
+
+function center(tileX, tileY) {
+  return { x: (tileX + 0.5) * TILE, y: (tileY + 0.5) * TILE };
+}
+
+function pathLength(path) {
+  let length = 0;
+  for (let i = 1; i < path.length; i++) {
+    length += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+  }
+  return length;
+}
+
+/**
+ * Reference Dijkstra over the same open tiles and corner rule, for
+ * checking that jump point search stays optimal
+ * @returns {number} - Shortest path cost in tiles, or Infinity
+ */
+function referenceCost(grid, start, goal) {
+  const cost = new Map([[`${start.x},${start.y}`, 0]]);
+  const queue = [{ ...start, cost: 0 }];
+
+  while (queue.length > 0) {
+    queue.sort((a, b) => a.cost - b.cost);
+    const current = queue.shift();
+    if (current.x === goal.x && current.y === goal.y) return current.cost;
+
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dy === 0) continue;
+
+        const x = current.x + dx;
+        const y = current.y + dy;
+        if (!grid.isOpen(x, y)) continue;
+        if (dx !== 0 && dy !== 0 && !(grid.isOpen(current.x + dx, current.y) && grid.isOpen(current.x, current.y + dy))) continue;
+
+        const next = current.cost + (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1);
+        const key = `${x},${y}`;
+        if (next < (cost.get(key) ?? Infinity)) {
+          cost.set(key, next);
+          queue.push({ x, y, cost: next });
+        }
+      }
+    }
+  }
+
+  return Infinity;
+}
+
+// Two rooms joined by a one tile gap in the dividing wall
+const rooms = createCollision([
+  "###########",
+  "#....#....#",
+  "#....#....#",
+  "#.........#",
+  "#....#....#",
+  "#....#....#",
+  "###########",
+]);
+
+// A maze of pillars and walls for optimality checks
+const maze = createCollision([
+  "############",
+  "#....#.....#",
+  "#.##.#.###.#",
+  "#.#......#.#",
+  "#.#.####.#.#",
+  "#...#..#...#",
+  "###.#.##.#.#",
+  "#.....#..#.#",
+  "############",
+]);
+
+describe("Pathfinder", () => {
+  it("finds a path through the gap between two rooms", () => {
+    const pathfinder = new Pathfinder(rooms);
+    const path = pathfinder.findPath(center(1, 1), center(9, 5), { smooth: false });
+
+    assert.ok(path);
+    assert.deepEqual(path[0], center(1, 1));
+    assert.deepEqual(path[path.length - 1], center(9, 5));
+    assert.ok(path.some((point) => point.x === center(5, 3).x && point.y === center(5, 3).y), "passes the gap");
+  });
+
+  it("keeps one waypoint per tile without smoothing and never repeats the start", () => {
+    const pathfinder = new Pathfinder(rooms);
+    const path = pathfinder.findPath(center(1, 1), center(9, 5), { smooth: false });
+
+    for (let i = 1; i < path.length; i++) {
+      const step = Math.max(Math.abs(path[i].x - path[i - 1].x), Math.abs(path[i].y - path[i - 1].y));
+      assert.equal(step, TILE, `waypoint ${i} is one tile from the previous`);
+    }
+  });
+
+  it("starts with the exact start and ends with the exact goal", () => {
+    const pathfinder = new Pathfinder(rooms);
+    const start = { x: 100, y: 90 };
+    const goal = { x: 600, y: 330 };
+    const path = pathfinder.findPath(start, goal, { smooth: false });
+
+    assert.deepEqual(path[0], start);
+    assert.deepEqual(path[1], center(1, 1));
+    assert.deepEqual(path[path.length - 1], goal);
+  });
+
+  it("finds shortest paths like a plain Dijkstra search", () => {
+    const pathfinder = new Pathfinder(maze);
+    const grid = pathfinder.getGrid();
+    const pairs = [
+      [{ x: 1, y: 1 }, { x: 10, y: 7 }],
+      [{ x: 1, y: 7 }, { x: 6, y: 1 }],
+      [{ x: 5, y: 5 }, { x: 10, y: 1 }],
+      [{ x: 3, y: 3 }, { x: 8, y: 7 }],
+    ];
+
+    for (const [from, to] of pairs) {
+      const path = pathfinder.findPath(center(from.x, from.y), center(to.x, to.y), { smooth: false });
+      const expected = referenceCost(grid, from, to);
+
+      assert.ok(path, `path from (${from.x}, ${from.y}) to (${to.x}, ${to.y})`);
+      assert.ok(
+        Math.abs(pathLength(path) / TILE - expected) < 1e-9,
+        `(${from.x}, ${from.y}) -> (${to.x}, ${to.y}): ${pathLength(path) / TILE} vs ${expected}`
+      );
+    }
+  });
+
+  it("never cuts a wall corner diagonally", () => {
+    const pathfinder = new Pathfinder(maze);
+    const grid = pathfinder.getGrid();
+    const path = pathfinder.findPath(center(1, 1), center(10, 7), { smooth: false });
+
+    for (let i = 1; i < path.length; i++) {
+      const fromX = Math.floor(path[i - 1].x / TILE);
+      const fromY = Math.floor(path[i - 1].y / TILE);
+      const toX = Math.floor(path[i].x / TILE);
+      const toY = Math.floor(path[i].y / TILE);
+
+      if (fromX !== toX && fromY !== toY) {
+        assert.ok(grid.isOpen(toX, fromY) && grid.isOpen(fromX, toY), `diagonal at waypoint ${i}`);
+      }
+    }
+  });
+
+  it("smooths an open room down to a straight line", () => {
+    const pathfinder = new Pathfinder(rooms);
+    const path = pathfinder.findPath(center(1, 1), center(4, 5));
+
+    assert.deepEqual(path, [center(1, 1), center(4, 5)]);
+  });
+
+  it("keeps the waypoints a smoothed path needs to get around walls", () => {
+    const pathfinder = new Pathfinder(rooms);
+    const path = pathfinder.findPath(center(1, 1), center(9, 1));
+
+    assert.ok(path.length >= 3, "goes through the gap instead of the wall");
+    for (let i = 1; i < path.length; i++) {
+      assert.ok(pathfinder.hasLineOfSight(path[i - 1], path[i]), `segment ${i} is clear`);
+    }
+    assert.ok(pathLength(path) <= pathLength(pathfinder.findPath(center(1, 1), center(9, 1), { smooth: false })));
+  });
+
+  it("snaps a start inside a wall to the nearest open tile", () => {
+    const pathfinder = new Pathfinder(rooms);
+    const start = { x: 5 * TILE + 10, y: 1.5 * TILE }; // In the dividing wall, nearest its left side
+    const path = pathfinder.findPath(start, center(1, 1), { smooth: false });
+
+    assert.deepEqual(path[0], start);
+    assert.deepEqual(path[1], center(4, 1));
+  });
+
+  it("ends a goal inside a wall at the nearest open tile", () => {
+    const pathfinder = new Pathfinder(rooms);
+    const goal = { x: 5.5 * TILE, y: 5.5 * TILE - 10 }; // In the dividing wall below the gap
+    const path = pathfinder.findPath(center(1, 1), goal, { smooth: false });
+
+    const end = path[path.length - 1];
+    assert.ok(pathfinder.isWalkableAt(end.x, end.y));
+    assert.notDeepEqual(end, goal);
+  });
+
+  it("treats holes as blocked", () => {
+    const pathfinder = new Pathfinder(createCollision([
+      "#######",
+      "#..o..#",
+      "#######",
+    ]));
+
+    assert.equal(pathfinder.isWalkableAt(center(3, 1).x, center(3, 1).y), false);
+    assert.equal(pathfinder.findPath(center(1, 1), center(5, 1)), null);
+  });
+
+  it("keeps wider circles out of one tile gaps", () => {
+    const wide = new Pathfinder(rooms, { radius: 40 });
+
+    assert.equal(wide.isWalkableAt(center(5, 3).x, center(5, 3).y), false);
+    assert.equal(wide.findPath(center(2, 2), center(8, 2)), null);
+  });
+
+  it("sweeps line of sight with the same circle that decides open tiles", () => {
+    const pathfinder = new Pathfinder(rooms);
+    const grid = pathfinder.getGrid();
+    const from = center(5, 3);
+
+    // Through the gap's center is clear; a few pixels off, the circle
+    // (radius plus buffer) grazes the gap's sides
+    assert.equal(pathfinder.hasLineOfSight({ x: from.x - 100, y: from.y }, { x: from.x + 100, y: from.y }), true);
+    const offset = TILE / 2 - grid.effectiveRadius + 1;
+    assert.equal(
+      pathfinder.hasLineOfSight({ x: from.x - 100, y: from.y + offset }, { x: from.x + 100, y: from.y + offset }),
+      false
+    );
+  });
+
+  it("returns null without a collision map", () => {
+    const pathfinder = new Pathfinder({ collisionMap: null, tileSize: TILE });
+
+    assert.equal(pathfinder.findPath({ x: 0, y: 0 }, { x: 100, y: 100 }), null);
+  });
+
+  it("finds the same path asynchronously", async () => {
+    const pathfinder = new Pathfinder(maze);
+    const path = await pathfinder.findPathAsync(center(1, 1), center(10, 7), { sliceMs: 1 });
+
+    assert.deepEqual(path, pathfinder.findPath(center(1, 1), center(10, 7)));
+  });
+
+  it("resolves null when an async search is aborted", async () => {
+    const pathfinder = new Pathfinder(maze);
+    const controller = new AbortController();
+    controller.abort();
+
+    assert.equal(await pathfinder.findPathAsync(center(1, 1), center(10, 7), { signal: controller.signal }), null);
+  });
+});
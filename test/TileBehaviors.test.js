@@ -0,0 +1,49 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TILE_BEHAVIORS,
+  getTileKind,
+  getTileBehavior,
+  createCollisionLayers,
+} from "../src/systems/TileBehaviors.js";
+
+describe("TileBehaviors", () => {
+  it("maps tile values to kinds", () => {
+    assert.equal(getTileKind(0), "walkable");
+    assert.equal(getTileKind(1), "solid");
+    assert.equal(getTileKind(7), "solid");
+    assert.equal(getTileKind(-1), "slow");
+    assert.equal(getTileKind(-2), "fall");
+  });
+
+  it("treats unlisted negative values as floor", () => {
+    assert.equal(getTileKind(-3), "walkable");
+  });
+
+  it("gives every kind a behavior", () => {
+    assert.deepEqual(getTileBehavior("slow"), { solid: false, speedMultiplier: 0.5, fallThrough: false });
+    assert.equal(getTileBehavior("fall").fallThrough, true);
+    assert.equal(getTileBehavior("solid").solid, true);
+  });
+
+  it("falls back to walkable for unknown kinds", () => {
+    assert.equal(getTileBehavior("lava"), TILE_BEHAVIORS.walkable);
+    assert.equal(getTileBehavior(undefined), TILE_BEHAVIORS.walkable);
+  });
+
+  it("builds matching collision and kind layers", () => {
+    const { collisionMap, tileKinds } = createCollisionLayers([
+      [1, 0, -1],
+      [-2, 3, 0],
+    ]);
+
+    assert.deepEqual(collisionMap, [
+      [true, false, false],
+      [false, true, false],
+    ]);
+    assert.deepEqual(tileKinds, [
+      ["solid", "walkable", "slow"],
+      ["fall", "solid", "walkable"],
+    ]);
+  });
+});
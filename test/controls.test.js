@@ -0,0 +1,26 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeScene } from "./fixtures/fakeScene.js";
+import { createControls } from "../src/utils/controls.js";
+
+describe("createControls", () => {
+  it("removes its keyboard and pointer listeners on destroy", () => {
+    const scene = createFakeScene();
+
+    createControls(scene).destroy();
+
+    assert.equal(scene.input.keyboard.listenerCount("keydown"), 0);
+    assert.equal(scene.input.listenerCount("pointermove"), 0);
+  });
+
+  it("does not stack listeners across scene restarts", () => {
+    const scene = createFakeScene();
+
+    createControls(scene).destroy();
+    const controls = createControls(scene);
+
+    // One for device tracking, one for the dash binding
+    assert.equal(scene.input.keyboard.listenerCount("keydown"), 2);
+    controls.destroy();
+  });
+});
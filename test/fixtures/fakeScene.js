@@ -0,0 +1,93 @@
+// Just enough of a Phaser scene to build UI and managers outside the browser.
+// Game objects accept any call and return themselves; keyboard listeners are
+// tracked so tests can check that everything registered gets removed again.
+
+const noop = () => {};
+
+/**
+ * Create a stand-in for a Phaser game object
+ * Any method call is accepted and returns the object, so chains like
+ * add.text(...).setOrigin(0.5).setDepth(10) work
+ * @returns {Proxy} - Fake game object
+ */
+export function createFakeGameObject() {
+  const state = { width: 100, height: 20, x: 0, y: 0, visible: true };
+
+  const object = new Proxy(state, {
+    get(target, property) {
+      if (property in target) return target[property];
+      if (typeof property === "symbol" || property === "then") return undefined;
+      return () => object;
+    },
+  });
+
+  return object;
+}
+
+/**
+ * Create a listener registry with Phaser's on/off/emit shape
+ * @returns {Object} - Emitter with a listenerCount() helper
+ */
+function createEmitter() {
+  const listeners = new Map();
+
+  const emitter = {
+    on(event, handler) {
+      if (!listeners.has(event)) listeners.set(event, []);
+      listeners.get(event).push(handler);
+      return emitter;
+    },
+    once(event, handler) {
+      return emitter.on(event, handler);
+    },
+    off(event, handler) {
+      const handlers = listeners.get(event) || [];
+      const index = handlers.indexOf(handler);
+      if (index !== -1) handlers.splice(index, 1);
+      return emitter;
+    },
+    emit(event, ...args) {
+      [...(listeners.get(event) || [])].forEach((handler) => handler(...args));
+    },
+    listenerCount(event) {
+      return (listeners.get(event) || []).length;
+    },
+  };
+
+  return emitter;
+}
+
+/**
+ * Create a fake scene
+ * @param {Object} options - { touch: boolean } to report a touch device
+ * @returns {Object} - Fake Phaser scene
+ */
+export function createFakeScene({ touch = false } = {}) {
+  const keyboard = createEmitter();
+  keyboard.addKey = () => createFakeGameObject();
+
+  const input = createEmitter();
+  input.keyboard = keyboard;
+  input.gamepad = null;
+  input.activePointer = { x: 0, y: 0 };
+
+  const camera = {
+    width: 800,
+    height: 600,
+    scrollX: 0,
+    scrollY: 0,
+    worldView: { x: 0, y: 0, width: 800, height: 600 },
+  };
+
+  return {
+    add: new Proxy({}, { get: () => () => createFakeGameObject() }),
+    input,
+    cameras: { main: camera },
+    children: { list: [] },
+    scale: { width: 800, height: 600, on: noop, off: noop },
+    time: { delayedCall: () => ({ remove: noop }), addEvent: () => ({ remove: noop }) },
+    events: createEmitter(),
+    scene: { key: "GameScene" },
+    sys: { game: { device: { input: { touch } } } },
+  };
+}